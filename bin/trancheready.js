@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// bin/trancheready.js — batch runner: the /ingest pipeline without the web app
+//
+//   trancheready --clients clients.csv --transactions tx.csv --out /data/packs \
+//     [--policy <id>|policy.json] [--sector <id>] [--org <orgId>] [--fx rates.csv] \
+//     [--date-format auto|...] [--timezone <IANA zone>] [--run-id <id>]
+//     [--strict|--preflight|--allow-issues]
+//
+// Same validation (lib/ingestInput.js) and the same pipeline (lib/pipeline.js) as an
+// upload, run in-process. The run folder is written to <out>/<runId>, with its evidence
+// pack signed like a web run and chained onto <out>/_ledger, the ledger of that
+// directory (check it with `node lib/ledger.js verify <out>`). Prints one JSON summary
+// on stdout; stage progress goes to stderr (unless --quiet). With ENCRYPTION_KEY set the
+// run folder (pack included) is encrypted at rest like a web run; get a plain copy of the
+// pack with `node lib/encryption.js export-pack <runDir> <out.zip>`.
+//
+// Before scoring, the data quality check runs and the batch stops if a required column
+// (ClientID, Date, Amount, the transaction's client) is missing or ids, dates or amounts
+// cannot be read (BLOCKING_ISSUES in lib/dataQuality.js); --strict stops on any issue,
+// --allow-issues skips the check and scores whatever can be read.
+//
+// Exit codes: 0 done, 1 unexpected failure, 2 bad arguments or input, 3 data quality
+// issues found (blocking ones; any with --strict or --preflight).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { IngestError, ingestInput } = require("../lib/ingestInput");
+const { STAGES, runIngest } = require("../lib/pipeline");
+const { MANIFEST, PACK_ZIP, readSignature } = require("../lib/evidence");
+const { readRunJson, runEncryption } = require("../lib/encryption");
+
+const USAGE = `Usage: trancheready --clients <csv> --transactions <csv> --out <dir> [options]
+
+  --policy <id|file>     risk policy id (policies/) or a policy JSON file (default: default)
+  --sector <id>          sector profile (default: the organisation's, else generic)
+  --org <orgId>          organisation whose details, mapping profiles and lists apply
+  --fx <csv>             extra FX rate table
+  --date-format <fmt>    one format for every date column (default: auto)
+  --timezone <zone>      reporting time zone (default: TIMEZONE env or Australia/Sydney)
+  --re-name <name>       reporting entity name for the TTR batch
+  --re-number <number>   reporting entity number for the TTR batch
+  --run-id <id>          run id (default: a new UUID)
+  --preflight            only run the data quality check and print its report
+  --strict               stop before scoring if the data quality check finds any issue
+  --allow-issues         score even with missing columns or unreadable ids, dates or amounts
+  --quiet                no progress on stderr`;
+
+const OPTIONS = {
+  clients: { type: "string" },
+  transactions: { type: "string" },
+  out: { type: "string" },
+  policy: { type: "string" },
+  sector: { type: "string" },
+  org: { type: "string" },
+  fx: { type: "string" },
+  "date-format": { type: "string" },
+  timezone: { type: "string" },
+  "re-name": { type: "string" },
+  "re-number": { type: "string" },
+  "run-id": { type: "string" },
+  preflight: { type: "boolean" },
+  strict: { type: "boolean" },
+  "allow-issues": { type: "boolean" },
+  quiet: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+// stdout carries only the summary; progress goes to stderr
+const print = (obj) => process.stdout.write(JSON.stringify(obj, null, 2) + "\n");
+
+function fail(code, error, extra = {}) {
+  print({ ok: false, error, ...extra });
+  process.exitCode = code;
+}
+
+// A readable file, as the { path, originalname } that ingestInput expects
+function inputFile(p, label) {
+  if (p === undefined) return undefined;
+  if (!fs.existsSync(p) || !fs.statSync(p).isFile()) throw new IngestError(`${label}: no such file: ${p}`);
+  return { path: path.resolve(p), originalname: path.basename(p) };
+}
+
+// Command-line flags → the same input an upload produces
+function buildInput(args) {
+  for (const f of ["clients", "transactions", "out"])
+    if (!args[f]) throw new IngestError(`--${f} is required`);
+  if (args["run-id"] !== undefined && !/^[\w-]+$/.test(args["run-id"]))
+    throw new IngestError("--run-id may only contain letters, digits, _ and -");
+  if (args["run-id"] && fs.existsSync(path.join(args.out, args["run-id"])))
+    throw new IngestError(`${path.join(args.out, args["run-id"])} already exists`);
+  // a policy argument that names a file is uploaded; anything else is a policy id
+  const policyIsFile = args.policy !== undefined && fs.existsSync(args.policy);
+  const files = {
+    clients: inputFile(args.clients, "--clients"),
+    transactions: inputFile(args.transactions, "--transactions"),
+    policyFile: policyIsFile ? inputFile(args.policy, "--policy") : undefined,
+    fxRates: inputFile(args.fx, "--fx"),
+  };
+  const body = {
+    policy: policyIsFile ? undefined : args.policy,
+    sector: args.sector,
+    dateFormat: args["date-format"],
+    timezone: args.timezone,
+    reName: args["re-name"],
+    reNumber: args["re-number"],
+  };
+  const user = args.org && { orgId: args.org, name: "trancheready CLI", email: os.userInfo().username };
+  try {
+    return ingestInput({ body, user, files });
+  } catch (e) {
+    // e.g. an unknown organisation (AccountError)
+    throw e instanceof IngestError ? e : new IngestError(e.message);
+  }
+}
+
+function progressReporter(quiet) {
+  if (quiet) return () => {};
+  let last = null;
+  return ({ stage }) => {
+    if (stage === last) return;
+    last = stage;
+    const s = STAGES.find((x) => x.id === stage);
+    process.stderr.write(`trancheready: ${s ? s.label : stage}\n`);
+  };
+}
+
+async function main(argv) {
+  let args;
+  try {
+    ({ values: args } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+  } catch (e) {
+    process.stderr.write(USAGE + "\n");
+    return fail(2, e.message);
+  }
+  if (args.help) return process.stdout.write(USAGE + "\n");
+
+  let input;
+  try {
+    input = buildInput(args);
+  } catch (e) {
+    if (!(e instanceof IngestError)) throw e;
+    return fail(2, e.message);
+  }
+  const onProgress = progressReporter(args.quiet);
+
+  if (args.strict && args["allow-issues"]) return fail(2, "--strict and --allow-issues cannot be combined");
+
+  if (args.preflight || !args["allow-issues"]) {
+    const check = await runIngest({ ...input, preflightOnly: true, onProgress });
+    const { summary, headers } = check.dataQuality;
+    if (args.preflight) {
+      print({ ok: summary.total === 0, preflight: true, dataQuality: check.dataQuality, columns: check.columns });
+      if (summary.total) process.exitCode = 3;
+      return;
+    }
+    const missingColumns = { clients: headers.clients.missing, transactions: headers.transactions.missing };
+    if (args.strict && summary.total)
+      return fail(3, `Data quality check found ${summary.total} issue(s)`, { dataQuality: summary, missingColumns });
+    if (summary.blocking)
+      return fail(3, `Data quality check found ${summary.blocking} blocking issue(s); pass --allow-issues to score anyway`, {
+        dataQuality: summary,
+        missingColumns,
+      });
+  }
+
+  const outDir = path.resolve(args.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  const { runId, runDir } = await runIngest({
+    ...input,
+    runId: args["run-id"],
+    runsDir: outDir,
+    createdBy: input.createdBy || `trancheready CLI <${os.userInfo().username}>`,
+    onProgress,
+  });
+  const run = readRunJson(runDir, "run.json");
+  const signature = readSignature(runDir);
+  print({
+    ok: true,
+    runId,
+    runDir,
+    pack: path.join(runDir, PACK_ZIP),
+    manifest: {
+      path: path.join(runDir, MANIFEST),
+      sha256: signature.manifestSha256,
+      keyFingerprint: signature.keyFingerprint,
+    },
+    encryption: runEncryption(runDir),
+    policy: run.policy,
+    sector: run.sector,
+    counts: run.counts,
+    network: run.network,
+    screening: { candidates: run.screening.candidates },
+    ttr: { reports: run.ttr.reports, valid: run.ttr.valid, invalid: run.ttr.invalid },
+    dataQuality: run.dataQuality,
+    dates: run.dates,
+  });
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  process.stderr.write(`${e.stack || e}\n`);
+  fail(1, e.message);
+});
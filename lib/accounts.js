@@ -0,0 +1,363 @@
+// lib/accounts.js — organisations, local user accounts, sessions and role permissions
+//
+// Several reporting entities can share one deployment. Each organisation owns its runs
+// (run.json `orgId`), jobs and mapping profiles; users belong to exactly one
+// organisation and have one role:
+//   analyst             upload data, work the data quality review and cases
+//   compliance_officer  everything an analyst can do, plus approve packs, manage share
+//                       links, sanctions / PEP lists, API keys, the organisation's details
+//                       and users
+//   auditor             read-only: runs, cases, packs
+// Accounts live in runs/_auth/accounts.json (passwords as scrypt hashes) and sessions in
+// runs/_auth/sessions.json, keyed by the SHA-256 of the session id.
+// Each organisation also keeps its details (ORG_DETAILS: legal name, AUSTRAC number,
+// compliance officer, board, default sector profile) for the program document and TTRs.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { RUNS_DIR } = require("./evidence");
+const { readRunJson, writeRunFile } = require("./encryption");
+const { MAPPINGS_DIR } = require("./columns");
+const { DEFAULT_SECTOR_ID, loadSector } = require("./sectors");
+
+const AUTH_DIR = path.join(RUNS_DIR, "_auth");
+const ACCOUNTS_FILE = path.join(AUTH_DIR, "accounts.json");
+const SESSIONS_FILE = path.join(AUTH_DIR, "sessions.json");
+const SESSION_HOURS = Number(process.env.SESSION_HOURS) || 12;
+const MIN_PASSWORD = 10;
+
+const ROLES = {
+  analyst: "Analyst",
+  compliance_officer: "Compliance officer",
+  auditor: "Auditor",
+};
+const PERMISSIONS = {
+  "run.read": ["analyst", "compliance_officer", "auditor"],
+  "run.create": ["analyst", "compliance_officer"],
+  "case.update": ["analyst", "compliance_officer"],
+  "pack.regenerate": ["analyst", "compliance_officer"],
+  "pack.approve": ["compliance_officer"],
+  "share.manage": ["compliance_officer"],
+  "users.manage": ["compliance_officer"],
+  "org.manage": ["compliance_officer"],
+  "lists.manage": ["compliance_officer"],
+  "apikeys.manage": ["compliance_officer"],
+  "webhooks.manage": ["compliance_officer"],
+};
+// Organisation details → form label
+const ORG_DETAILS = {
+  legalName: "Legal name (as registered with AUSTRAC)",
+  abn: "ABN",
+  reportingEntityNumber: "AUSTRAC reporting entity number",
+  complianceOfficer: "AML/CTF compliance officer",
+  complianceOfficerEmail: "Compliance officer email",
+  board: "Board / senior management the compliance officer reports to",
+};
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const can = (user, action) => !!user && (PERMISSIONS[action] || []).includes(user.role);
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+const newId = () => crypto.randomBytes(8).toString("hex");
+
+function readJson(file, empty) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : empty;
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(AUTH_DIR, { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+const readAccounts = () => readJson(ACCOUNTS_FILE, { orgs: [], users: [] });
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return { algorithm: "scrypt", salt: salt.toString("hex"), hash: hash.toString("hex") };
+}
+
+function passwordMatches(stored, password) {
+  const given = crypto.scryptSync(String(password || ""), Buffer.from(stored.salt, "hex"), 32);
+  return crypto.timingSafeEqual(given, Buffer.from(stored.hash, "hex"));
+}
+
+// Compared against when the email is unknown, so both paths take the same time
+const DUMMY_PASSWORD = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+function checkPassword(password) {
+  if (String(password || "").length < MIN_PASSWORD)
+    throw new AccountError(`Password must be at least ${MIN_PASSWORD} characters`);
+}
+
+// What the app sees of a user: never the password hash
+function publicUser(user, accounts = readAccounts()) {
+  const { password, ...rest } = user;
+  const org = accounts.orgs.find((o) => o.id === user.orgId);
+  return { ...rest, orgName: org ? org.name : null };
+}
+
+// "Name <email>" — how a user is recorded in audit trails
+const userLabel = (user) => `${user.name} <${user.email}>`;
+
+function hasAccounts() {
+  return readAccounts().users.length > 0;
+}
+
+function createOrg(name) {
+  name = String(name || "").trim();
+  if (!name) throw new AccountError("Organisation needs a name");
+  const accounts = readAccounts();
+  if (accounts.orgs.some((o) => o.name.toLowerCase() === name.toLowerCase()))
+    throw new AccountError(`Organisation already exists: ${name}`);
+  const org = { id: newId(), name, createdAt: new Date().toISOString() };
+  accounts.orgs.push(org);
+  writeJson(ACCOUNTS_FILE, accounts);
+  return org;
+}
+
+function listOrgs() {
+  return readAccounts().orgs;
+}
+
+/** An organisation's details (empty strings for anything not filled in yet). */
+function orgDetails(orgId) {
+  const org = readAccounts().orgs.find((o) => o.id === orgId);
+  if (!org) throw new AccountError("Unknown organisation", 404);
+  const details = org.details || {};
+  const out = { id: org.id, name: org.name, sector: details.sector || DEFAULT_SECTOR_ID };
+  for (const k of Object.keys(ORG_DETAILS)) out[k] = details[k] || "";
+  return out;
+}
+
+/** Update an organisation's details; unknown keys are ignored. */
+function updateOrgDetails(orgId, changes) {
+  const accounts = readAccounts();
+  const org = accounts.orgs.find((o) => o.id === orgId);
+  if (!org) throw new AccountError("Unknown organisation", 404);
+  const details = { ...(org.details || {}) };
+  for (const k of Object.keys(ORG_DETAILS))
+    if (changes[k] !== undefined) details[k] = String(changes[k]).trim().slice(0, 300);
+  if (details.abn && !/^\d{11}$/.test(details.abn.replace(/\s/g, "")))
+    throw new AccountError("ABN must be 11 digits");
+  if (details.complianceOfficerEmail && !/^[^@\s]+@[^@\s]+$/.test(details.complianceOfficerEmail))
+    throw new AccountError("Enter a valid compliance officer email");
+  if (changes.sector !== undefined) {
+    try {
+      details.sector = loadSector(changes.sector).sector.id;
+    } catch (e) {
+      throw new AccountError(e.message);
+    }
+  }
+  org.details = details;
+  writeJson(ACCOUNTS_FILE, accounts);
+  return orgDetails(orgId);
+}
+
+function createUser({ orgId, email, name, role, password }) {
+  const accounts = readAccounts();
+  if (!accounts.orgs.some((o) => o.id === orgId)) throw new AccountError("Unknown organisation", 404);
+  email = String(email || "").trim().toLowerCase();
+  name = String(name || "").trim();
+  if (!/^[^@\s]+@[^@\s]+$/.test(email)) throw new AccountError("Enter a valid email address");
+  if (!name) throw new AccountError("Enter the user's name");
+  if (!ROLES[role]) throw new AccountError(`Unknown role: ${role}`);
+  checkPassword(password);
+  if (accounts.users.some((u) => u.email === email)) throw new AccountError(`A user with email ${email} already exists`);
+  const user = {
+    id: newId(),
+    orgId,
+    email,
+    name,
+    role,
+    password: hashPassword(password),
+    createdAt: new Date().toISOString(),
+    disabledAt: null,
+    lastLoginAt: null,
+  };
+  accounts.users.push(user);
+  writeJson(ACCOUNTS_FILE, accounts);
+  return publicUser(user, accounts);
+}
+
+function listUsers(orgId) {
+  const accounts = readAccounts();
+  return accounts.users
+    .filter((u) => u.orgId === orgId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((u) => publicUser(u, accounts));
+}
+
+/** Change a user's role, password or disabled state (within one organisation). */
+function updateUser(orgId, id, { role, password, disabled }) {
+  const accounts = readAccounts();
+  const user = accounts.users.find((u) => u.id === id && u.orgId === orgId);
+  if (!user) throw new AccountError("User not found", 404);
+  if (role !== undefined) {
+    if (!ROLES[role]) throw new AccountError(`Unknown role: ${role}`);
+    user.role = role;
+  }
+  if (password) {
+    checkPassword(password);
+    user.password = hashPassword(password);
+  }
+  if (disabled !== undefined) user.disabledAt = disabled ? user.disabledAt || new Date().toISOString() : null;
+  // an organisation must keep someone who can manage it
+  if (!accounts.users.some((u) => u.orgId === orgId && !u.disabledAt && u.role === "compliance_officer"))
+    throw new AccountError("The organisation needs at least one active compliance officer");
+  writeJson(ACCOUNTS_FILE, accounts);
+  if (disabled || password) endSessions(user.id);
+  return publicUser(user, accounts);
+}
+
+/** The user for an email and password, or null. Disabled users cannot sign in. */
+function authenticate(email, password) {
+  const accounts = readAccounts();
+  const user = accounts.users.find((u) => u.email === String(email || "").trim().toLowerCase());
+  const ok = passwordMatches(user ? user.password : DUMMY_PASSWORD, password);
+  if (!user || !ok || user.disabledAt) return null;
+  user.lastLoginAt = new Date().toISOString();
+  writeJson(ACCOUNTS_FILE, accounts);
+  return publicUser(user, accounts);
+}
+
+function readSessions(now = Date.now()) {
+  const sessions = readJson(SESSIONS_FILE, {});
+  for (const [k, s] of Object.entries(sessions)) if (new Date(s.expiresAt) <= now) delete sessions[k];
+  return sessions;
+}
+
+/** Start a session; returns the id for the cookie (only its hash is stored). */
+function createSession(userId, now = new Date()) {
+  const sid = crypto.randomBytes(32).toString("base64url");
+  const sessions = readSessions(now);
+  sessions[sha256(sid)] = {
+    userId,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_HOURS * 3600000).toISOString(),
+  };
+  writeJson(SESSIONS_FILE, sessions);
+  return { sid, maxAge: SESSION_HOURS * 3600 };
+}
+
+/** The signed-in user for a session id, or null (expired, unknown or disabled). */
+function sessionUser(sid) {
+  if (!sid) return null;
+  const session = readSessions()[sha256(sid)];
+  if (!session) return null;
+  const accounts = readAccounts();
+  const user = accounts.users.find((u) => u.id === session.userId);
+  return user && !user.disabledAt ? publicUser(user, accounts) : null;
+}
+
+function endSession(sid) {
+  const sessions = readSessions();
+  if (!sessions[sha256(sid)]) return;
+  delete sessions[sha256(sid)];
+  writeJson(SESSIONS_FILE, sessions);
+}
+
+function endSessions(userId) {
+  const sessions = readSessions();
+  for (const [k, s] of Object.entries(sessions)) if (s.userId === userId) delete sessions[k];
+  writeJson(SESSIONS_FILE, sessions);
+}
+
+/** Organisation that owns a run directory (from run.json), or null. */
+function runOrgId(runDir) {
+  const p = path.join(runDir, "run.json");
+  return fs.existsSync(p) ? readRunJson(runDir, "run.json").orgId || null : null;
+}
+
+/**
+ * Give runs and mapping profiles made before accounts existed to an organisation.
+ * Used when the first organisation is set up; returns what was claimed.
+ */
+function claimUnowned(orgId) {
+  if (!readAccounts().orgs.some((o) => o.id === orgId)) throw new AccountError("Unknown organisation", 404);
+  const claimed = { runs: 0, mappings: 0 };
+  // run.json goes through lib/encryption.js; mapping profiles are plain JSON
+  const claim = (file, key) => {
+    const [dir, name] = [path.dirname(file), path.basename(file)];
+    const data = key === "runs" ? readRunJson(dir, name) : JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.orgId) return;
+    data.orgId = orgId;
+    if (key === "runs") writeRunFile(dir, name, JSON.stringify(data, null, 2));
+    else fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    claimed[key]++;
+  };
+  for (const d of fs.existsSync(RUNS_DIR) ? fs.readdirSync(RUNS_DIR) : []) {
+    const p = path.join(RUNS_DIR, d, "run.json");
+    if (!d.startsWith("_") && fs.existsSync(p)) claim(p, "runs");
+  }
+  for (const f of fs.existsSync(MAPPINGS_DIR) ? fs.readdirSync(MAPPINGS_DIR) : [])
+    if (f.endsWith(".json")) claim(path.join(MAPPINGS_DIR, f), "mappings");
+  return claimed;
+}
+
+/** First-run setup: the first organisation, its compliance officer and any existing runs. */
+function setupFirstOrg({ orgName, email, name, password }) {
+  if (hasAccounts()) throw new AccountError("Setup has already been done", 409);
+  checkPassword(password);
+  const org = createOrg(orgName);
+  const user = createUser({ orgId: org.id, email, name, role: "compliance_officer", password });
+  return { org, user, claimed: claimUnowned(org.id) };
+}
+
+module.exports = {
+  AUTH_DIR,
+  ROLES,
+  PERMISSIONS,
+  ORG_DETAILS,
+  AccountError,
+  can,
+  userLabel,
+  hasAccounts,
+  createOrg,
+  listOrgs,
+  orgDetails,
+  updateOrgDetails,
+  createUser,
+  listUsers,
+  updateUser,
+  authenticate,
+  createSession,
+  sessionUser,
+  endSession,
+  runOrgId,
+  claimUnowned,
+  setupFirstOrg,
+};
+
+// Account admin from a shell:
+//   node lib/accounts.js add-org "<name>"
+//   node lib/accounts.js add-user <orgId> <email> "<name>" <role>   (password from TR_PASSWORD)
+//   node lib/accounts.js list
+//   node lib/accounts.js claim-runs <orgId>
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+  try {
+    if (cmd === "add-org") console.log(JSON.stringify(createOrg(args[0]), null, 2));
+    else if (cmd === "add-user") {
+      const [orgId, email, name, role] = args;
+      console.log(JSON.stringify(createUser({ orgId, email, name, role, password: process.env.TR_PASSWORD }), null, 2));
+    } else if (cmd === "list")
+      console.log(JSON.stringify(listOrgs().map((o) => ({ ...o, users: listUsers(o.id) })), null, 2));
+    else if (cmd === "claim-runs") console.log(JSON.stringify(claimUnowned(args[0])));
+    else {
+      console.error("Usage: node lib/accounts.js add-org|add-user|list|claim-runs ...");
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,107 @@
+// lib/apiKeys.js — API keys for the REST API (/api/v1, routes/api.js)
+//
+// A key belongs to one organisation and acts with one role (lib/accounts.js ROLES), so
+// an integration gets exactly the permissions of an analyst, compliance officer or
+// auditor of that organisation. The key is shown once when it is created; the index in
+// runs/_auth/api_keys.json keeps only its SHA-256 and a short prefix to recognise it by.
+// Callers send it as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { AUTH_DIR, ROLES, AccountError, listOrgs } = require("./accounts");
+
+const KEYS_FILE = path.join(AUTH_DIR, "api_keys.json");
+const KEY_PREFIX = "trk_";
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function readKeys() {
+  return fs.existsSync(KEYS_FILE) ? JSON.parse(fs.readFileSync(KEYS_FILE, "utf8")) : [];
+}
+
+function writeKeys(keys) {
+  fs.mkdirSync(AUTH_DIR, { recursive: true });
+  const tmp = `${KEYS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, KEYS_FILE);
+}
+
+// What is listed for a key: never its hash
+const publicKey = ({ hash, ...rest }) => rest;
+
+/** Create a key; returns { key, apiKey } — `key` is the secret and is not stored. */
+function createApiKey({ orgId, name, role = "analyst", createdBy }) {
+  name = String(name || "").trim().slice(0, 100);
+  if (!name) throw new AccountError("Give the key a name (e.g. the system that will use it)");
+  if (!ROLES[role]) throw new AccountError(`Unknown role: ${role}`);
+  if (!listOrgs().some((o) => o.id === orgId)) throw new AccountError("Unknown organisation", 404);
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const apiKey = {
+    id: crypto.randomBytes(8).toString("hex"),
+    orgId,
+    name,
+    role,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: sha256(key),
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+    revokedBy: null,
+  };
+  const keys = readKeys();
+  keys.push(apiKey);
+  writeKeys(keys);
+  return { key, apiKey: publicKey(apiKey) };
+}
+
+function listApiKeys(orgId) {
+  return readKeys()
+    .filter((k) => k.orgId === orgId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicKey);
+}
+
+function revokeApiKey(orgId, id, revokedBy) {
+  const keys = readKeys();
+  const k = keys.find((x) => x.id === id && x.orgId === orgId);
+  if (!k) throw new AccountError("API key not found", 404);
+  if (!k.revokedAt) {
+    k.revokedAt = new Date().toISOString();
+    k.revokedBy = revokedBy || null;
+    writeKeys(keys);
+  }
+  return publicKey(k);
+}
+
+/**
+ * The caller for a key, shaped like a signed-in user (orgId, role, name, email) so
+ * permission checks and audit labels work unchanged; null for unknown or revoked keys.
+ */
+function apiKeyUser(key) {
+  if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+  const keys = readKeys();
+  const hash = Buffer.from(sha256(key), "hex");
+  const k = keys.find((x) => crypto.timingSafeEqual(Buffer.from(x.hash, "hex"), hash));
+  if (!k || k.revokedAt) return null;
+  const org = listOrgs().find((o) => o.id === k.orgId);
+  if (!org) return null;
+  // last use to the minute is enough and saves a write per request
+  const now = new Date().toISOString();
+  if (!k.lastUsedAt || k.lastUsedAt.slice(0, 16) !== now.slice(0, 16)) {
+    k.lastUsedAt = now;
+    writeKeys(keys);
+  }
+  return {
+    id: `apikey:${k.id}`,
+    apiKeyId: k.id,
+    orgId: k.orgId,
+    orgName: org.name,
+    role: k.role,
+    name: `API key "${k.name}"`,
+    email: k.prefix,
+  };
+}
+
+module.exports = { KEYS_FILE, KEY_PREFIX, createApiKey, listApiKeys, revokeApiKey, apiKeyUser };
@@ -0,0 +1,128 @@
+// lib/cases.js — monitoring case lifecycle, assignments and audit trail (per run)
+const fs = require("fs");
+const path = require("path");
+const dayjs = require("dayjs");
+
+const { readRunFile, readRunJson, writeRunFile, appendRunFile } = require("./encryption");
+
+const CASES_FILE = "cases.json";
+const AUDIT_FILE = "audit.jsonl";
+const CASE_DUE_DAYS = 14;
+
+const STATUSES = {
+  open: "Open",
+  under_review: "Under review",
+  escalated: "Escalated",
+  smr_lodged: "SMR lodged",
+  closed_no_action: "Closed – no action",
+};
+const TRANSITIONS = {
+  open: ["under_review", "closed_no_action"],
+  under_review: ["escalated", "closed_no_action", "open"],
+  escalated: ["smr_lodged", "closed_no_action", "under_review"],
+  smr_lodged: [],
+  closed_no_action: ["under_review"], // reopen
+};
+const FINAL = new Set(["smr_lodged", "closed_no_action"]);
+
+class CaseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Give freshly detected cases an id and an initial workflow state
+function initCases(cases, now = new Date()) {
+  const created = now.toISOString();
+  const due = dayjs(now).add(CASE_DUE_DAYS, "day").format("YYYY-MM-DD");
+  return cases.map((k, i) => ({
+    id: `CASE-${String(i + 1).padStart(4, "0")}`,
+    ...k,
+    status: "open",
+    assignee: null,
+    dueDate: due,
+    disposition: null,
+    notes: [],
+    createdAt: created,
+    updatedAt: created,
+  }));
+}
+
+function loadCases(runDir) {
+  const p = path.join(runDir, CASES_FILE);
+  if (!fs.existsSync(p)) throw new CaseError("Run not found", 404);
+  return readRunJson(runDir, CASES_FILE);
+}
+
+function readAudit(runDir, caseId) {
+  const p = path.join(runDir, AUDIT_FILE);
+  if (!fs.existsSync(p)) return [];
+  return readRunFile(runDir, AUDIT_FILE)
+    .toString("utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l))
+    .filter((e) => !caseId || e.caseId === caseId);
+}
+
+function appendAudit(runDir, entry) {
+  appendRunFile(runDir, AUDIT_FILE, JSON.stringify(entry) + "\n");
+}
+
+// Apply a change set from an investigator; every field change is audited
+function updateCase(runDir, caseId, input, user) {
+  if (!user) throw new CaseError("Say who is making the change");
+  const cases = loadCases(runDir);
+  const k = cases.find((c) => c.id === caseId);
+  if (!k) throw new CaseError("Case not found", 404);
+
+  const at = new Date().toISOString();
+  const changes = {};
+  const set = (field, to) => {
+    if ((k[field] ?? null) === (to ?? null)) return;
+    changes[field] = { from: k[field] ?? null, to: to ?? null };
+    k[field] = to ?? null;
+  };
+
+  if (input.status && input.status !== k.status) {
+    if (!STATUSES[input.status]) throw new CaseError(`Unknown status: ${input.status}`);
+    if (!TRANSITIONS[k.status].includes(input.status))
+      throw new CaseError(`Cannot move a case from ${STATUSES[k.status]} to ${STATUSES[input.status]}`);
+    const reason = (input.dispositionReason || "").trim();
+    if (FINAL.has(input.status) && !reason)
+      throw new CaseError("A disposition reason is required to close a case or record an SMR");
+    set("status", input.status);
+    set("disposition", FINAL.has(input.status) ? { status: input.status, reason, by: user, at } : null);
+  }
+  if (input.assignee !== undefined) set("assignee", String(input.assignee).trim() || null);
+  if (input.dueDate !== undefined) {
+    const due = String(input.dueDate).trim();
+    if (due && !(/^\d{4}-\d{2}-\d{2}$/.test(due) && dayjs(due).isValid()))
+      throw new CaseError("Due date must be YYYY-MM-DD");
+    set("dueDate", due || null);
+  }
+  const note = (input.note || "").trim();
+  if (note) k.notes.push({ at, by: user, text: note });
+
+  if (!Object.keys(changes).length && !note) return { case: k, entry: null };
+  k.updatedAt = at;
+  writeRunFile(runDir, CASES_FILE, JSON.stringify(cases, null, 2));
+  const entry = { at, user, caseId, changes, note: note || undefined };
+  appendAudit(runDir, entry);
+  return { case: k, entry };
+}
+
+module.exports = {
+  CASES_FILE,
+  AUDIT_FILE,
+  STATUSES,
+  TRANSITIONS,
+  FINAL,
+  CaseError,
+  initCases,
+  loadCases,
+  readAudit,
+  appendAudit,
+  updateCase,
+};
@@ -0,0 +1,238 @@
+// lib/columns.js — CSV header → canonical field mapping, plus saved mapping profiles
+//
+// The built-in synonyms below cover common exports. A mapping profile records how one
+// source system's headers map (or are ignored) and is found again by header signature,
+// so the next file with the same columns needs no manual mapping. Profiles belong to
+// the organisation that saved them (`orgId`) and are only found for its uploads.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { RUNS_DIR } = require("./evidence");
+
+const MAPPINGS_DIR = path.join(RUNS_DIR, "_mappings");
+const KINDS = ["clients", "transactions"];
+
+// Case-insensitive header normalizers + synonyms
+const CLIENT_KEYMAP = new Map(
+  Object.entries({
+    clientid: "ClientID",
+    client_id: "ClientID",
+    id: "ClientID",
+    name: "Name",
+    entitytype: "EntityType",
+    type: "EntityType",
+    country: "Country",
+    state: "State",
+    suburb: "Suburb",
+    postcode: "Postcode",
+    residencystatus: "ResidencyStatus",
+    pep: "PEP",
+    kycstatus: "KYCStatus",
+    onboarddate: "OnboardDate",
+    lastkycreview: "LastKYCReview",
+    deliverychannel: "DeliveryChannel",
+    channel: "DeliveryChannel",
+    servicesused: "ServicesUsed",
+    services: "ServicesUsed",
+    industry: "Industry",
+    annualturnoveraud: "AnnualTurnoverAUD",
+    sourceoffunds: "SourceOfFunds",
+    sanctionsmatch: "SanctionsMatch",
+    riskcountryexposure: "RiskCountryExposure",
+    dob: "DateOfBirth",
+    dateofbirth: "DateOfBirth",
+    date_of_birth: "DateOfBirth",
+    address: "Address",
+    street: "Address",
+    abn: "ABN",
+    occupation: "Occupation",
+  })
+);
+
+const TX_KEYMAP = new Map(
+  Object.entries({
+    txnid: "TxnID",
+    id: "TxnID",
+    clientid: "ClientID",
+    client_id: "ClientID",
+    client: "ClientName",
+    client_name: "ClientName",
+    name: "ClientName",
+    date: "Date",
+    txn_date: "Date",
+    timestamp: "Date",
+    amount: "Amount",
+    aud_amount: "Amount",
+    value: "Amount",
+    currency: "Currency",
+    type: "Type",
+    channel: "Channel",
+    method: "Channel",
+    location: "Location",
+    counterpartyname: "CounterpartyName",
+    counterparty: "CounterpartyName",
+    counterparty_name: "CounterpartyName",
+    beneficiary: "CounterpartyName",
+    counterpartycountry: "CounterpartyCountry",
+    counterparty_country: "CounterpartyCountry",
+    country: "CounterpartyCountry",
+    direction: "Direction",
+    drcr: "Direction",
+    dr_cr: "Direction",
+    debitcredit: "Direction",
+    notes: "Notes",
+  })
+);
+
+const DEFAULT_KEYMAPS = { clients: CLIENT_KEYMAP, transactions: TX_KEYMAP };
+
+// Canonical fields a header can be mapped to, in keymap order
+const FIELDS = {
+  clients: [...new Set(CLIENT_KEYMAP.values())],
+  transactions: [...new Set(TX_KEYMAP.values())],
+};
+
+// Fields holding dates (parsed and normalised by lib/dates.js)
+const DATE_FIELDS = {
+  clients: ["OnboardDate", "LastKYCReview", "DateOfBirth"],
+  transactions: ["Date"],
+};
+
+const headerKey = (h) => String(h).toLowerCase().trim();
+
+function normalizeRow(row, keymap) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    const canon = keymap.get(headerKey(k));
+    if (canon) out[canon] = typeof v === "string" ? v.trim() : v;
+  }
+  return out;
+}
+
+// Order- and case-insensitive fingerprint of a file's header row
+function headerSignature(headers) {
+  const canon = [...new Set(headers.map(headerKey))].sort().join("\n");
+  return crypto.createHash("sha256").update(canon).digest("hex").slice(0, 16);
+}
+
+function validKind(kind) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown mapping kind: ${kind}`);
+  return kind;
+}
+
+function profilePath(id) {
+  if (!/^[\w.-]+$/.test(String(id || ""))) throw new Error(`Invalid mapping profile id: ${id}`);
+  return path.join(MAPPINGS_DIR, `${id}.json`);
+}
+
+const sameOrg = (profile, orgId) => (profile.orgId || null) === (orgId || null);
+
+// An organisation's profiles (no orgId: profiles saved before accounts existed)
+function listProfiles(orgId) {
+  if (!fs.existsSync(MAPPINGS_DIR)) return [];
+  return fs
+    .readdirSync(MAPPINGS_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(MAPPINGS_DIR, f), "utf8")))
+    .filter((p) => sameOrg(p, orgId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadProfile(id, orgId) {
+  const p = profilePath(id);
+  const profile = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+  if (!profile || !sameOrg(profile, orgId)) throw new Error(`Mapping profile not found: ${id}`);
+  return profile;
+}
+
+// Most recently saved profile for this kind of file and header signature
+function findProfile(kind, signature, orgId) {
+  return (
+    listProfiles(orgId)
+      .filter((p) => p.kind === kind && p.signature === signature)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null
+  );
+}
+
+/**
+ * Save (or overwrite, by name) a profile. `columns` maps each header to a canonical
+ * field, or to null to ignore it.
+ */
+function saveProfile({ name, kind, headers, columns, orgId }) {
+  name = String(name || "").trim();
+  if (!name) throw new Error("Mapping profile needs a name");
+  validKind(kind);
+  const fields = new Set(FIELDS[kind]);
+  const cols = {};
+  for (const h of headers) {
+    const canon = columns[h] || null;
+    if (canon && !fields.has(canon)) throw new Error(`Unknown ${kind} field for "${h}": ${canon}`);
+    cols[h] = canon;
+  }
+  const slug = name.toLowerCase().replace(/[^\w.-]+/g, "-").replace(/^-+|-+$/g, "");
+  const id = orgId ? `${orgId}-${kind}-${slug}` : `${kind}-${slug}`;
+  const now = new Date().toISOString();
+  let createdAt = now;
+  try {
+    createdAt = loadProfile(id, orgId).createdAt;
+  } catch {
+    // new profile
+  }
+  const profile = {
+    id,
+    name,
+    kind,
+    orgId: orgId || undefined,
+    signature: headerSignature(headers),
+    columns: cols,
+    createdAt,
+    updatedAt: now,
+  };
+  fs.mkdirSync(MAPPINGS_DIR, { recursive: true });
+  fs.writeFileSync(profilePath(id), JSON.stringify(profile, null, 2));
+  return profile;
+}
+
+/**
+ * Work out how one file's headers map. Precedence per header: an explicit `override`
+ * (from the mapping step), then the saved profile for this header signature, then the
+ * built-in synonyms. Only `orgId`'s profiles are considered. Returns the keymap for
+ * normalizeRow plus what was used.
+ */
+function resolveMapping(kind, headers, override = null, orgId = null) {
+  const defaults = DEFAULT_KEYMAPS[validKind(kind)];
+  const signature = headerSignature(headers);
+  const profile = override ? null : findProfile(kind, signature, orgId);
+  const explicit = override || (profile && profile.columns) || {};
+  const columns = {};
+  const keymap = new Map();
+  for (const h of headers) {
+    const canon = Object.hasOwn(explicit, h) ? explicit[h] || null : defaults.get(headerKey(h)) || null;
+    columns[h] = canon;
+    if (!keymap.has(headerKey(h))) keymap.set(headerKey(h), canon);
+  }
+  return {
+    signature,
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    source: override ? "manual" : profile ? "profile" : "default",
+    columns,
+    keymap,
+  };
+}
+
+module.exports = {
+  MAPPINGS_DIR,
+  KINDS,
+  FIELDS,
+  DATE_FIELDS,
+  CLIENT_KEYMAP,
+  TX_KEYMAP,
+  normalizeRow,
+  headerSignature,
+  listProfiles,
+  loadProfile,
+  findProfile,
+  saveProfile,
+  resolveMapping,
+};
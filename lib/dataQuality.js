@@ -0,0 +1,152 @@
+// lib/dataQuality.js — pre-flight data quality report (what scoring would silently skip)
+const { parseDate, toNum } = require("./riskEngine");
+
+const MAX_LISTED = 200; // rows listed per finding; counts are always complete
+const CLIENT_CDD_FIELDS = ["Name", "EntityType", "Country", "KYCStatus", "OnboardDate", "SourceOfFunds"];
+// Fields scoring cannot do without: each entry is satisfied by any one of its columns
+const REQUIRED_FIELDS = {
+  clients: [["ClientID"]],
+  transactions: [["Date"], ["Amount"], ["ClientID", "ClientName"]],
+};
+// Issues that make a run meaningless rather than incomplete (the CLI stops on these)
+const BLOCKING_ISSUES = [
+  "headers.missingRequired",
+  "clients.missingClientIds",
+  "clients.duplicateClientIds",
+  "transactions.unparseableDates",
+  "transactions.unparseableAmounts",
+  "transactions.duplicateTxnIds",
+];
+
+// CSV line number for a data row (line 1 is the header)
+const lineOf = (i) => i + 2;
+
+function finding(list) {
+  return { count: list.length, rows: list.slice(0, MAX_LISTED), truncated: list.length > MAX_LISTED };
+}
+
+function headerReport(headers, keymap, required) {
+  const mapped = {};
+  const unmapped = [];
+  for (const h of headers) {
+    const canon = keymap.get(h.toLowerCase().trim());
+    if (canon) mapped[h] = canon;
+    else unmapped.push(h);
+  }
+  const fields = new Set(Object.values(mapped));
+  const missing = required.filter((any) => !any.some((f) => fields.has(f))).map((any) => any.join(" or "));
+  return { mapped, unmapped, missing };
+}
+
+// The raw cell behind a canonical field (first mapped header that has a value)
+function rawValue(row, headers, canon) {
+  for (const [h, c] of Object.entries(headers.mapped)) if (c === canon && row[h] !== "" && row[h] != null) return row[h];
+  return "";
+}
+
+function duplicates(rows, key) {
+  const seen = new Map();
+  rows.forEach((r, i) => {
+    const v = r[key];
+    if (!v) return;
+    if (!seen.has(v)) seen.set(v, []);
+    seen.get(v).push(lineOf(i));
+  });
+  return [...seen].filter(([, lines]) => lines.length > 1).map(([value, lines]) => ({ [key]: value, lines }));
+}
+
+// Rows from normalizeDates (lib/dates.js) as findings
+const dateRows = (list, rows, idKey) =>
+  list.map((r) => ({
+    line: lineOf(r.index),
+    [idKey]: rows[r.index][idKey],
+    field: r.field,
+    value: r.value,
+    readAs: r.readAs,
+  }));
+
+/**
+ * Build the report from raw CSV rows and their normalised forms (same order).
+ * Synthesised fallback ids (ClientID/TxnID filled in by the pipeline) count as missing.
+ * `dates` is the normalizeDates result per file; `asOf` the scoring reference day.
+ */
+function dataQualityReport({ clientsRaw, txRaw, clients, tx, clientKeymap, txKeymap, dates, asOf }) {
+  const clientHeaders = headerReport(Object.keys(clientsRaw[0] || {}), clientKeymap, REQUIRED_FIELDS.clients);
+  const txHeaders = headerReport(Object.keys(txRaw[0] || {}), txKeymap, REQUIRED_FIELDS.transactions);
+  const rawClientId = (i) => !!rawValue(clientsRaw[i], clientHeaders, "ClientID");
+  const rawTxnId = (i) => !!rawValue(txRaw[i], txHeaders, "TxnID");
+
+  const knownClients = new Set();
+  for (const c of clients) {
+    knownClients.add(c.ClientID);
+    knownClients.add(c.Name);
+  }
+
+  const badDates = [];
+  const badAmounts = [];
+  const missingTxnIds = [];
+  const orphans = [];
+  tx.forEach((t, i) => {
+    if (!parseDate(t.Date)) badDates.push({ line: lineOf(i), TxnID: t.TxnID, value: t.DateOriginal ?? t.Date ?? "" });
+    if (isNaN(toNum(t.Amount)))
+      badAmounts.push({ line: lineOf(i), TxnID: t.TxnID, value: rawValue(txRaw[i], txHeaders, "Amount") });
+    if (!rawTxnId(i)) missingTxnIds.push({ line: lineOf(i), assigned: t.TxnID });
+    const owner = t.ClientID || t.ClientName;
+    if (!owner || !knownClients.has(owner)) orphans.push({ line: lineOf(i), TxnID: t.TxnID, client: owner || "" });
+  });
+
+  const missingCdd = [];
+  const missingClientIds = [];
+  clients.forEach((c, i) => {
+    if (!rawClientId(i)) missingClientIds.push({ line: lineOf(i), assigned: c.ClientID });
+    // raw cells, not the normalised row: the pipeline back-fills Name and Country
+    const has = (f) => !!String(rawValue(clientsRaw[i], clientHeaders, f)).trim();
+    const fields = CLIENT_CDD_FIELDS.filter((f) => !has(f));
+    if (/individual|person|sole/i.test(c.EntityType || "") && !has("DateOfBirth")) fields.push("DateOfBirth");
+    if (fields.length) missingCdd.push({ line: lineOf(i), ClientID: c.ClientID, missing: fields });
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    counts: { clients: clients.length, transactions: tx.length },
+    headers: { clients: clientHeaders, transactions: txHeaders },
+    dates: {
+      timeZone: dates.transactions.timeZone,
+      asOf: asOf.toISOString().slice(0, 10),
+      clients: dates.clients.columns,
+      transactions: dates.transactions.columns,
+    },
+    transactions: {
+      unparseableDates: finding(badDates),
+      ambiguousDates: finding(dateRows(dates.transactions.ambiguousRows, tx, "TxnID")),
+      unparseableAmounts: finding(badAmounts),
+      missingTxnIds: finding(missingTxnIds),
+      duplicateTxnIds: finding(duplicates(tx.map((t, i) => (rawTxnId(i) ? t : {})), "TxnID")),
+      orphans: finding(orphans),
+    },
+    clients: {
+      missingClientIds: finding(missingClientIds),
+      duplicateClientIds: finding(duplicates(clients.map((c, i) => (rawClientId(i) ? c : {})), "ClientID")),
+      missingCddFields: finding(missingCdd),
+      unparseableDates: finding(dateRows(dates.clients.unparseableRows, clients, "ClientID")),
+      ambiguousDates: finding(dateRows(dates.clients.ambiguousRows, clients, "ClientID")),
+    },
+  };
+  report.summary = summarize(report);
+  return report;
+}
+
+// Flat issue counts for status pages and job records
+function summarize(report) {
+  const issues = {};
+  for (const section of ["transactions", "clients"])
+    for (const [k, v] of Object.entries(report[section])) issues[`${section}.${k}`] = v.count;
+  issues["headers.missingRequired"] =
+    report.headers.clients.missing.length + report.headers.transactions.missing.length;
+  issues["headers.unmapped"] =
+    report.headers.clients.unmapped.length + report.headers.transactions.unmapped.length;
+  const sum = (keys) => keys.reduce((a, k) => a + issues[k], 0);
+  return { issues, total: sum(Object.keys(issues)), blocking: sum(BLOCKING_ISSUES) };
+}
+
+module.exports = { BLOCKING_ISSUES, CLIENT_CDD_FIELDS, REQUIRED_FIELDS, dataQualityReport };
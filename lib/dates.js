@@ -0,0 +1,177 @@
+// lib/dates.js — explicit date parsing: per-column format detection, overrides, time zone
+//
+// Every date becomes a calendar day ("YYYY-MM-DD", read as UTC midnight) in the
+// reporting time zone, so day and month arithmetic never depends on the server locale.
+// Supported formats:
+//   iso    2025-04-03, 2025-04-03T10:15:00+10:00 (offsets/Z are moved into the time zone)
+//   dmy    03/04/2025, 3-4-25, 03.04.2025  (Australian day-first)
+//   mdy    04/03/2025                      (US month-first)
+//   excel  45750 (spreadsheet serial day; fractions are the time of day)
+//   unix   1743638400 or 1743638400000 (seconds or milliseconds since 1970)
+const DATE_FORMAT_LABELS = {
+  auto: "Detect per column",
+  iso: "ISO (YYYY-MM-DD)",
+  dmy: "DD/MM/YYYY",
+  mdy: "MM/DD/YYYY",
+  excel: "Excel serial",
+  unix: "Unix timestamp",
+};
+const DATE_FORMATS = Object.keys(DATE_FORMAT_LABELS);
+const DEFAULT_TIME_ZONE = process.env.TIMEZONE || "Australia/Sydney";
+
+const ISO_RE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const DMY_RE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[T ,]+\d{1,2}:\d{2}(?::\d{2})?\s*(?:[AP]M)?)?$/i;
+const NUM_RE = /^\d+(?:\.\d+)?$/;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+function validTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Calendar day of an instant in the given time zone
+function dayIn(instant, timeZone = DEFAULT_TIME_ZONE) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(
+    instant
+  );
+}
+
+function ymd(y, m, d) {
+  if (y < 100) y += y < 70 ? 2000 : 1900;
+  const t = new Date(Date.UTC(y, m - 1, d));
+  if (t.getUTCFullYear() !== y || t.getUTCMonth() !== m - 1 || t.getUTCDate() !== d) return null;
+  return t.toISOString().slice(0, 10);
+}
+
+// Which format(s) a single value can be: "iso" | "excel" | "unix" | "dmy" | "mdy" | "either" | null
+function classify(value) {
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+  if (ISO_RE.test(v)) return "iso";
+  if (NUM_RE.test(v)) {
+    const n = Number(v);
+    if (n >= 1e9) return "unix";
+    return n >= 1 && n < 2958466 ? "excel" : null;
+  }
+  const m = DMY_RE.exec(v);
+  if (!m) return null;
+  const a = Number(m[1]),
+    b = Number(m[2]);
+  if (a > 12 && b <= 12) return "dmy";
+  if (b > 12 && a <= 12) return "mdy";
+  if (a <= 12 && b <= 12) return a === b ? "dmy" : "either";
+  return null;
+}
+
+/**
+ * Pick a column's format from its values. Day-first wins unless the values prove
+ * month-first; `ambiguous` is true when nothing in the column settles DD/MM vs MM/DD.
+ */
+function detectDateFormat(values) {
+  const votes = { iso: 0, excel: 0, unix: 0, dmy: 0, mdy: 0, either: 0 };
+  for (const v of values) {
+    const c = classify(v);
+    if (c) votes[c]++;
+  }
+  const slash = votes.dmy + votes.mdy + votes.either;
+  const best = ["iso", "excel", "unix"].reduce((a, b) => (votes[b] > votes[a] ? b : a));
+  if (votes[best] >= slash && votes[best] > 0) return { format: best, ambiguous: false, votes };
+  if (!slash) return { format: "iso", ambiguous: false, votes };
+  const format = votes.mdy > votes.dmy ? "mdy" : "dmy";
+  return { format, ambiguous: !votes.dmy && !votes.mdy && votes.either > 0, votes };
+}
+
+/** Parse one value in a known format; returns "YYYY-MM-DD" or null. */
+function parseDateAs(value, format = "auto", timeZone = DEFAULT_TIME_ZONE) {
+  if (value instanceof Date) return isNaN(value) ? null : dayIn(value, timeZone);
+  const v = String(value ?? "").trim();
+  if (!v) return null;
+  if (format === "auto") {
+    const c = classify(v);
+    format = !c || c === "either" ? "dmy" : c;
+  }
+  if (format === "iso") {
+    const m = ISO_RE.exec(v);
+    if (!m) return null;
+    if (!m[7]) return ymd(+m[1], +m[2], +m[3]);
+    const offset = m[7].toUpperCase() === "Z" ? "Z" : m[7].replace(/^([+-]\d{2}):?(\d{2})$/, "$1:$2");
+    const pad = (x) => String(x || 0).padStart(2, "0");
+    const instant = new Date(`${m[1]}-${pad(m[2])}-${pad(m[3])}T${pad(m[4])}:${pad(m[5])}:${pad(m[6])}${offset}`);
+    return isNaN(instant) ? null : dayIn(instant, timeZone);
+  }
+  if (format === "dmy" || format === "mdy") {
+    const m = DMY_RE.exec(v);
+    if (!m) return null;
+    const [d, mo] = format === "dmy" ? [+m[1], +m[2]] : [+m[2], +m[1]];
+    return ymd(+m[3], mo, d);
+  }
+  if (!NUM_RE.test(v)) return null;
+  const n = Number(v);
+  if (format === "excel") {
+    if (!(n >= 1 && n < 2958466)) return null;
+    return new Date(EXCEL_EPOCH + Math.floor(n) * MS_PER_DAY).toISOString().slice(0, 10);
+  }
+  if (format === "unix") return n >= 1e9 ? dayIn(new Date(n >= 1e12 ? n : n * 1000), timeZone) : null;
+  return null;
+}
+
+// Date for arithmetic: strings become the UTC midnight of their calendar day
+function parseDate(x) {
+  if (x instanceof Date) return isNaN(x) ? null : x;
+  const day = parseDateAs(x);
+  return day ? new Date(`${day}T00:00:00Z`) : null;
+}
+
+// "Today" in the reporting time zone, as the same kind of value parseDate returns
+function today(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return new Date(`${dayIn(now, timeZone)}T00:00:00Z`);
+}
+
+/**
+ * Rewrite date fields of normalised rows to "YYYY-MM-DD" in place. Each field's format
+ * is `formats[field]` (an override) or detected from its values. The original text is
+ * kept in `<field>Original` when it changes; unparseable values become "". Rows whose
+ * value reads differently as DD/MM and MM/DD in an undecided column are listed.
+ */
+function normalizeDates(rows, fields, { formats = {}, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const columns = {};
+  const ambiguousRows = [];
+  const unparseableRows = [];
+  for (const field of fields) {
+    const values = rows.map((r) => r[field]).filter((v) => v != null && String(v).trim() !== "");
+    if (!values.length) continue;
+    const detected = detectDateFormat(values);
+    const override = formats[field] && formats[field] !== "auto" ? formats[field] : null;
+    const format = override || detected.format;
+    const ambiguous = !override && detected.ambiguous;
+    columns[field] = { format, detected: detected.format, override: !!override, ambiguous };
+    rows.forEach((r, i) => {
+      const raw = r[field];
+      if (raw == null || String(raw).trim() === "") return;
+      const day = parseDateAs(raw, format, timeZone);
+      if (day !== raw) r[`${field}Original`] = raw;
+      r[field] = day || "";
+      if (!day) unparseableRows.push({ index: i, field, value: raw });
+      else if (ambiguous && classify(raw) === "either")
+        ambiguousRows.push({ index: i, field, value: raw, readAs: day });
+    });
+  }
+  return { timeZone, columns, ambiguousRows, unparseableRows };
+}
+
+module.exports = {
+  DATE_FORMATS,
+  DATE_FORMAT_LABELS,
+  DEFAULT_TIME_ZONE,
+  validTimeZone,
+  detectDateFormat,
+  parseDateAs,
+  parseDate,
+  today,
+  normalizeDates,
+};
@@ -0,0 +1,404 @@
+// lib/encryption.js — run data encrypted at rest, and password/recipient protected packs
+//
+// Envelope encryption: each run directory gets its own random 256-bit data key, stored
+// in datakey.json wrapped (AES-256-GCM) under the master key from ENCRYPTION_KEY. Every
+// file the run writes is then AES-256-GCM encrypted under that data key, except the
+// manifest, its signature and the ledger proof, which hold hashes only and must stay
+// readable for verification. Without ENCRYPTION_KEY runs are written in plain text, as
+// before; encrypted files are recognised by their header, so mixed directories read fine.
+//
+// Rotating the master key re-wraps each run's datakey.json and leaves the data files as
+// they are: put the new key in ENCRYPTION_KEY, the old one in ENCRYPTION_OLD_KEYS, run
+// `node lib/encryption.js rotate`, then drop the old key.
+//
+// Encrypted file: "TRENC" 0x01 | 12-byte IV | ciphertext | 16-byte GCM tag, with the file
+// name as associated data, so files cannot be swapped for one another inside a run.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CIPHER = "aes-256-gcm";
+const ALGORITHM = "AES-256-GCM";
+const MAGIC = Buffer.from("TRENC\x01", "latin1");
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const DATAKEY_FILE = "datakey.json";
+const DATAKEY_FORMAT = "trancheready-datakey-v1";
+const DATAKEY_AAD = Buffer.from(DATAKEY_FORMAT, "utf8");
+// Never encrypted: integrity artefacts (hashes, signature, ledger proof) and the wrapped key
+const PLAIN_FILES = new Set(["manifest.json", "manifest.sig.json", "ledger_proof.json", DATAKEY_FILE]);
+
+const PACK_FORMAT = "trancheready-pack-v1";
+const PACK_MAGIC = Buffer.from("TRPACK1\n", "latin1");
+const MIN_PASSWORD = 12;
+const SCRYPT = { N: 32768, r: 8, p: 1 };
+
+class EncryptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- Master keys ------------------------------------------------------------------
+
+// 32 bytes as 64 hex characters or base64
+function parseKey(text, name) {
+  const s = String(text).trim();
+  const key = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, "hex") : Buffer.from(s, "base64");
+  if (key.length !== 32) throw new EncryptionError(`${name} must be 32 bytes, as hex or base64`, 500);
+  return key;
+}
+
+// Short id recorded in datakey.json so the right master key can be found after rotation
+const keyIdOf = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+
+let cachedKeys;
+/** The current master key (or null) and every key that can still unwrap data keys. */
+function masterKeys() {
+  const env = `${process.env.ENCRYPTION_KEY || ""}|${process.env.ENCRYPTION_OLD_KEYS || ""}`;
+  if (cachedKeys && cachedKeys.env === env) return cachedKeys;
+  const current = process.env.ENCRYPTION_KEY ? parseKey(process.env.ENCRYPTION_KEY, "ENCRYPTION_KEY") : null;
+  const old = (process.env.ENCRYPTION_OLD_KEYS || "")
+    .split(",")
+    .filter((s) => s.trim())
+    .map((s) => parseKey(s, "ENCRYPTION_OLD_KEYS"));
+  const byId = new Map([...old, ...(current ? [current] : [])].map((k) => [keyIdOf(k), k]));
+  cachedKeys = { env, current: current && { id: keyIdOf(current), key: current }, byId };
+  return cachedKeys;
+}
+
+const encryptionEnabled = () => !!masterKeys().current;
+
+function seal(key, plain, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(aad);
+  const body = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return { iv, body, tag: cipher.getAuthTag() };
+}
+
+function unseal(key, { iv, body, tag }, aad) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(body), decipher.final()]);
+}
+
+// --- Per-run data keys --------------------------------------------------------------
+
+const datakeyPath = (runDir) => path.join(runDir, DATAKEY_FILE);
+
+function readDatakey(runDir) {
+  const p = datakeyPath(runDir);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+function wrapDatakey(dataKey, master, createdAt) {
+  const { iv, body, tag } = seal(master.key, dataKey, DATAKEY_AAD);
+  return {
+    format: DATAKEY_FORMAT,
+    algorithm: ALGORITHM,
+    masterKeyId: master.id,
+    iv: iv.toString("base64"),
+    wrappedKey: body.toString("base64"),
+    tag: tag.toString("base64"),
+    createdAt,
+  };
+}
+
+function unwrapDatakey(doc) {
+  const master = masterKeys().byId.get(doc.masterKeyId);
+  if (!master)
+    throw new EncryptionError(`Run data key is wrapped by master key ${doc.masterKeyId}, which is not configured`, 500);
+  const b64 = (s) => Buffer.from(s, "base64");
+  return unseal(master, { iv: b64(doc.iv), body: b64(doc.wrappedKey), tag: b64(doc.tag) }, DATAKEY_AAD);
+}
+
+// Write via a temporary file so a crash never leaves a half-written key behind
+function writeDatakey(runDir, doc) {
+  const tmp = `${datakeyPath(runDir)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(doc, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, datakeyPath(runDir));
+}
+
+// The run's data key, created (under the current master key) on first write
+function dataKeyFor(runDir, create) {
+  const doc = readDatakey(runDir);
+  if (doc) return unwrapDatakey(doc);
+  if (!create) return null;
+  const { current } = masterKeys();
+  const key = crypto.randomBytes(32);
+  writeDatakey(runDir, wrapDatakey(key, current, new Date().toISOString()));
+  return key;
+}
+
+// --- Run files --------------------------------------------------------------------
+
+const isEncrypted = (buf) => buf.length >= MAGIC.length && buf.subarray(0, MAGIC.length).equals(MAGIC);
+
+function decryptFile(runDir, name, buf) {
+  const key = dataKeyFor(runDir, false);
+  if (!key) throw new EncryptionError(`${name} is encrypted but its run has no ${DATAKEY_FILE}`, 500);
+  const iv = buf.subarray(MAGIC.length, MAGIC.length + IV_BYTES);
+  const body = buf.subarray(MAGIC.length + IV_BYTES, buf.length - TAG_BYTES);
+  const tag = buf.subarray(buf.length - TAG_BYTES);
+  try {
+    return unseal(key, { iv, body, tag }, Buffer.from(name, "utf8"));
+  } catch {
+    throw new EncryptionError(`${name} failed to decrypt (wrong key or modified file)`, 500);
+  }
+}
+
+/** Contents of a run file as a Buffer, decrypted when needed. Throws like fs when missing. */
+function readRunFile(runDir, name) {
+  const buf = fs.readFileSync(path.join(runDir, name));
+  return isEncrypted(buf) ? decryptFile(runDir, name, buf) : buf;
+}
+
+const readRunJson = (runDir, name) => JSON.parse(readRunFile(runDir, name).toString("utf8"));
+
+// New files are encrypted once a master key is configured, and always in a run that
+// already has a data key (so a missing ENCRYPTION_KEY never writes plain text into it)
+const encrypts = (runDir, name) =>
+  !PLAIN_FILES.has(name) && (encryptionEnabled() || fs.existsSync(datakeyPath(runDir)));
+
+/**
+ * Write a run file, encrypted under the run's data key when a master key is configured.
+ * Goes via a temporary file, so state rewritten in place (webhook deliveries) is never
+ * left half-written; `mode` applies to the new file.
+ */
+function writeRunFile(runDir, name, data, { mode } = {}) {
+  const plain = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+  const p = path.join(runDir, name);
+  let out = plain;
+  if (encrypts(runDir, name)) {
+    const { iv, body, tag } = seal(dataKeyFor(runDir, true), plain, Buffer.from(name, "utf8"));
+    out = Buffer.concat([MAGIC, iv, body, tag]);
+  }
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, out, mode ? { mode } : undefined);
+  fs.renameSync(tmp, p);
+}
+
+// Append-only files (audit.jsonl) are rewritten whole once encrypted
+function appendRunFile(runDir, name, data) {
+  const p = path.join(runDir, name);
+  if (!encrypts(runDir, name)) return fs.appendFileSync(p, data);
+  const before = fs.existsSync(p) ? readRunFile(runDir, name) : Buffer.alloc(0);
+  writeRunFile(runDir, name, Buffer.concat([before, Buffer.from(String(data), "utf8")]));
+}
+
+/** Send a run file as a download, decrypting it in memory when needed. */
+function sendRunFile(res, runDir, name, downloadName) {
+  const p = path.join(runDir, name);
+  const head = Buffer.alloc(MAGIC.length);
+  const fd = fs.openSync(p, "r");
+  try {
+    fs.readSync(fd, head, 0, MAGIC.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (!isEncrypted(head)) return res.download(p, downloadName);
+  res.attachment(downloadName);
+  res.send(readRunFile(runDir, name));
+}
+
+/** Whether a run's files are encrypted, and under which master key. */
+function runEncryption(runDir) {
+  const doc = readDatakey(runDir);
+  return doc ? { algorithm: doc.algorithm, masterKeyId: doc.masterKeyId, createdAt: doc.createdAt } : null;
+}
+
+const runDirs = (runsDir) =>
+  fs.existsSync(runsDir)
+    ? fs
+        .readdirSync(runsDir)
+        .filter((d) => !d.startsWith("_") && fs.statSync(path.join(runsDir, d)).isDirectory())
+        .map((d) => path.join(runsDir, d))
+    : [];
+
+// Everything keyed like a run: the runs, jobs' review artefacts and the webhook state
+const keyedDirs = (runsDir) => [
+  ...runDirs(runsDir),
+  ...runDirs(path.join(runsDir, "_jobs")),
+  ...[path.join(runsDir, "_webhooks")].filter((d) => fs.existsSync(d)),
+];
+
+/**
+ * Re-wrap every run's data key under the current master key (and those of pending jobs
+ * and the webhook log). Data files are untouched; only datakey.json changes, so rotation
+ * takes seconds however many runs there are.
+ */
+function rotateDataKeys(runsDir) {
+  const { current } = masterKeys();
+  if (!current) throw new EncryptionError("ENCRYPTION_KEY is not set", 500);
+  const result = { rewrapped: 0, current: 0, plain: 0 };
+  for (const dir of keyedDirs(runsDir)) {
+    const doc = readDatakey(dir);
+    if (!doc) result.plain++;
+    else if (doc.masterKeyId === current.id) result.current++;
+    else {
+      const next = wrapDatakey(unwrapDatakey(doc), current, doc.createdAt);
+      writeDatakey(dir, { ...next, rewrappedAt: new Date().toISOString() });
+      result.rewrapped++;
+    }
+  }
+  return result;
+}
+
+/** Encrypt the plain-text files of runs (and the webhook log) written before ENCRYPTION_KEY was set. */
+function encryptRuns(runsDir) {
+  if (!encryptionEnabled()) throw new EncryptionError("ENCRYPTION_KEY is not set", 500);
+  const result = { runs: 0, files: 0 };
+  for (const dir of keyedDirs(runsDir)) {
+    let files = 0;
+    for (const name of fs.readdirSync(dir)) {
+      const p = path.join(dir, name);
+      if (PLAIN_FILES.has(name) || !fs.statSync(p).isFile() || isEncrypted(fs.readFileSync(p))) continue;
+      writeRunFile(dir, name, fs.readFileSync(p), { mode: fs.statSync(p).mode & 0o777 });
+      files++;
+    }
+    if (files) result.runs++;
+    result.files += files;
+  }
+  return result;
+}
+
+// --- Protected pack downloads ---------------------------------------------------------
+//
+// A protected pack is "TRPACK1\n", a 4-byte big-endian header length, a JSON header and
+// the AES-256-GCM ciphertext of the ZIP. The content key comes either from the password
+// (scrypt, salt in the header) or is random and wrapped to the recipient's RSA public
+// key (RSA-OAEP with SHA-256). `node lib/encryption.js open-pack` opens either kind.
+
+function recipientKey(pem) {
+  let key;
+  try {
+    key = crypto.createPublicKey(pem);
+  } catch {
+    throw new EncryptionError("Recipient key is not a PEM public key");
+  }
+  if (key.asymmetricKeyType !== "rsa") throw new EncryptionError("Recipient key must be an RSA public key");
+  if (key.asymmetricKeyDetails.modulusLength < 2048) throw new EncryptionError("Recipient key must be at least 2048 bits");
+  return key;
+}
+
+const scryptKey = (password, salt, { N, r, p }) =>
+  crypto.scryptSync(String(password).normalize("NFC"), salt, 32, { N, r, p, maxmem: 128 * N * r * 2 });
+
+/** Encrypt a pack ZIP to a password or an RSA public key (PEM). */
+function protectPack(zip, { password, publicKey, file }) {
+  const header = { format: PACK_FORMAT, cipher: ALGORITHM, file };
+  let key;
+  if (publicKey) {
+    const recipient = recipientKey(publicKey);
+    key = crypto.randomBytes(32);
+    header.recipient = {
+      algorithm: "RSA-OAEP-256",
+      fingerprint: crypto.createHash("sha256").update(recipient.export({ type: "spki", format: "der" })).digest("hex"),
+      wrappedKey: crypto
+        .publicEncrypt({ key: recipient, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" }, key)
+        .toString("base64"),
+    };
+  } else if (password) {
+    if (String(password).length < MIN_PASSWORD)
+      throw new EncryptionError(`Pack password must be at least ${MIN_PASSWORD} characters`);
+    const salt = crypto.randomBytes(16);
+    header.kdf = { algorithm: "scrypt", salt: salt.toString("base64"), ...SCRYPT };
+    key = scryptKey(password, salt, SCRYPT);
+  } else throw new EncryptionError("Give a password or a recipient public key");
+
+  // The header (minus iv and tag) is authenticated along with the ZIP
+  const { iv, body, tag } = seal(key, zip, Buffer.from(JSON.stringify(header), "utf8"));
+  const json = Buffer.from(JSON.stringify({ ...header, iv: iv.toString("base64"), tag: tag.toString("base64") }), "utf8");
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(json.length);
+  return Buffer.concat([PACK_MAGIC, len, json, body]);
+}
+
+/** The ZIP inside a protected pack, given its password or the recipient's private key. */
+function openPack(buf, { password, privateKey }) {
+  if (!buf.subarray(0, PACK_MAGIC.length).equals(PACK_MAGIC)) throw new EncryptionError("Not a protected TrancheReady pack");
+  const len = buf.readUInt32BE(PACK_MAGIC.length);
+  const start = PACK_MAGIC.length + 4;
+  const { iv, tag, ...header } = JSON.parse(buf.subarray(start, start + len).toString("utf8"));
+  if (header.format !== PACK_FORMAT) throw new EncryptionError(`Unsupported pack format ${header.format}`);
+  let key;
+  if (header.recipient) {
+    if (!privateKey) throw new EncryptionError("This pack is encrypted to a public key: give the private key");
+    try {
+      key = crypto.privateDecrypt(
+        { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" },
+        Buffer.from(header.recipient.wrappedKey, "base64")
+      );
+    } catch {
+      throw new EncryptionError("This private key cannot open the pack");
+    }
+  } else {
+    if (!password) throw new EncryptionError("This pack is password protected: give the password");
+    const { salt, N, r, p } = header.kdf;
+    key = scryptKey(password, Buffer.from(salt, "base64"), { N, r, p });
+  }
+  try {
+    const b64 = (s) => Buffer.from(s, "base64");
+    return unseal(key, { iv: b64(iv), body: buf.subarray(start + len), tag: b64(tag) }, Buffer.from(JSON.stringify(header), "utf8"));
+  } catch {
+    throw new EncryptionError("Wrong password or key, or the file was modified");
+  }
+}
+
+module.exports = {
+  DATAKEY_FILE,
+  PLAIN_FILES,
+  MIN_PASSWORD,
+  EncryptionError,
+  masterKeys,
+  encryptionEnabled,
+  readRunFile,
+  readRunJson,
+  writeRunFile,
+  appendRunFile,
+  sendRunFile,
+  runEncryption,
+  rotateDataKeys,
+  encryptRuns,
+  protectPack,
+  openPack,
+};
+
+// Key management from a shell:
+//   node lib/encryption.js keygen                      (a new key for ENCRYPTION_KEY)
+//   node lib/encryption.js status [runsDir]
+//   node lib/encryption.js rotate [runsDir]            (re-wrap data keys under ENCRYPTION_KEY)
+//   node lib/encryption.js encrypt-runs [runsDir]      (encrypt runs written before the key was set)
+//   node lib/encryption.js export-pack <runDir> <out.zip>  (a run's pack, decrypted)
+//   node lib/encryption.js open-pack <in> <out.zip> [--key private.pem]   (password from TR_PACK_PASSWORD)
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+  const runsDir = () => args[0] || require("./evidence").RUNS_DIR;
+  try {
+    if (cmd === "keygen") console.log(crypto.randomBytes(32).toString("base64"));
+    else if (cmd === "status") {
+      const { current } = masterKeys();
+      const runs = runDirs(runsDir()).map((d) => ({ runId: path.basename(d), encryption: runEncryption(d) }));
+      console.log(JSON.stringify({ masterKeyId: current ? current.id : null, runs }, null, 2));
+    } else if (cmd === "rotate") console.log(JSON.stringify(rotateDataKeys(runsDir())));
+    else if (cmd === "encrypt-runs") console.log(JSON.stringify(encryptRuns(runsDir())));
+    else if (cmd === "export-pack") {
+      fs.writeFileSync(args[1], readRunFile(args[0], "evidence_pack.zip"));
+      console.log(`Wrote ${args[1]}`);
+    } else if (cmd === "open-pack") {
+      const [input, output, flag, keyFile] = args;
+      const privateKey = flag === "--key" ? fs.readFileSync(keyFile, "utf8") : null;
+      fs.writeFileSync(output, openPack(fs.readFileSync(input), { password: process.env.TR_PACK_PASSWORD, privateKey }));
+      console.log(`Wrote ${output}`);
+    } else {
+      console.error("Usage: node lib/encryption.js keygen|status|rotate|encrypt-runs|export-pack|open-pack ...");
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,110 @@
+// lib/evidence.js — evidence pack (manifest.json + ZIP) for a run directory
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const archiver = require("archiver");
+
+const { SIGNATURE_FILE, manifestText, signManifest } = require("./signing");
+const { PROOF_FILE, appendToLedger } = require("./ledger");
+const { readRunFile, writeRunFile } = require("./encryption");
+
+const RUNS_DIR = path.join(__dirname, "..", "runs");
+const MANIFEST = "manifest.json";
+const PACK_ZIP = "evidence_pack.zip";
+// Everything that goes into a pack when present in the run directory
+const PACK_FILES = [
+  "clients.json",
+  "transactions.json",
+  "cases.json",
+  "program.html",
+  "policy.json",
+  "sector.json",
+  "screening.json",
+  "peers.json",
+  "network.json",
+  "network.graphml",
+  "fx.json",
+  "data_quality.json",
+  "ttr_batch.xml",
+  "ttr_batch.csv",
+  "ttr_rejected.csv",
+  "audit.jsonl",
+];
+
+// Resolve runs/<runId>, refusing anything that is not a plain run id
+function runDirFor(runId) {
+  if (!/^[\w-]+$/.test(String(runId || ""))) return null;
+  const dir = path.join(RUNS_DIR, runId);
+  return fs.existsSync(dir) ? dir : null;
+}
+
+// Hash of the plain-text contents, also for files encrypted at rest (lib/encryption.js)
+function sha256OfFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  hash.update(readRunFile(path.dirname(filePath), path.basename(filePath)));
+  return hash.digest("hex");
+}
+
+function readManifest(runDir) {
+  const p = path.join(runDir, MANIFEST);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+function readSignature(runDir) {
+  const p = path.join(runDir, SIGNATURE_FILE);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+// Hash `files`, write and sign manifest.json, chain it onto the ledger of the directory
+// the run sits in (runs/_ledger for web runs), and zip exactly those files plus the
+// manifest, its signature (lib/signing.js) and the ledger inclusion proof (lib/ledger.js). Extra per-file metadata (e.g. the policy id/version on
+// policy.json) is carried over from the previous manifest so regenerated packs keep it.
+// Files are hashed and zipped as plain text; the ZIP itself is encrypted at rest like
+// the rest of the run.
+async function buildEvidencePack(runDir, files = PACK_FILES, extras = {}) {
+  const prev = readManifest(runDir) || {};
+  const manifest = {};
+  for (const f of files) {
+    if (!fs.existsSync(path.join(runDir, f))) continue;
+    const data = readRunFile(runDir, f);
+    const { sha256, bytes, ...kept } = prev[f] || {};
+    const hash = crypto.createHash("sha256").update(data).digest("hex");
+    manifest[f] = { ...kept, ...(extras[f] || {}), sha256: hash, bytes: data.length };
+  }
+  fs.writeFileSync(path.join(runDir, MANIFEST), manifestText(manifest));
+  const runId = path.basename(runDir);
+  const signature = signManifest(manifest, runId);
+  fs.writeFileSync(path.join(runDir, SIGNATURE_FILE), JSON.stringify(signature, null, 2));
+  const proof = appendToLedger({
+    runId,
+    manifestSha256: signature.manifestSha256,
+    event: Object.keys(prev).length ? "pack.regenerated" : "run.created",
+    runsDir: path.dirname(runDir),
+  });
+  fs.writeFileSync(path.join(runDir, PROOF_FILE), JSON.stringify(proof, null, 2));
+
+  const packed = await new Promise((resolve, reject) => {
+    const chunks = [];
+    const zip = archiver("zip", { zlib: { level: 9 } });
+    zip.on("data", (chunk) => chunks.push(chunk));
+    zip.on("end", () => resolve(Buffer.concat(chunks)));
+    zip.on("error", reject);
+    for (const f of [...Object.keys(manifest), MANIFEST, SIGNATURE_FILE, PROOF_FILE])
+      zip.append(readRunFile(runDir, f), { name: f });
+    zip.finalize();
+  });
+  writeRunFile(runDir, PACK_ZIP, packed);
+  return manifest;
+}
+
+module.exports = {
+  RUNS_DIR,
+  MANIFEST,
+  PACK_ZIP,
+  PACK_FILES,
+  runDirFor,
+  sha256OfFile,
+  readManifest,
+  readSignature,
+  buildEvidencePack,
+};
@@ -0,0 +1,140 @@
+// lib/fx.js — FX rate tables and conversion of transaction amounts to AUD
+//
+// Rate files are CSV with one row per currency per date, quoting AUD per 1 unit:
+//   Date,Currency,AUDPerUnit
+//   2025-06-30,USD,1.5234
+// Tables dropped into fx/*.csv are loaded for every run, and an uploaded table is layered
+// on top of them. None ship with the app: without either, only AUD amounts are converted.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+const { parseDate, toNum } = require("./riskEngine");
+
+const FX_DIR = path.join(__dirname, "..", "fx");
+const BASE_CURRENCY = "AUD";
+const FX_MAX_STALE_DAYS = 7; // use the latest rate on or before the txn date, up to a week old
+const MS_PER_DAY = 86400000;
+
+const HEADER = {
+  date: "date",
+  rate_date: "date",
+  currency: "currency",
+  ccy: "currency",
+  audperunit: "rate",
+  aud_per_unit: "rate",
+  rate: "rate",
+  rate_to_aud: "rate",
+};
+
+function emptyTable() {
+  return { rates: new Map(), sources: [] };
+}
+
+// Parse one rate CSV into `table` (later rows for the same date/currency win)
+function addFxCsv(table, text, name) {
+  const rows = parse(text, { columns: true, skip_empty_lines: true, trim: true });
+  const errors = [];
+  let added = 0;
+  rows.forEach((raw, i) => {
+    const r = {};
+    for (const [k, v] of Object.entries(raw)) {
+      const canon = HEADER[k.toLowerCase().trim()];
+      if (canon) r[canon] = v;
+    }
+    const d = parseDate(r.date);
+    const ccy = (r.currency || "").toUpperCase();
+    const rate = toNum(r.rate);
+    if (!d || !/^[A-Z]{3}$/.test(ccy) || !(rate > 0)) {
+      errors.push(`row ${i + 2}`);
+      return;
+    }
+    if (!table.rates.has(ccy)) table.rates.set(ccy, []);
+    table.rates.get(ccy).push({ d, rate });
+    added++;
+  });
+  if (rows.length && !added) throw new Error(`FX table ${name} has no usable rows (need Date, Currency, AUDPerUnit)`);
+  for (const list of table.rates.values()) list.sort((a, b) => a.d - b.d);
+  table.sources.push({
+    name,
+    sha256: crypto.createHash("sha256").update(text).digest("hex"),
+    rows: added,
+    skippedRows: errors,
+  });
+  return table;
+}
+
+function loadBundledFx(table = emptyTable()) {
+  if (!fs.existsSync(FX_DIR)) return table;
+  for (const f of fs.readdirSync(FX_DIR).filter((f) => f.endsWith(".csv")).sort())
+    addFxCsv(table, fs.readFileSync(path.join(FX_DIR, f), "utf8"), `fx/${f}`);
+  return table;
+}
+
+function rateFor(table, ccy, d) {
+  const list = table.rates.get(ccy);
+  if (!list) return null;
+  let best = null;
+  for (const r of list) {
+    if (r.d > d) break;
+    best = r;
+  }
+  if (!best || d - best.d > FX_MAX_STALE_DAYS * MS_PER_DAY) return null;
+  return best;
+}
+
+// Convert in place before any detector runs. Keeps the original amount/currency;
+// transactions that cannot be converted get Amount = null and are reported.
+function convertTransactions(tx, table) {
+  const exceptions = [];
+  const byCurrency = {};
+  let converted = 0,
+    assumedBase = 0;
+  for (const t of tx) {
+    const original = toNum(t.Amount);
+    const ccy = (t.Currency || "").toString().trim().toUpperCase();
+    t.AmountOriginal = isNaN(original) ? null : original;
+    t.CurrencyOriginal = ccy || null;
+    if (!ccy || ccy === BASE_CURRENCY) {
+      if (!ccy) assumedBase++;
+      t.Amount = t.AmountOriginal;
+      t.Currency = BASE_CURRENCY;
+      continue;
+    }
+    const d = parseDate(t.Date);
+    const r = d ? rateFor(table, ccy, d) : null;
+    if (!r) {
+      t.Amount = null;
+      t.FxStatus = "unconverted";
+      exceptions.push({
+        TxnID: t.TxnID,
+        Date: t.Date,
+        Currency: ccy,
+        Amount: t.AmountOriginal,
+        reason: !d
+          ? "unparseable date"
+          : table.rates.has(ccy)
+          ? `no ${ccy} rate within ${FX_MAX_STALE_DAYS} days before the transaction`
+          : `unknown currency ${ccy}`,
+      });
+      continue;
+    }
+    t.Amount = t.AmountOriginal == null ? null : Math.round(t.AmountOriginal * r.rate * 100) / 100;
+    t.Currency = BASE_CURRENCY;
+    t.FxRate = r.rate;
+    t.FxRateDate = r.d.toISOString().slice(0, 10);
+    byCurrency[ccy] = (byCurrency[ccy] || 0) + 1;
+    converted++;
+  }
+  return {
+    base: BASE_CURRENCY,
+    sources: table.sources,
+    converted,
+    byCurrency,
+    assumedBase,
+    unconverted: exceptions.length,
+    exceptions,
+  };
+}
+
+module.exports = { FX_DIR, BASE_CURRENCY, emptyTable, addFxCsv, loadBundledFx, convertTransactions };
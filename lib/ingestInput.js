@@ -0,0 +1,92 @@
+// lib/ingestInput.js — check an upload request and turn it into runIngest options
+//
+// Shared by the upload form (/ingest), the REST API (/api/v1/runs) and the command line
+// (bin/trancheready.js), so all accept the same fields and reject the same mistakes before a job is queued: the risk policy
+// (an uploaded one wins over the selected id), the sector profile (else the
+// organisation's default; its rules must fit the policy), an FX rate table, one date
+// format for every date column and the time zone.
+const fs = require("fs");
+
+const { DEFAULT_POLICY_ID, loadPolicy, parsePolicy } = require("./policy");
+const { loadSector, applySector } = require("./sectors");
+const { emptyTable, addFxCsv } = require("./fx");
+const { DATE_FIELDS, KINDS } = require("./columns");
+const { DATE_FORMATS, DEFAULT_TIME_ZONE, validTimeZone } = require("./dates");
+const { orgDetails, userLabel } = require("./accounts");
+
+class IngestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.body   form / JSON fields: policy (id, or a policy object from
+ *                             JSON), sector, dateFormat, timezone, reName, reNumber
+ * @param {object} [opts.user] the caller (req.user); none from the command line without
+ *                             an organisation
+ * @param {object} opts.files  { clients, transactions, policyFile?, fxRates? } as
+ *                             { path, originalname? } on disk
+ * @returns {object} input for createJob / runIngest
+ */
+function ingestInput({ body = {}, user, files = {} }) {
+  const { clients, transactions, policyFile, fxRates } = files;
+  if (!clients || !transactions)
+    throw new IngestError("Upload both files. Expect fields named: clients (CSV), transactions (CSV).");
+
+  let selected;
+  try {
+    if (policyFile) selected = parsePolicy(fs.readFileSync(policyFile.path, "utf8"));
+    else if (body.policy && typeof body.policy === "object") selected = parsePolicy(JSON.stringify(body.policy));
+    else selected = loadPolicy(body.policy || DEFAULT_POLICY_ID);
+  } catch (e) {
+    throw new IngestError(e.message);
+  }
+
+  const org = user ? orgDetails(user.orgId) : {};
+  let sector;
+  try {
+    sector = loadSector(body.sector || org.sector);
+    applySector(selected.policy, sector.sector);
+  } catch (e) {
+    throw new IngestError(e.message);
+  }
+
+  // check an uploaded rate table now so a bad file is a 400, not a failed job
+  const fxName = fxRates && (fxRates.originalname || "uploaded");
+  try {
+    if (fxRates) addFxCsv(emptyTable(), fs.readFileSync(fxRates.path, "utf8"), fxName);
+  } catch (e) {
+    throw new IngestError("FX rates: " + e.message);
+  }
+
+  const dateFormat = body.dateFormat || "auto";
+  const timeZone = String(body.timezone || "").trim() || DEFAULT_TIME_ZONE;
+  if (!DATE_FORMATS.includes(dateFormat)) throw new IngestError(`Unknown date format: ${dateFormat}`);
+  if (!validTimeZone(timeZone)) throw new IngestError(`Unknown time zone: ${timeZone}`);
+  const dateFormats = {};
+  for (const kind of KINDS) dateFormats[kind] = Object.fromEntries(DATE_FIELDS[kind].map((f) => [f, dateFormat]));
+
+  return {
+    clientsPath: clients.path,
+    transactionsPath: transactions.path,
+    policy: selected.policy,
+    policyHash: selected.hash,
+    sector: sector.sector,
+    sectorHash: sector.hash,
+    organisation: org,
+    fxFiles: fxRates ? [{ path: fxRates.path, name: fxName }] : [],
+    reportingEntity: {
+      name: body.reName || org.legalName,
+      number: body.reNumber || org.reportingEntityNumber,
+    },
+    dateFormats,
+    timeZone,
+    orgId: user ? user.orgId : null,
+    createdBy: user ? userLabel(user) : null,
+  };
+}
+
+module.exports = { IngestError, ingestInput };
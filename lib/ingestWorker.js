@@ -0,0 +1,10 @@
+// lib/ingestWorker.js — worker thread entry: runs one ingest job off the main event loop
+const { parentPort, workerData } = require("worker_threads");
+const { runIngest } = require("./pipeline");
+
+runIngest({ ...workerData, onProgress: (p) => parentPort.postMessage({ type: "progress", ...p }) })
+  .then((result) => parentPort.postMessage({ type: "done", result }))
+  .catch((e) => {
+    console.error(e);
+    parentPort.postMessage({ type: "error", message: e.message });
+  });
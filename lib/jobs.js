@@ -0,0 +1,281 @@
+// lib/jobs.js — background ingest jobs (one worker thread per job, small queue)
+//
+// A job's upload files and its review artefacts (data quality report, column samples,
+// in runs/_jobs/<id>/, encrypted like run files) hold client data, so they are deleted
+// when the job ends. A job left in review for JOB_REVIEW_HOURS (default 24) is
+// cancelled, and sweepJobs() clears what a restart or crash left behind.
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { EventEmitter } = require("events");
+const { v4: uuidv4 } = require("uuid");
+
+const { RUNS_DIR } = require("./evidence");
+const { STAGES } = require("./pipeline");
+const { runCompleted } = require("./webhooks");
+const { readRunJson, writeRunFile } = require("./encryption");
+
+const JOBS_DIR = path.join(RUNS_DIR, "_jobs");
+const UPLOADS_DIR = path.join(RUNS_DIR, "_uploads");
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 1;
+const REVIEW_HOURS = Number(process.env.JOB_REVIEW_HOURS) || 24;
+const UPLOAD_GRACE_MS = 60 * 60 * 1000; // uploads younger than this may belong to a request in progress
+const SWEEP_MS = 15 * 60 * 1000;
+
+const jobs = new Map(); // id -> { job, input, cleanup, review }
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let running = 0;
+
+function save(job) {
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(JOBS_DIR, `${job.id}.json`), JSON.stringify(job, null, 2));
+}
+
+const artefactsDir = (id) => path.join(JOBS_DIR, id);
+const DQ_FILE = "data_quality.json";
+const COLUMNS_FILE = "columns.json";
+
+function writeArtefact(id, name, data) {
+  fs.mkdirSync(artefactsDir(id), { recursive: true });
+  writeRunFile(artefactsDir(id), name, JSON.stringify(data, null, 2));
+}
+
+function readArtefact(id, name) {
+  if (!/^[\w-]+$/.test(String(id || "")) || !fs.existsSync(path.join(artefactsDir(id), name))) return null;
+  return readRunJson(artefactsDir(id), name);
+}
+
+const removeArtefacts = (id) => fs.rmSync(artefactsDir(id), { recursive: true, force: true });
+
+function update(job, changes, persist = true) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  if (persist) save(job);
+  events.emit(job.id, { ...job });
+}
+
+// Overall percentage from the current stage and how far through it we are
+function overallProgress(stage, fraction) {
+  let done = 0;
+  for (const s of STAGES) {
+    if (s.id === stage) return Math.min(100, Math.round((done + s.weight * fraction) * 100));
+    done += s.weight;
+  }
+  return Math.round(done * 100);
+}
+
+function start(entry) {
+  const { job, input, cleanup } = entry;
+  running++;
+  update(job, { status: "running" });
+
+  const workerData = { ...input, preflightOnly: entry.review };
+  const worker = new Worker(path.join(__dirname, "ingestWorker.js"), { workerData });
+  worker.on("message", (m) => {
+    if (m.type === "progress") {
+      const stage = STAGES.find((s) => s.id === m.stage);
+      const changed = job.stage !== m.stage;
+      update(
+        job,
+        { stage: m.stage, stageLabel: stage ? stage.label : m.stage, progress: overallProgress(m.stage, m.fraction) },
+        changed
+      );
+    } else if (m.type === "done" && m.result.preflight) {
+      // Park the job until someone has read the data quality report
+      writeArtefact(job.id, DQ_FILE, m.result.dataQuality);
+      writeArtefact(job.id, COLUMNS_FILE, m.result.columns);
+      update(job, {
+        status: "review",
+        stage: null,
+        stageLabel: "Data quality review",
+        dataQuality: m.result.dataQuality.summary,
+      });
+    } else if (m.type === "done") {
+      update(job, { status: "done", progress: 100, stage: null, stageLabel: "Finished", runId: m.result.runId });
+      try {
+        runCompleted(m.result.runId);
+      } catch (e) {
+        console.error(`Webhooks for run ${m.result.runId}:`, e);
+      }
+    } else if (m.type === "error") {
+      update(job, { status: "failed", error: m.message });
+    }
+  });
+  worker.on("error", (e) => update(job, { status: "failed", error: e.message }));
+  worker.on("exit", (code) => {
+    running--;
+    if (job.status === "running") update(job, { status: "failed", error: `Worker stopped (exit code ${code})` });
+    if (job.status !== "review") finish(entry);
+    pump();
+  });
+}
+
+function finish({ job, cleanup }) {
+  for (const p of cleanup) fs.rm(p, { force: true }, () => {});
+  removeArtefacts(job.id);
+  jobs.delete(job.id);
+}
+
+function pump() {
+  while (running < MAX_CONCURRENT_JOBS && queue.length) start(queue.shift());
+}
+
+/**
+ * Queue an ingest. `input` is passed to runIngest in the worker (must be cloneable);
+ * `cleanup` lists temp upload files to delete once the job ends. With `review`, the
+ * job stops after the data quality check and waits for continueJob/cancelJob. `orgId`
+ * and `createdBy` are recorded on the job so only that organisation can see it.
+ */
+function createJob(input, cleanup = [], { review = true, orgId = null, createdBy = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    orgId,
+    createdBy,
+    status: "queued",
+    stage: null,
+    stageLabel: "Queued",
+    progress: 0,
+    runId: input.runId || null, // known up front when the caller chose it (REST API)
+    error: null,
+    dataQuality: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  save(job);
+  const entry = { job, input, cleanup, review };
+  jobs.set(job.id, entry);
+  queue.push(entry);
+  pump();
+  return { ...job };
+}
+
+function getJob(id) {
+  if (!/^[\w-]+$/.test(String(id || ""))) return null;
+  if (jobs.has(id)) return { ...jobs.get(id).job };
+  const p = path.join(JOBS_DIR, `${id}.json`);
+  if (!fs.existsSync(p)) return null;
+  const job = JSON.parse(fs.readFileSync(p, "utf8"));
+  // not in memory but never finished: the process restarted under it
+  if (job.status === "queued" || job.status === "running" || job.status === "review")
+    return { ...job, status: "failed", error: "Server restarted before the job finished" };
+  return job;
+}
+
+// The job producing (or that produced) a run, for callers that only know the run id
+function jobForRun(runId) {
+  if (!/^[\w-]+$/.test(String(runId || ""))) return null;
+  for (const { job } of jobs.values()) if (job.runId === runId) return getJob(job.id);
+  if (!fs.existsSync(JOBS_DIR)) return null;
+  for (const f of fs.readdirSync(JOBS_DIR)) {
+    if (!/^[\w-]+\.json$/.test(f)) continue;
+    const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, f), "utf8"));
+    if (job.runId === runId) return getJob(job.id);
+  }
+  return null;
+}
+
+// Full data quality report of a job waiting for review (the run keeps its own copy)
+const getDataQuality = (id) => readArtefact(id, DQ_FILE);
+
+// Detected headers, sample values and their current mapping (for the mapping step)
+const getColumns = (id) => readArtefact(id, COLUMNS_FILE);
+
+function reviewing(id) {
+  const entry = jobs.get(id);
+  return entry && entry.job.status === "review" ? entry : null;
+}
+
+// Reviewer accepted the data: requeue for the full run (the upload files were kept)
+function continueJob(id) {
+  const entry = reviewing(id);
+  if (!entry) return null;
+  entry.review = false;
+  update(entry.job, { status: "queued", stageLabel: "Queued" });
+  queue.push(entry);
+  pump();
+  return { ...entry.job };
+}
+
+// Re-run the pre-flight check with corrected inputs ({ mappings, dateFormats })
+function remapJob(id, changes) {
+  const entry = reviewing(id);
+  if (!entry) return null;
+  entry.input = { ...entry.input, ...changes };
+  update(entry.job, { status: "queued", stageLabel: "Queued", dataQuality: null });
+  queue.push(entry);
+  pump();
+  return { ...entry.job };
+}
+
+function cancelJob(id) {
+  const entry = reviewing(id);
+  if (!entry) return null;
+  update(entry.job, { status: "cancelled", stageLabel: "Cancelled" });
+  finish(entry);
+  return { ...entry.job };
+}
+
+/**
+ * Cancel jobs left in review for more than REVIEW_HOURS, and delete what no live job
+ * owns: review artefacts and job records stuck unfinished by a restart (marked failed),
+ * the plain-text reports older versions kept beside them, and uploads older than
+ * UPLOAD_GRACE_MS (all of them at startup, when no request can be mid-upload).
+ */
+function sweepJobs({ startup = false } = {}) {
+  const reviewCutoff = new Date(Date.now() - REVIEW_HOURS * 3600 * 1000).toISOString();
+  for (const entry of [...jobs.values()])
+    if (entry.job.status === "review" && entry.job.updatedAt < reviewCutoff) {
+      update(entry.job, { status: "cancelled", stageLabel: `Cancelled: not reviewed within ${REVIEW_HOURS}h` });
+      finish(entry);
+    }
+
+  const owned = new Set([...jobs.values()].flatMap((e) => e.cleanup));
+  if (fs.existsSync(JOBS_DIR))
+    for (const f of fs.readdirSync(JOBS_DIR)) {
+      const p = path.join(JOBS_DIR, f);
+      const id = f.replace(/(\.dq|\.columns)?\.json$/, "");
+      if (jobs.has(id)) continue;
+      if (f === `${id}.json`) {
+        const job = JSON.parse(fs.readFileSync(p, "utf8"));
+        if (job.status === "queued" || job.status === "running" || job.status === "review") save(getJob(id));
+      } else fs.rmSync(p, { recursive: true, force: true });
+    }
+  if (fs.existsSync(UPLOADS_DIR))
+    for (const f of fs.readdirSync(UPLOADS_DIR)) {
+      const p = path.join(UPLOADS_DIR, f);
+      if (owned.has(p) || (!startup && Date.now() - fs.statSync(p).mtimeMs < UPLOAD_GRACE_MS)) continue;
+      fs.rmSync(p, { force: true });
+    }
+}
+
+let sweeper = null;
+
+/** Sweep once now (as at startup) and then every SWEEP_MS. */
+function startSweeping() {
+  sweepJobs({ startup: true });
+  if (!sweeper) sweeper = setInterval(() => sweepJobs(), SWEEP_MS).unref();
+}
+
+// Listen to one job's updates; returns the unsubscribe function
+function subscribe(id, fn) {
+  events.on(id, fn);
+  return () => events.off(id, fn);
+}
+
+module.exports = {
+  JOBS_DIR,
+  STAGES,
+  createJob,
+  getJob,
+  jobForRun,
+  getDataQuality,
+  getColumns,
+  continueJob,
+  remapJob,
+  cancelJob,
+  sweepJobs,
+  startSweeping,
+  subscribe,
+};
@@ -0,0 +1,216 @@
+// lib/ledger.js — append-only, hash-chained ledger of every evidence pack ever built
+//
+// <runs>/_ledger/ledger.jsonl gets one line per pack build (new run or regenerated pack):
+//   { seq, runId, event, at, manifestSha256, prevHash, entryHash, merkleRoot }
+// entryHash = sha256 of the canonical entry fields including prevHash, so editing or
+// dropping any line breaks every later link. merkleRoot is the RFC 6962 Merkle tree
+// head over all entry hashes up to that line; the pack gets an inclusion proof for its
+// entry (ledger_proof.json) that checks against that root without the rest of the ledger.
+//
+// Each runs directory has its own ledger beside the runs it covers: runs/_ledger for the
+// web app, <out>/_ledger for CLI runs written elsewhere (bin/trancheready.js --out).
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { canonicalJson } = require("./policy");
+
+const DEFAULT_RUNS_DIR = path.join(__dirname, "..", "runs");
+const ledgerDir = (runsDir) => path.join(runsDir, "_ledger");
+const ledgerFile = (runsDir) => path.join(ledgerDir(runsDir), "ledger.jsonl");
+const LEDGER_FILE = ledgerFile(DEFAULT_RUNS_DIR);
+const PROOF_FILE = "ledger_proof.json";
+const GENESIS = "0".repeat(64);
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+const hex = (buf) => buf.toString("hex");
+
+// RFC 6962 leaf/node hashing (domain-separated so a node can never pass as a leaf)
+const leafHash = (entryHash) => sha256(Buffer.concat([Buffer.from([0]), Buffer.from(entryHash, "hex")]));
+const nodeHash = (l, r) => sha256(Buffer.concat([Buffer.from([1]), l, r]));
+
+function largestPowerOfTwoBelow(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+function merkleRoot(leaves) {
+  if (leaves.length === 1) return leaves[0];
+  const k = largestPowerOfTwoBelow(leaves.length);
+  return nodeHash(merkleRoot(leaves.slice(0, k)), merkleRoot(leaves.slice(k)));
+}
+
+// Audit path for leaf m (RFC 6962 §2.1.1)
+function auditPath(m, leaves) {
+  if (leaves.length <= 1) return [];
+  const k = largestPowerOfTwoBelow(leaves.length);
+  return m < k
+    ? [...auditPath(m, leaves.slice(0, k)), merkleRoot(leaves.slice(k))]
+    : [...auditPath(m - k, leaves.slice(k)), merkleRoot(leaves.slice(0, k))];
+}
+
+/** Recompute the root from a proof (RFC 9162 §2.1.3.2); true when it matches. */
+function verifyInclusion(proof) {
+  let fn = proof.leafIndex;
+  let sn = proof.treeSize - 1;
+  let r = leafHash(proof.entry.entryHash);
+  for (const p of proof.auditPath.map((h) => Buffer.from(h, "hex"))) {
+    if (sn === 0) return false;
+    if (fn & 1 || fn === sn) {
+      r = nodeHash(p, r);
+      while (!(fn & 1) && fn !== 0) {
+        fn >>= 1;
+        sn >>= 1;
+      }
+    } else {
+      r = nodeHash(r, p);
+    }
+    fn >>= 1;
+    sn >>= 1;
+  }
+  return sn === 0 && hex(r) === proof.merkleRoot;
+}
+
+function entryHashOf(e) {
+  const { seq, runId, event, at, manifestSha256, prevHash } = e;
+  return hex(sha256(canonicalJson({ seq, runId, event, at, manifestSha256, prevHash })));
+}
+
+function readLedger(runsDir = DEFAULT_RUNS_DIR) {
+  const file = ledgerFile(runsDir);
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l));
+}
+
+// Appends come from the server and from job worker threads; a lock file serialises them
+function withLock(runsDir, fn) {
+  fs.mkdirSync(ledgerDir(runsDir), { recursive: true });
+  const lock = path.join(ledgerDir(runsDir), "ledger.lock");
+  const wait = new Int32Array(new SharedArrayBuffer(4));
+  for (let i = 0; ; i++) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      // a crashed writer leaves its lock behind
+      const age = Date.now() - fs.statSync(lock, { throwIfNoEntry: false })?.mtimeMs;
+      if (age > 30000) fs.rmSync(lock, { force: true });
+      else if (i > 500) throw new Error("Ledger is locked");
+      else Atomics.wait(wait, 0, 0, 20);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+function proofFor(entries, index) {
+  const leaves = entries.slice(0, index + 1).map((e) => leafHash(e.entryHash));
+  return {
+    format: "trancheready-ledger-proof-v1",
+    hash: "sha256 (RFC 6962 Merkle tree)",
+    entry: entries[index],
+    leafIndex: index,
+    treeSize: index + 1,
+    merkleRoot: entries[index].merkleRoot,
+    auditPath: auditPath(index, leaves).map(hex),
+  };
+}
+
+/** Chain a pack's manifest hash onto the ledger of `runsDir`; returns the inclusion proof. */
+function appendToLedger({ runId, manifestSha256, event = "pack.built", at = new Date(), runsDir = DEFAULT_RUNS_DIR }) {
+  return withLock(runsDir, () => {
+    const entries = readLedger(runsDir);
+    const prev = entries[entries.length - 1];
+    const entry = {
+      seq: entries.length + 1,
+      runId,
+      event,
+      at: at.toISOString(),
+      manifestSha256,
+      prevHash: prev ? prev.entryHash : GENESIS,
+    };
+    entry.entryHash = entryHashOf(entry);
+    entry.merkleRoot = hex(merkleRoot([...entries, entry].map((e) => leafHash(e.entryHash))));
+    fs.appendFileSync(ledgerFile(runsDir), JSON.stringify(entry) + "\n");
+    entries.push(entry);
+    return proofFor(entries, entries.length - 1);
+  });
+}
+
+/**
+ * Walk the whole chain. Reports broken links, edited entries, sequence gaps, wrong
+ * Merkle roots, runs whose manifest no longer matches their latest entry, run folders
+ * that were deleted and runs that never made it into the ledger.
+ */
+function verifyLedger(runsDir = DEFAULT_RUNS_DIR) {
+  const entries = readLedger(runsDir);
+  const problems = [];
+  const leaves = [];
+  const latest = new Map();
+  const problem = (type, detail, extra) => problems.push({ type, detail, ...extra });
+  entries.forEach((e, i) => {
+    const where = `entry ${i + 1} (run ${e.runId})`;
+    if (e.seq !== i + 1) problem("gap", `${where} has seq ${e.seq}`, { seq: e.seq });
+    if (e.prevHash !== (i ? entries[i - 1].entryHash : GENESIS))
+      problem("broken_link", `${where} does not chain to the entry before it`, { seq: e.seq });
+    if (entryHashOf(e) !== e.entryHash) problem("modified_entry", `${where} was edited`, { seq: e.seq });
+    leaves.push(leafHash(e.entryHash));
+    if (hex(merkleRoot(leaves)) !== e.merkleRoot) problem("bad_root", `${where} has a wrong Merkle root`, { seq: e.seq });
+    latest.set(e.runId, e);
+  });
+
+  // manifest.json is canonical JSON, so its file hash is the hash that was chained
+  for (const [runId, e] of latest) {
+    const manifestPath = path.join(runsDir, runId, "manifest.json");
+    if (!fs.existsSync(manifestPath))
+      problem("run_missing", `run ${runId} is in the ledger but its folder or manifest is gone`, { runId });
+    else if (hex(sha256(fs.readFileSync(manifestPath))) !== e.manifestSha256)
+      problem("run_modified", `run ${runId} manifest differs from ledger entry ${e.seq}`, { runId });
+  }
+  if (fs.existsSync(runsDir)) {
+    for (const d of fs.readdirSync(runsDir)) {
+      if (d.startsWith("_") || !fs.existsSync(path.join(runsDir, d, "manifest.json"))) continue;
+      if (!latest.has(d)) problem("run_unledgered", `run ${d} has a pack but no ledger entry`, { runId: d });
+      // a pack's proof must still match the ledger (catches a truncated or rebuilt ledger)
+      const proofPath = path.join(runsDir, d, PROOF_FILE);
+      if (!fs.existsSync(proofPath)) continue;
+      const proof = JSON.parse(fs.readFileSync(proofPath, "utf8"));
+      const e = entries[proof.entry.seq - 1];
+      if (!e || e.entryHash !== proof.entry.entryHash || !verifyInclusion(proof))
+        problem("proof_mismatch", `run ${d} holds a proof for entry ${proof.entry.seq} the ledger does not match`, {
+          runId: d,
+        });
+    }
+  }
+  const head = entries[entries.length - 1];
+  return {
+    ok: !problems.length,
+    entries: entries.length,
+    runs: latest.size,
+    head: head ? { seq: head.seq, entryHash: head.entryHash, merkleRoot: head.merkleRoot, at: head.at } : null,
+    problems,
+  };
+}
+
+module.exports = { LEDGER_FILE, PROOF_FILE, readLedger, appendToLedger, verifyInclusion, verifyLedger };
+
+// `node lib/ledger.js verify [runsDir]` — exits non-zero when the chain has problems
+if (require.main === module) {
+  if (process.argv[2] !== "verify") {
+    console.error("Usage: node lib/ledger.js verify [runsDir]");
+    process.exitCode = 1;
+  } else {
+    const report = verifyLedger(process.argv[3] ? path.resolve(process.argv[3]) : undefined);
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.ok) process.exitCode = 2;
+  }
+}
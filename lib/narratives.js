@@ -0,0 +1,351 @@
+// lib/narratives.js — case narratives from a pluggable provider, without client names leaving
+//
+// Providers (NARRATIVE_PROVIDER):
+//   template  built-in per-rule templates; nothing leaves the process (default without
+//             OPENAI_API_KEY)
+//   local     any OpenAI-compatible chat endpoint (NARRATIVE_BASE_URL, e.g. a model
+//             served inside the network; NARRATIVE_API_KEY if it wants one)
+//   openai    OpenAI itself (OPENAI_API_KEY; default when the key is set)
+// NARRATIVE_MODEL overrides the model of the last two.
+//
+// Every provider sees the same pseudonymised facts: client names and ids become
+// CLIENT_n, counterparties COUNTERPARTY_n, and transaction ids are left out. The text
+// that comes back is re-identified locally. Facts that still contain a real name or id
+// are never sent; that case gets the template narrative. Model output is cached under
+// runs/_narratives/ by the hash of provider, model, prompt version and facts, so the
+// cache holds pseudonymised text only. Calls run NARRATIVE_CONCURRENCY (default 4) at a
+// time. Each case records which provider, model and prompt version wrote its narrative.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { OpenAI } = require("openai");
+
+const { RUNS_DIR } = require("./evidence");
+const { canonicalJson } = require("./policy");
+
+const CACHE_DIR = path.join(RUNS_DIR, "_narratives");
+const PROMPT_VERSION = "narrative-prompt-2";
+const TEMPLATE_VERSION = "narrative-templates-1";
+const PROVIDERS = {
+  template: "Built-in templates",
+  local: "OpenAI-compatible endpoint",
+  openai: "OpenAI",
+};
+const DEFAULT_CONCURRENCY = 4;
+const TIMEOUT_MS = 30000;
+
+const SYSTEM_PROMPT =
+  "You write concise AML/CTF transaction monitoring narratives for an Australian reporting entity. " +
+  "At most two sentences: what happened, then why it matters for the reviewer. " +
+  "Refer to parties only by the placeholders given (CLIENT_1, COUNTERPARTY_1, ...), exactly as written. " +
+  "Do not invent names, amounts, dates or facts that are not in the input.";
+
+// --- Pseudonymisation -----------------------------------------------------------
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// A value as a whole word, so id C1 does not match inside C10 or an amount
+const wordRe = (value) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(value)}(?![\\p{L}\\p{N}])`, "giu");
+const TOKEN_RE = /\b(?:CLIENT|COUNTERPARTY)_\d+\b/g;
+
+/**
+ * The facts a provider may see for case `k`, with every party replaced by a token.
+ * `clientNames` maps ClientID → name. Returns { facts, tokens: Map token → real name,
+ * secrets: the real values that must not appear in anything sent }.
+ */
+function pseudonymise(k, clientNames = new Map()) {
+  const tokens = new Map();
+  const replace = []; // [real value, token]
+  const add = (prefix, n, name, ...aliases) => {
+    const token = `${prefix}_${n}`;
+    tokens.set(token, name);
+    for (const v of [name, ...aliases]) if (v && String(v).trim()) replace.push([String(v).trim(), token]);
+    return token;
+  };
+
+  const ids = k.clients || (k.clientId ? [k.clientId] : []);
+  const clients = ids.length
+    ? ids.map((id, i) => add("CLIENT", i + 1, clientNames.get(id) || (ids.length === 1 && k.client) || id, id))
+    : [add("CLIENT", 1, k.client)];
+  const counterparties = (k.counterparties || []).map((name, i) => add("COUNTERPARTY", i + 1, name));
+
+  // longest first, so "Lee Holdings Pty Ltd" goes before "Lee"
+  replace.sort((a, b) => b[0].length - a[0].length);
+  const scrub = (text) =>
+    replace.reduce((s, [real, token]) => s.replace(wordRe(real), token), String(text || ""));
+
+  const facts = {
+    rule: k.rule,
+    detail: scrub(k.detail),
+    clients,
+    counterparties,
+    period: k.dateFrom && k.dateTo ? { from: k.dateFrom, to: k.dateTo } : scrub(k.date),
+    transactions: (k.txnIds || []).length,
+    total: Math.round(Number(k.amount) || 0),
+    currency: k.currency || null,
+  };
+  if (k.network) facts.network = k.network;
+  return { facts, tokens, secrets: replace.map(([real]) => real) };
+}
+
+// Any real name or id still in what would be sent (outside the tokens themselves)?
+function leaks(text, secrets) {
+  const rest = String(text).replace(TOKEN_RE, " ");
+  return secrets.some((s) => wordRe(s).test(rest));
+}
+
+const reidentify = (text, tokens) => String(text).replace(TOKEN_RE, (t) => (tokens.has(t) ? tokens.get(t) : t));
+
+// --- Template provider ------------------------------------------------------------
+
+const list = (xs) => (xs.length <= 1 ? xs.join("") : `${xs.slice(0, -1).join(", ")} and ${xs[xs.length - 1]}`);
+
+// Template variables from pseudonymised facts
+function templateVars(f) {
+  const p = f.period;
+  const period = !p ? "" : typeof p === "string" ? `on ${p}` : p.from === p.to ? `on ${p.from}` : `between ${p.from} and ${p.to}`;
+  return {
+    client: f.clients[0],
+    clients: list(f.clients),
+    counterparties: list(f.counterparties),
+    cp: f.counterparties.length ? ` involving ${list(f.counterparties)}` : "",
+    count: f.transactions,
+    txns: f.transactions === 1 ? "1 transaction" : `${f.transactions} transactions`,
+    period,
+    total: `${f.total.toLocaleString("en-AU")} ${f.currency || ""}`.trim(),
+    detail: f.detail.replace(/\.$/, ""),
+  };
+}
+
+// rule id → [what happened, why it matters]
+const TEMPLATES = {
+  R_THRESHOLD_CASH: [
+    "{client} made {txns} in physical cash at or above the reporting threshold {period}, totalling {total}.",
+    "Each one needs a threshold transaction report to AUSTRAC within 10 business days; confirm they are in the TTR batch.",
+  ],
+  R_STRUCTURING: [
+    "{client} made {txns} in cash just under the reporting threshold {period}, totalling {total}.",
+    "The pattern is consistent with structuring to avoid threshold reporting; establish the source of the cash and consider an SMR.",
+  ],
+  R_HIGH_RISK_CORRIDORS: [
+    "{client} made {txns} through high-risk international corridors {period}, totalling {total}{cp}.",
+    "Confirm the purpose of the transfers and the client's relationship with the other parties.",
+  ],
+  R_LARGE_DOMESTIC: [
+    "{client} made {txns} in large domestic transfers {period}, totalling {total}{cp}.",
+    "Check the transfers against the client's profile and declared source of funds.",
+  ],
+  R_SAME_COUNTERPARTY: [
+    "{client} made {txns} in repeated international transfers to the same counterparty {period}, totalling {total}{cp}.",
+    "Review the relationship with the counterparty and the reason for the repeated payments.",
+  ],
+  R_PASS_THROUGH: [
+    "Funds received by {client} were sent on shortly afterwards {period}: {total} across {txns}{cp}.",
+    "Money moving straight through an account can indicate a pass-through or mule account; establish the reason for the flows.",
+  ],
+  R_VELOCITY: [
+    "{client}'s activity rose sharply {period}: {txns} totalling {total} ({detail}).",
+    "The spike is well above the client's own history; confirm what changed in the client's business.",
+  ],
+  R_ROUND_AMOUNTS: [
+    "{client} made {txns} in round amounts {period}, totalling {total}{cp}.",
+    "Repeated round-figure transactions are a common layering indicator; check the underlying invoices or agreements.",
+  ],
+  R_DORMANT_REACTIVATION: [
+    "{client}'s account became active again after a long dormant period, with {txns} totalling {total} {period}.",
+    "Reactivated accounts are a known route for account takeover and mule activity; re-verify the client and their instructions.",
+  ],
+  R_TURNOVER_MISMATCH: [
+    "{client} moved {total} across {txns} {period}, well above the declared turnover ({detail}).",
+    "Update the client's CDD: flows out of line with declared turnover need an explanation, and escalation if there is none.",
+  ],
+  N_SHARED_COUNTERPARTY: [
+    "{clients} all deal with {counterparties} {period}: {total} across {txns}.",
+    "Unrelated clients sharing a counterparty can point to a common controller or a collection point; review them together.",
+  ],
+  N_CYCLE: [
+    "Funds moved in a loop between {clients} {period}: {total} across {txns}.",
+    "Circular flows can layer funds or inflate turnover; confirm the commercial reason for each leg.",
+  ],
+  N_FAN_OUT: [
+    "{client} sent funds to many counterparties {period}: {total} across {txns}.",
+    "Paying out to many recipients can indicate distribution of illicit funds; review the recipients.",
+  ],
+  N_FAN_IN: [
+    "{client} received funds from many counterparties {period}: {total} across {txns}.",
+    "Receiving from many senders can indicate a collection or mule account; review the senders.",
+  ],
+};
+const GENERIC_TEMPLATE = [
+  "{client}: {detail} ({txns} {period}, totalling {total}{cp}).",
+  "Review the transactions against the client's profile and source of funds.",
+];
+
+const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (m, key) => (vars[key] == null ? m : vars[key]));
+
+function templateNarrative(facts) {
+  const vars = templateVars(facts);
+  return (TEMPLATES[facts.rule] || GENERIC_TEMPLATE)
+    .map((t) => fill(t, vars))
+    .join(" ")
+    .replace(/\s+([,.:])/g, "$1")
+    .replace(/\s{2,}/g, " ");
+}
+
+const templateProvider = () => ({
+  id: "template",
+  model: null,
+  promptVersion: TEMPLATE_VERSION,
+  cache: false,
+  narrate: async (facts) => templateNarrative(facts),
+});
+
+// --- Chat providers (OpenAI and OpenAI-compatible) ----------------------------------
+
+function chatProvider(id, { apiKey, baseURL, model }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout: TIMEOUT_MS, maxRetries: 1 });
+  return {
+    id,
+    model,
+    promptVersion: PROMPT_VERSION,
+    cache: true,
+    async narrate(facts) {
+      const r = await client.chat.completions.create({
+        model,
+        temperature: 0.2,
+        messages: [
+          { role: "system", content: SYSTEM_PROMPT },
+          { role: "user", content: `Case facts (JSON): ${JSON.stringify(facts)}` },
+        ],
+      });
+      const text = r.choices[0]?.message?.content?.trim();
+      if (!text) throw new Error("Empty narrative");
+      return text;
+    },
+  };
+}
+
+/** The provider configured by NARRATIVE_* env (see top of file); throws when misconfigured. */
+function narrativeProvider(env = process.env) {
+  const id = env.NARRATIVE_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "template");
+  if (id === "template") return templateProvider();
+  if (id === "openai") {
+    if (!env.OPENAI_API_KEY) throw new Error("NARRATIVE_PROVIDER=openai needs OPENAI_API_KEY");
+    return chatProvider(id, { apiKey: env.OPENAI_API_KEY, model: env.NARRATIVE_MODEL || "gpt-4o-mini" });
+  }
+  if (id === "local") {
+    if (!env.NARRATIVE_BASE_URL) throw new Error("NARRATIVE_PROVIDER=local needs NARRATIVE_BASE_URL");
+    if (!env.NARRATIVE_MODEL) throw new Error("NARRATIVE_PROVIDER=local needs NARRATIVE_MODEL");
+    return chatProvider(id, {
+      apiKey: env.NARRATIVE_API_KEY || "not-needed",
+      baseURL: env.NARRATIVE_BASE_URL,
+      model: env.NARRATIVE_MODEL,
+    });
+  }
+  throw new Error(`Unknown NARRATIVE_PROVIDER: ${id} (expected ${Object.keys(PROVIDERS).join(", ")})`);
+}
+
+// --- Cache ----------------------------------------------------------------------------
+
+const cacheKey = (provider, facts) =>
+  crypto
+    .createHash("sha256")
+    .update(canonicalJson({ provider: provider.id, model: provider.model, promptVersion: provider.promptVersion, facts }))
+    .digest("hex");
+const cachePath = (key) => path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+
+function readCache(key) {
+  const p = cachePath(key);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")).text : null;
+}
+
+function writeCache(key, provider, text) {
+  const p = cachePath(key);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const entry = { provider: provider.id, model: provider.model, promptVersion: provider.promptVersion, text };
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify(entry));
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+// --- Runs -----------------------------------------------------------------------------
+
+// fn over items, at most `limit` at a time, in order of the results
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+const sourceOf = (provider, extra = {}) => ({
+  provider: provider.id,
+  model: provider.model,
+  promptVersion: provider.promptVersion,
+  ...extra,
+});
+
+/**
+ * Write `narrative` and `narrativeSource` ({ provider, model, promptVersion, cached,
+ * fallback? }) on every case. Provider failures and facts that would leak a name fall
+ * back to the template. Returns a summary for the manifest and run.json.
+ * @param {object[]} cases
+ * @param {object} [opts]
+ * @param {{ClientID: string, Name: string}[]} [opts.clients] to name every client of a case
+ * @param {object} [opts.provider]     default narrativeProvider()
+ * @param {number} [opts.concurrency]  default NARRATIVE_CONCURRENCY or 4
+ * @param {function} [opts.onProgress] (fraction) => void
+ */
+async function narrateCases(cases, opts = {}) {
+  const provider = opts.provider || narrativeProvider();
+  const fallback = templateProvider();
+  const concurrency = Math.max(1, Number(opts.concurrency || process.env.NARRATIVE_CONCURRENCY) || DEFAULT_CONCURRENCY);
+  const clientNames = new Map((opts.clients || []).map((c) => [c.ClientID, c.Name]));
+  const onProgress = opts.onProgress || (() => {});
+  const counts = { generated: 0, cached: 0, fallback: 0 };
+  let done = 0;
+
+  await mapLimit(cases, concurrency, async (k) => {
+    const { facts, tokens, secrets } = pseudonymise(k, clientNames);
+    const useFallback = async (reason) => {
+      counts.fallback++;
+      k.narrative = reidentify(await fallback.narrate(facts), tokens);
+      k.narrativeSource = sourceOf(fallback, { cached: false, fallback: reason });
+    };
+    if (provider.id !== "template" && leaks(JSON.stringify(facts), secrets)) await useFallback("pseudonymisation");
+    else {
+      const key = provider.cache && cacheKey(provider, facts);
+      let text = key && readCache(key);
+      const cached = !!text;
+      try {
+        if (!text) {
+          text = await provider.narrate(facts);
+          if (key) writeCache(key, provider, text);
+        }
+        counts[cached ? "cached" : "generated"]++;
+        k.narrative = reidentify(text, tokens);
+        k.narrativeSource = sourceOf(provider, { cached });
+      } catch (e) {
+        await useFallback(`error: ${e.message}`.slice(0, 200));
+      }
+    }
+    onProgress(++done / cases.length);
+  });
+  return { ...sourceOf(provider), pseudonymised: true, cases: cases.length, ...counts };
+}
+
+module.exports = {
+  CACHE_DIR,
+  PROMPT_VERSION,
+  TEMPLATE_VERSION,
+  PROVIDERS,
+  narrativeProvider,
+  pseudonymise,
+  reidentify,
+  templateNarrative,
+  narrateCases,
+};
@@ -0,0 +1,323 @@
+// lib/network.js — counterparty network across all clients of a run
+//
+// Monitoring rules (lib/rules.js) see one client's transactions at a time. Here every
+// transaction with a CounterpartyName becomes a directed money-flow edge between the
+// client and a counterparty node, so patterns that span clients show up:
+//   shared_counterparty  one counterparty dealing with several unrelated clients
+//                        (clients with the same ABN or address count once)
+//   cycle                funds that come back round through two or more clients
+//   fan_out / fan_in     a client paying / receiving from many distinct counterparties
+// A counterparty whose name is a client's name is that client's node, which is how
+// client-to-client flows (and cycles) appear. Direction comes from a Direction column
+// (in/out, CR/DR) or, without one, from the transaction type (deposits are incoming).
+// Thresholds and weights come from the policy's optional "network" section.
+const { parseDate, toNum } = require("./riskEngine");
+const { caseEvidence, direction } = require("./rules");
+const { nameTokens } = require("./screening");
+
+const NETWORK_DEFAULTS = {
+  sharedCounterpartyMinClients: 3,
+  hubMinCounterparties: 8,
+  cycleMaxLength: 4,
+  weights: { sharedCounterparty: 8, cycle: 15, hub: 6, connectedHighRisk: 5 },
+};
+const NETWORK_RULES = {
+  shared_counterparty: "N_SHARED_COUNTERPARTY",
+  cycle: "N_CYCLE",
+  fan_out: "N_FAN_OUT",
+  fan_in: "N_FAN_IN",
+};
+const MAX_CYCLES = 50;
+const MAX_CYCLE_LENGTH = 6;
+
+function networkSettings(policy) {
+  const n = policy.network || {};
+  return {
+    ...NETWORK_DEFAULTS,
+    ...n,
+    cycleMaxLength: Math.min(n.cycleMaxLength || NETWORK_DEFAULTS.cycleMaxLength, MAX_CYCLE_LENGTH),
+    weights: { ...NETWORK_DEFAULTS.weights, ...(n.weights || {}) },
+  };
+}
+
+const nameKey = (name) => nameTokens(name).join(" ");
+
+// Clients with the same ABN (else the same address) are one party, not a ring
+function relatedKey(c) {
+  const abn = String(c.ABN || "").replace(/\D/g, "");
+  if (abn) return `abn:${abn}`;
+  const addr = nameKey(`${c.Address || ""} ${c.Postcode || ""}`);
+  return addr ? `addr:${addr}` : `client:${c.ClientID || c.Name}`;
+}
+
+/**
+ * Nodes (clients, counterparties) and aggregated money-flow edges from the transactions
+ * in the policy's lookback window.
+ */
+function buildGraph({ clients, transactions, asOf, lookbackMonths }) {
+  const nodes = new Map();
+  const byRef = new Map(); // ClientID or name → node id
+  const byName = new Map(); // folded client name → node id
+  for (const c of clients) {
+    const ref = c.ClientID || c.Name;
+    if (!ref) continue;
+    const id = `client:${ref}`;
+    nodes.set(id, { id, kind: "client", label: c.Name || ref, clientId: ref, group: relatedKey(c) });
+    byRef.set(ref, id);
+    if (c.Name) byRef.set(c.Name, byRef.get(c.Name) || id);
+    const key = nameKey(c.Name);
+    if (key && !byName.has(key)) byName.set(key, id);
+  }
+
+  const from = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth() - lookbackMonths, 1));
+  const edges = new Map();
+  for (const t of transactions) {
+    const key = nameKey(t.CounterpartyName);
+    const own = byRef.get(t.ClientID) || byRef.get(t.ClientName);
+    const d = parseDate(t.Date);
+    if (!key || !own || !d || d < from || d > asOf) continue;
+    let other = byName.get(key);
+    if (other === own) continue; // own-account transfer
+    if (!other) {
+      other = `cp:${key}`;
+      if (!nodes.has(other))
+        nodes.set(other, { id: other, kind: "counterparty", label: String(t.CounterpartyName).trim(), countries: [] });
+      const country = String(t.CounterpartyCountry || "").trim().toUpperCase();
+      if (country && !nodes.get(other).countries.includes(country)) nodes.get(other).countries.push(country);
+    }
+    const [source, target] = direction(t) === "in" ? [other, own] : [own, other];
+    const k = `${source}\n${target}`;
+    if (!edges.has(k)) edges.set(k, { source, target, count: 0, amount: 0, items: [] });
+    const e = edges.get(k);
+    const amt = toNum(t.Amount);
+    e.count++;
+    e.amount += isNaN(amt) ? 0 : amt;
+    e.items.push({ tx: t, d, amt });
+  }
+  return { nodes, edges: [...edges.values()] };
+}
+
+// Simple directed cycles up to maxLength nodes, each reported once (from its smallest id)
+function findCycles(graph, maxLength) {
+  const adj = new Map();
+  for (const e of graph.edges) {
+    if (!adj.has(e.source)) adj.set(e.source, []);
+    adj.get(e.source).push(e.target);
+  }
+  const cycles = [];
+  const walk = (start, path) => {
+    for (const next of adj.get(path[path.length - 1]) || []) {
+      if (cycles.length >= MAX_CYCLES) return;
+      if (next === start && path.length >= 2) cycles.push([...path]);
+      else if (next > start && !path.includes(next) && path.length < maxLength) walk(start, [...path, next]);
+    }
+  };
+  for (const start of [...adj.keys()].sort()) walk(start, [start]);
+  return cycles;
+}
+
+/** Graph plus network findings for one run. */
+function analyzeNetwork({ clients, transactions, policy, asOf }) {
+  const settings = networkSettings(policy);
+  const graph = buildGraph({ clients, transactions, asOf, lookbackMonths: policy.thresholds.lookbackMonths });
+  const { nodes, edges } = graph;
+  // Edges by node (in edge order), so each lookup below is one Map get, not a scan
+  const byNode = new Map();
+  const at = (id) => byNode.get(id) || byNode.set(id, { in: [], out: [], all: [] }).get(id);
+  for (const e of edges) {
+    at(e.source).out.push(e);
+    at(e.source).all.push(e);
+    at(e.target).in.push(e);
+    at(e.target).all.push(e);
+  }
+  const byPair = new Map(edges.map((e) => [`${e.source}\n${e.target}`, e]));
+  const findings = [];
+  const add = (type, members, used, detail, extra = {}) => {
+    const items = used.flatMap((e) => e.items).sort((a, b) => a.d - b.d);
+    findings.push({
+      id: `NET-${String(findings.length + 1).padStart(3, "0")}`,
+      type,
+      rule: NETWORK_RULES[type],
+      nodes: members,
+      clients: members.filter((id) => nodes.get(id).kind === "client").map((id) => nodes.get(id).clientId),
+      detail,
+      ...extra,
+      evidence: caseEvidence(items),
+    });
+  };
+
+  for (const node of nodes.values()) {
+    if (node.kind !== "counterparty") continue;
+    const used = at(node.id).all;
+    const clientIds = [...new Set(used.map((e) => (e.source === node.id ? e.target : e.source)))];
+    const parties = new Set(clientIds.map((id) => nodes.get(id).group));
+    if (parties.size < settings.sharedCounterpartyMinClients) continue;
+    const where = node.countries.length ? ` (${node.countries.join("/")})` : "";
+    add("shared_counterparty", [node.id, ...clientIds], used, `${parties.size} unrelated clients deal with ${node.label}${where}`, {
+      counterparty: node.label,
+    });
+  }
+
+  for (const cycle of findCycles(graph, settings.cycleMaxLength)) {
+    if (cycle.filter((id) => nodes.get(id).kind === "client").length < 2) continue;
+    const used = cycle.map((id, i) => byPair.get(`${id}\n${cycle[(i + 1) % cycle.length]}`));
+    const labels = [...cycle, cycle[0]].map((id) => nodes.get(id).label);
+    add("cycle", cycle, used, `Funds cycle: ${labels.join(" → ")}`);
+  }
+
+  for (const node of nodes.values()) {
+    if (node.kind !== "client") continue;
+    const { out, in: inc } = at(node.id);
+    if (out.length >= settings.hubMinCounterparties)
+      add("fan_out", [node.id, ...out.map((e) => e.target)], out, `${node.label} pays ${out.length} distinct counterparties`);
+    if (inc.length >= settings.hubMinCounterparties)
+      add("fan_in", [node.id, ...inc.map((e) => e.source)], inc, `${node.label} receives from ${inc.length} distinct counterparties`);
+  }
+
+  return { settings, graph, findings };
+}
+
+/**
+ * Network reasons for each client: the findings it is part of (one per kind) and
+ * exposure to connected clients already banded High. bandOf(clientId) → band.
+ * @returns {Map<string, {weight: number, text: string}[]>}
+ */
+function networkFactors(network, bandOf) {
+  const { settings, graph, findings } = network;
+  const W = settings.weights;
+  const out = new Map();
+  const push = (clientId, weight, text) => {
+    if (!out.has(clientId)) out.set(clientId, []);
+    out.get(clientId).push({ weight, text });
+  };
+  const seen = new Set();
+  for (const f of findings) {
+    for (const clientId of f.clients) {
+      const kind = f.type.startsWith("fan_") ? "hub" : f.type;
+      if (seen.has(`${clientId}\n${kind}`)) continue;
+      seen.add(`${clientId}\n${kind}`);
+      if (f.type === "shared_counterparty")
+        push(clientId, W.sharedCounterparty, `Shares counterparty ${f.counterparty} with ${f.clients.length - 1} other client(s)`);
+      else if (f.type === "cycle") push(clientId, W.cycle, `In a funds cycle (${f.id})`);
+      else push(clientId, W.hub, f.type === "fan_out" ? "Pays many distinct counterparties (fan-out)" : "Receives from many distinct counterparties (fan-in)");
+    }
+  }
+
+  // connected parties: clients one counterparty apart, or directly linked
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Set());
+    neighbours.get(a).add(b);
+  };
+  for (const e of graph.edges) {
+    link(e.source, e.target);
+    link(e.target, e.source);
+  }
+  for (const node of graph.nodes.values()) {
+    if (node.kind !== "client") continue;
+    const connected = new Set();
+    for (const n of neighbours.get(node.id) || []) {
+      if (graph.nodes.get(n).kind === "client") connected.add(n);
+      else for (const m of neighbours.get(n) || []) if (m !== node.id) connected.add(m);
+    }
+    const high = [...connected]
+      .map((id) => graph.nodes.get(id))
+      .filter((n) => n.kind === "client" && bandOf(n.clientId) === "High")
+      .map((n) => n.label);
+    if (high.length) push(node.clientId, W.connectedHighRisk, `Connected to high-risk client(s): ${high.slice(0, 3).join(", ")}${high.length > 3 ? ` +${high.length - 3}` : ""}`);
+  }
+  return out;
+}
+
+/** Monitoring cases for network findings (same shape as rule cases, plus `clients`). */
+function networkCases(network) {
+  return network.findings.map((f) => {
+    const { transactions, ...ev } = f.evidence;
+    const names = f.clients.map((id) => network.graph.nodes.get(`client:${id}`).label);
+    return {
+      rule: f.rule,
+      client: names.join(", "),
+      clientId: f.clients[0],
+      clients: f.clients,
+      network: f.id,
+      date: ev.dateFrom === ev.dateTo ? ev.dateTo : `${ev.dateFrom} → ${ev.dateTo}`,
+      ...ev,
+      detail: f.detail,
+      transactions,
+    };
+  });
+}
+
+/** network.json: the graph and findings (edges carry transaction ids, not rows). */
+function networkJson(network) {
+  const nodes = [...network.graph.nodes.values()].map(({ group, ...n }) => n);
+  const edges = network.graph.edges.map(({ items, ...e }) => ({
+    ...e,
+    amount: Math.round(e.amount * 100) / 100,
+    txnIds: items.map((it) => it.tx.TxnID).filter(Boolean),
+  }));
+  const findings = network.findings.map(({ evidence, ...f }) => ({
+    ...f,
+    amount: evidence.amount,
+    dateFrom: evidence.dateFrom,
+    dateTo: evidence.dateTo,
+    txnIds: evidence.txnIds,
+  }));
+  return { directed: true, settings: network.settings, nodes, edges, findings };
+}
+
+const xml = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/** network.graphml: the same graph for Gephi, yEd, Neo4j and friends. */
+function networkGraphml(network) {
+  const inFindings = new Map();
+  for (const f of network.findings)
+    for (const id of f.nodes) inFindings.set(id, [...(inFindings.get(id) || []), f.id]);
+  const data = (key, v) => (v === undefined || v === "" ? "" : `<data key="${key}">${xml(v)}</data>`);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="clientId" for="node" attr.name="clientId" attr.type="string"/>',
+    '  <key id="countries" for="node" attr.name="countries" attr.type="string"/>',
+    '  <key id="findings" for="node" attr.name="findings" attr.type="string"/>',
+    '  <key id="count" for="edge" attr.name="count" attr.type="int"/>',
+    '  <key id="amount" for="edge" attr.name="amount" attr.type="double"/>',
+    '  <graph id="network" edgedefault="directed">',
+  ];
+  for (const n of network.graph.nodes.values())
+    lines.push(
+      `    <node id="${xml(n.id)}">${data("label", n.label)}${data("kind", n.kind)}${data("clientId", n.clientId)}${data(
+        "countries",
+        (n.countries || []).join(" ")
+      )}${data("findings", (inFindings.get(n.id) || []).join(" "))}</node>`
+    );
+  network.graph.edges.forEach((e, i) =>
+    lines.push(
+      `    <edge id="e${i + 1}" source="${xml(e.source)}" target="${xml(e.target)}">${data("count", e.count)}${data(
+        "amount",
+        Math.round(e.amount * 100) / 100
+      )}</edge>`
+    )
+  );
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  NETWORK_DEFAULTS,
+  NETWORK_RULES,
+  networkSettings,
+  buildGraph,
+  analyzeNetwork,
+  networkFactors,
+  networkCases,
+  networkJson,
+  networkGraphml,
+};
@@ -0,0 +1,12 @@
+// lib/numbers.js — numbers from CSV cells, parsed the same way everywhere
+// ("$1,250,000", "1 250 000" and 1250000 are all 1250000)
+
+/** A cell as a number, or NaN. Dollar signs, thousands separators and spaces are ignored. */
+function toNum(x) {
+  if (x == null) return NaN;
+  if (typeof x === "number") return x;
+  const n = parseFloat(String(x).replace(/[$, ]/g, ""));
+  return isNaN(n) ? NaN : n;
+}
+
+module.exports = { toNum };
@@ -0,0 +1,157 @@
+// lib/peers.js — peer-group anomaly scoring
+//
+// Fixed thresholds treat a $100k transfer the same for a sole trader and a listed
+// company. Here clients are grouped by EntityType, Industry and turnover band, and each
+// client's activity over the lookback window is compared with its group on four
+// metrics: transaction count, total value, cash share and international share (both
+// by value). The measure is a robust z-score, (x − median) / scale, so a few extreme
+// peers don't hide each other. The scale is the largest of 1.4826 × MAD, 1.2533 × the
+// mean absolute deviation from the median (for groups where over half the peers are
+// identical, so the MAD is 0) and the metric's floor in METRICS (1 transaction, $1,000,
+// 5 points of share). Groups smaller than minPeers fall back to
+// EntityType + turnover band, then EntityType, then every client. Only unusually high
+// activity is flagged. Settings come from the policy's optional "peers" section.
+const { parseDate, toNum } = require("./riskEngine");
+
+const PEERS_DEFAULTS = {
+  minPeers: 5,
+  zThreshold: 3.5,
+  turnoverBands: [100000, 1000000, 10000000],
+  weights: { count: 4, value: 6, cashShare: 6, intlShare: 6 },
+};
+const METRICS = {
+  count: { label: "transaction count", floor: 1, show: (v) => String(Math.round(v)) },
+  value: { label: "transaction value", floor: 1000, show: (v) => Math.round(v).toLocaleString() },
+  cashShare: { label: "cash share", floor: 0.05, show: (v) => `${Math.round(v * 100)}%` },
+  intlShare: { label: "international share", floor: 0.05, show: (v) => `${Math.round(v * 100)}%` },
+};
+
+function peerSettings(policy) {
+  const p = policy.peers || {};
+  return { ...PEERS_DEFAULTS, ...p, weights: { ...PEERS_DEFAULTS.weights, ...(p.weights || {}) } };
+}
+
+function turnoverBand(client, bands) {
+  const t = toNum(client.AnnualTurnoverAUD);
+  if (!(t >= 0)) return "turnover unknown";
+  const i = bands.findIndex((b) => t < b);
+  const k = (n) => (n >= 1e6 ? `$${n / 1e6}M` : `$${n / 1e3}k`);
+  if (i === 0) return `under ${k(bands[0])}`;
+  if (i === -1) return `${k(bands[bands.length - 1])}+`;
+  return `${k(bands[i - 1])}–${k(bands[i])}`;
+}
+
+// Activity of one client over the lookback window
+function clientMetrics(tx, from, asOf) {
+  let count = 0,
+    value = 0,
+    cash = 0,
+    intl = 0;
+  for (const t of tx) {
+    const d = parseDate(t.Date);
+    const amt = toNum(t.Amount);
+    if (!d || d < from || d > asOf) continue;
+    count++;
+    if (isNaN(amt)) continue;
+    value += amt;
+    const type = String(t.Type || "").toLowerCase();
+    const country = String(t.CounterpartyCountry || "").trim().toUpperCase();
+    if (type.includes("cash")) cash += amt;
+    if (type.includes("international") || (country && country !== "AU")) intl += amt;
+  }
+  return { count, value, cashShare: value > 0 ? cash / value : 0, intlShare: value > 0 ? intl / value : 0 };
+}
+
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+// Median and robust spread of one metric; the floor keeps near-identical peers (e.g. no
+// one uses cash) from turning any difference into an extreme score
+function baseline(values, floor) {
+  const med = median(values);
+  const mad = median(values.map((v) => Math.abs(v - med)));
+  const meanDev = values.reduce((a, v) => a + Math.abs(v - med), 0) / values.length;
+  return { n: values.length, median: med, scale: Math.max(1.4826 * mad, 1.2533 * meanDev, floor) };
+}
+
+/**
+ * Peer groups, their baselines and each client's outlying metrics.
+ * @param {object} opts
+ * @param {object[]} opts.clients       normalised client rows
+ * @param {Map<string, object[]>} opts.txByClient ClientID / name → transactions
+ * @param {object} opts.policy
+ * @param {Date} opts.asOf
+ * @returns {{settings: object, groups: object[], clients: object[]}}
+ */
+function analyzePeers({ clients, txByClient, policy, asOf }) {
+  const settings = peerSettings(policy);
+  const from = new Date(Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth() - policy.thresholds.lookbackMonths, 1));
+  const rows = clients.map((c) => {
+    const entity = String(c.EntityType || "").trim() || "Unknown type";
+    const industry = String(c.Industry || "").trim() || "Unknown industry";
+    const band = turnoverBand(c, settings.turnoverBands);
+    const tx = txByClient.get(c.ClientID) || txByClient.get(c.Name) || [];
+    return {
+      clientId: c.ClientID,
+      // most specific first; the first with enough members is the client's peer group
+      keys: [[entity, industry, band], [entity, band], [entity], ["All clients"]].map((k) => k.join(" · ")),
+      metrics: clientMetrics(tx, from, asOf),
+    };
+  });
+
+  const members = new Map();
+  for (const r of rows) for (const k of r.keys) (members.get(k) || members.set(k, []).get(k)).push(r);
+  const groups = new Map();
+  const out = [];
+  for (const r of rows) {
+    const key = r.keys.find((k) => members.get(k).length >= settings.minPeers) || r.keys[r.keys.length - 1];
+    if (!groups.has(key)) {
+      const peers = members.get(key);
+      const stats = {};
+      for (const [m, def] of Object.entries(METRICS)) stats[m] = baseline(peers.map((p) => p.metrics[m]), def.floor);
+      groups.set(key, { key, size: peers.length, stats });
+    }
+    const g = groups.get(key);
+    const outliers = [];
+    if (g.size >= Math.min(settings.minPeers, 3)) {
+      for (const [m, def] of Object.entries(METRICS)) {
+        const z = (r.metrics[m] - g.stats[m].median) / g.stats[m].scale;
+        if (z >= settings.zThreshold)
+          outliers.push({
+            metric: m,
+            value: r.metrics[m],
+            median: g.stats[m].median,
+            z: Math.round(z * 10) / 10,
+            text: `${def.label} ${def.show(r.metrics[m])} vs peer median ${def.show(g.stats[m].median)}`,
+          });
+      }
+    }
+    out.push({ clientId: r.clientId, group: key, metrics: r.metrics, outliers });
+  }
+  return { settings, groups: [...groups.values()], clients: out };
+}
+
+/**
+ * "Unusual for peer group" reasons per client, one per outlying metric.
+ * @returns {Map<string, {weight: number, text: string}[]>}
+ */
+function peerFactors(peers) {
+  const sizes = new Map(peers.groups.map((g) => [g.key, g.size]));
+  const out = new Map();
+  for (const c of peers.clients) {
+    if (!c.outliers.length) continue;
+    out.set(
+      c.clientId,
+      c.outliers.map((o) => ({
+        weight: peers.settings.weights[o.metric] || 0,
+        text: `Unusual for peer group (${c.group}, ${sizes.get(c.group)} clients): ${o.text}, robust z ${o.z}`,
+      }))
+    );
+  }
+  return out;
+}
+
+module.exports = { PEERS_DEFAULTS, METRICS, peerSettings, turnoverBand, analyzePeers, peerFactors };
@@ -0,0 +1,360 @@
+// lib/pipeline.js — the ingest pipeline: CSVs on disk → scored run + evidence pack
+//
+// Runs inside a worker thread for /ingest jobs (lib/jobs.js), so it must not touch
+// Express. Progress is reported per stage through `onProgress({ stage, fraction })`.
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("csv-parse");
+const { v4: uuidv4 } = require("uuid");
+
+const { scoreClient, toNum, toBoolYN, groupByClient } = require("./riskEngine");
+const { canonicalJson, bandFor } = require("./policy");
+const { loadSector, applySector, designatedServicesFor } = require("./sectors");
+const { SCREENING_FILE, DEFAULT_MIN_SCORE, currentLists, screenRun, matchesFor } = require("./screening");
+const { analyzePeers, peerFactors } = require("./peers");
+const { analyzeNetwork, networkFactors, networkCases, networkJson, networkGraphml } = require("./network");
+const { RUNS_DIR, PACK_FILES, buildEvidencePack } = require("./evidence");
+const { initCases } = require("./cases");
+const { narrateCases } = require("./narratives");
+const { writeRunFile } = require("./encryption");
+const { emptyTable, addFxCsv, loadBundledFx, convertTransactions } = require("./fx");
+const { TTR_XML, TTR_CSV, TTR_REJECTED, buildTtrBatch, ttrXml, ttrCsv, ttrRejectedCsv } = require("./ttr");
+const { programDocHtml } = require("./program");
+const { dataQualityReport } = require("./dataQuality");
+const { DATE_FIELDS, normalizeRow, resolveMapping } = require("./columns");
+const { DEFAULT_TIME_ZONE, normalizeDates, today } = require("./dates");
+
+// Stage ids, labels and their share of overall progress
+const STAGES = [
+  { id: "parse_clients", label: "Parsing clients", weight: 0.1 },
+  { id: "parse_transactions", label: "Parsing transactions", weight: 0.25 },
+  { id: "validate", label: "Checking data quality", weight: 0.05 },
+  { id: "convert", label: "Converting currencies", weight: 0.05 },
+  { id: "screen", label: "Screening names against sanctions and PEP lists", weight: 0.05 },
+  { id: "score", label: "Scoring clients", weight: 0.1 },
+  { id: "peers", label: "Comparing clients with their peer groups", weight: 0.05 },
+  { id: "network", label: "Analysing the counterparty network", weight: 0.05 },
+  { id: "narratives", label: "Writing case narratives", weight: 0.15 },
+  { id: "pack", label: "Building evidence pack", weight: 0.15 },
+];
+
+// Parse a CSV file from a read stream (the file itself is never held in memory) and
+// report the share of bytes read. The parsed rows are still collected: rules, peer
+// groups and the network need every transaction of a client, so a job's memory grows
+// with the row count.
+async function parseCsvFile(file, onFraction = () => {}) {
+  const size = fs.statSync(file).size || 1;
+  const input = fs.createReadStream(file);
+  let headers = [];
+  const columns = (h) => (headers = h);
+  const parser = input.pipe(parse({ columns, skip_empty_lines: true, bom: true }));
+  const rows = [];
+  for await (const rec of parser) {
+    rows.push(rec);
+    if (rows.length % 2000 === 0) onFraction(input.bytesRead / size);
+  }
+  onFraction(1);
+  return { headers, rows };
+}
+
+// Headers with a few sample values and where each maps, for the mapping step
+function describeColumns(headers, rows, mapping) {
+  return {
+    signature: mapping.signature,
+    profile: mapping.profile,
+    source: mapping.source,
+    columns: headers.map((header) => ({
+      header,
+      field: mapping.columns[header],
+      samples: rows
+        .map((r) => r[header])
+        .filter((v) => v != null && String(v).trim() !== "")
+        .slice(0, 3),
+    })),
+  };
+}
+
+/**
+ * Run the full ingest for one upload.
+ * @param {object} opts
+ * @param {string} opts.clientsPath      clients CSV on disk
+ * @param {string} opts.transactionsPath transactions CSV on disk
+ * @param {object} opts.policy           validated risk policy (lib/policy.js)
+ * @param {string} opts.policyHash
+ * @param {object} [opts.sector]         sector profile (lib/sectors.js; default: generic)
+ * @param {string} [opts.sectorHash]
+ * @param {object} [opts.organisation]   organisation details for the program document
+ * @param {{path: string, name: string}[]} [opts.fxFiles] extra FX rate tables
+ * @param {{name?: string, number?: string}} [opts.reportingEntity] for the TTR batch
+ * @param {{clients?: object, transactions?: object}} [opts.mappings] header → field overrides
+ *                                       (otherwise a saved profile or the built-in synonyms)
+ * @param {{clients?: object, transactions?: object}} [opts.dateFormats] field → date format
+ *                                       overrides (otherwise detected per column)
+ * @param {string} [opts.timeZone]       IANA zone for dates and "today" (default TIMEZONE env)
+ * @param {string} [opts.orgId]         organisation that owns the run (and whose mapping
+ *                                       profiles and sanctions / PEP lists apply)
+ * @param {string} [opts.createdBy]      user who started the upload, as recorded in run.json
+ * @param {string} [opts.runId]          id for the run (default: a new UUID)
+ * @param {string} [opts.runsDir]        where the run folder is created (default runs/)
+ * @param {boolean} [opts.preflightOnly] stop after the data quality check
+ * @param {function} [opts.onProgress]   ({ stage, fraction }) => void
+ * @returns {Promise<{runId: string, runDir: string}|
+ *   {preflight: true, dataQuality: object, columns: object}>}
+ */
+async function runIngest(opts) {
+  const { policy, policyHash, onProgress = () => {} } = opts;
+  const { sector, hash: sectorHash } = opts.sector ? { sector: opts.sector, hash: opts.sectorHash } : loadSector();
+  const progress = (stage) => (fraction) => onProgress({ stage, fraction });
+  const now = opts.now || new Date();
+  // Scoring compares calendar days, so "now" is today's date in the reporting time zone
+  const timeZone = opts.timeZone || DEFAULT_TIME_ZONE;
+  const asOf = today(timeZone, now);
+
+  // Parse CSVs (case-insensitive headers)
+  const clientsCsv = await parseCsvFile(opts.clientsPath, progress("parse_clients"));
+  const txCsv = await parseCsvFile(opts.transactionsPath, progress("parse_transactions"));
+  const clientsRaw = clientsCsv.rows;
+  const txRaw = txCsv.rows;
+
+  // Normalize headers to canonical keys (manual mapping > saved profile > synonyms)
+  const mappings = opts.mappings || {};
+  const clientMap = resolveMapping("clients", clientsCsv.headers, mappings.clients, opts.orgId);
+  const txMap = resolveMapping("transactions", txCsv.headers, mappings.transactions, opts.orgId);
+  const clients = clientsRaw.map((r, i) => {
+    const n = normalizeRow(r, clientMap.keymap);
+    // fallbacks so we always have essential fields
+    n.ClientID = n.ClientID || `C${String(i + 1).padStart(3, "0")}`;
+    n.Name = n.Name || n.ClientID;
+    n.Country = n.Country || "AU";
+    return n;
+  });
+  const tx = txRaw.map((r, i) => {
+    const n = normalizeRow(r, txMap.keymap);
+    // cases cite TxnIDs, so every row needs one (row number when the CSV has none)
+    n.TxnID = n.TxnID || `ROW${String(i + 2).padStart(5, "0")}`;
+    n.Amount = toNum(n.Amount);
+    return n;
+  });
+
+  // Dates to YYYY-MM-DD with an explicit format per column (detected or overridden)
+  const dateFormats = opts.dateFormats || {};
+  const dates = {
+    clients: normalizeDates(clients, DATE_FIELDS.clients, { formats: dateFormats.clients, timeZone }),
+    transactions: normalizeDates(tx, DATE_FIELDS.transactions, { formats: dateFormats.transactions, timeZone }),
+  };
+
+  // What the detectors would otherwise skip silently; reviewed before scoring
+  const dataQuality = dataQualityReport({
+    clientsRaw,
+    txRaw,
+    clients,
+    tx,
+    clientKeymap: clientMap.keymap,
+    txKeymap: txMap.keymap,
+    dates,
+    asOf,
+  });
+  for (const [kind, m] of [["clients", clientMap], ["transactions", txMap]])
+    Object.assign(dataQuality.headers[kind], { signature: m.signature, source: m.source, profile: m.profile });
+  progress("validate")(1);
+  if (opts.preflightOnly) {
+    const columns = {
+      clients: describeColumns(clientsCsv.headers, clientsRaw, clientMap),
+      transactions: describeColumns(txCsv.headers, txRaw, txMap),
+    };
+    return { preflight: true, dataQuality, columns };
+  }
+
+  // Convert every amount to AUD before any detector runs (originals are kept)
+  const fxTable = loadBundledFx(emptyTable());
+  for (const f of opts.fxFiles || []) addFxCsv(fxTable, fs.readFileSync(f.path, "utf8"), f.name);
+  const fx = convertTransactions(tx, fxTable);
+  progress("convert")(1);
+
+  // Build txn index (by ClientID or ClientName)
+  const by = groupByClient(tx);
+
+  // Screen clients and counterparties against the organisation's newest lists
+  const lists = currentLists(opts.orgId);
+  const screening = screenRun({
+    lists,
+    clients,
+    transactions: tx,
+    minScore: policy.thresholds.screeningMinScore ?? DEFAULT_MIN_SCORE,
+    onProgress: progress("screen"),
+  });
+  progress("screen")(1);
+
+  // Score (rule hits are kept aside so cases come from the same evaluation) with the
+  // policy plus the sector's risk factors and rules
+  const scoring = applySector(policy, sector);
+  const onScore = progress("score");
+  const ruleHits = new Map();
+  const services = {}; // designated service id → clients using it
+  const scored = clients
+    .map((c, i) => {
+      const t = by.get(c.ClientID) || by.get(c.Name) || [];
+      const screened = lists.length ? matchesFor(screening, [c.ClientID, c.Name]) : null;
+      const r = scoreClient(c, t, asOf, scoring, screened);
+      const designated = designatedServicesFor(c, sector);
+      for (const id of designated) services[id] = (services[id] || 0) + 1;
+      const row = {
+        ClientID: c.ClientID,
+        Name: c.Name,
+        Band: r.band,
+        Score: r.score,
+        Reasons: r.reasons,
+        // (Optional) show a couple of recent txn stats in UI later if needed
+        Country: c.Country || "",
+        PEP: c.PEP || "N",
+        KYCStatus: c.KYCStatus || "",
+        DeliveryChannel: c.DeliveryChannel || "",
+        ServicesUsed: c.ServicesUsed || "",
+        DesignatedServices: designated,
+        // what list screening / the file's flags added, so a review decision can re-score
+        Screening: {
+          flags: { pep: toBoolYN(c.PEP), sanctions: toBoolYN(c.SanctionsMatch) },
+          factors: r.listed,
+        },
+      };
+      ruleHits.set(row, r.hits);
+      if (i % 500 === 0) onScore(i / clients.length);
+      return row;
+    });
+  onScore(1);
+
+  // Activity far above the client's peer group (entity type, industry, turnover band)
+  const addFactors = (factors) => {
+    for (const row of scored) {
+      for (const f of factors.get(row.ClientID) || []) {
+        if (!f.weight) continue;
+        row.Score += f.weight;
+        row.Reasons.push(`${f.text} (+${f.weight})`);
+      }
+      row.Band = bandFor(row.Score, scoring);
+    }
+  };
+  const peers = analyzePeers({ clients, txByClient: by, policy: scoring, asOf });
+  addFactors(peerFactors(peers));
+  progress("peers")(1);
+
+  // Patterns across clients: shared counterparties, cycles, hubs, and exposure to
+  // connected clients the first pass banded High
+  const network = analyzeNetwork({ clients, transactions: tx, policy: scoring, asOf });
+  const bands = new Map(scored.map((row) => [row.ClientID, row.Band]));
+  addFactors(networkFactors(network, (id) => bands.get(id)));
+  scored.sort((a, b) => b.Score - a.Score);
+  progress("network")(1);
+
+  // Build monitoring cases
+  const cases = [];
+  for (const c of scored) {
+    for (const h of ruleHits.get(c)) {
+      const { transactions, ...ev } = h.evidence;
+      cases.push({
+        rule: h.rule,
+        client: c.Name,
+        clientId: c.ClientID,
+        date: ev.dateFrom === ev.dateTo ? ev.dateTo : `${ev.dateFrom} → ${ev.dateTo}`,
+        ...ev,
+        detail: h.detail,
+        transactions, // per-case extract of the triggering transactions
+      });
+    }
+  }
+  cases.push(...networkCases(network));
+
+  const onNarrate = progress("narratives");
+  const narratives = await narrateCases(cases, { clients, onProgress: onNarrate });
+  onNarrate(1);
+
+  // Save run (JSON, program.html, manifest, ZIP)
+  const onPack = progress("pack");
+  const runId = opts.runId || uuidv4();
+  const runDir = path.join(opts.runsDir || RUNS_DIR, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  writeRunFile(runDir, "clients.json", JSON.stringify(scored, null, 2));
+  writeRunFile(runDir, "transactions.json", JSON.stringify(tx, null, 2));
+  writeRunFile(runDir, "cases.json", JSON.stringify(initCases(cases, now), null, 2));
+  const programHtml = programDocHtml(opts.organisation || {}, sector, { policy: scoring, services, date: now });
+  writeRunFile(runDir, "program.html", programHtml);
+  // Canonical form, so the file hash equals the policy (sector) hash
+  writeRunFile(runDir, "policy.json", canonicalJson(policy));
+  writeRunFile(runDir, "sector.json", canonicalJson(sector));
+  writeRunFile(runDir, SCREENING_FILE, JSON.stringify(screening, null, 2));
+  writeRunFile(runDir, "peers.json", JSON.stringify(peers, null, 2));
+  const graph = networkJson(network);
+  writeRunFile(runDir, "network.json", JSON.stringify(graph, null, 2));
+  writeRunFile(runDir, "network.graphml", networkGraphml(network));
+  writeRunFile(runDir, "fx.json", JSON.stringify(fx, null, 2));
+  writeRunFile(runDir, "data_quality.json", JSON.stringify(dataQuality, null, 2));
+  onPack(0.3);
+
+  // TTR batch for every physical cash transaction at or over the threshold
+  const re = opts.reportingEntity || {};
+  const ttr = buildTtrBatch({
+    cases,
+    transactions: tx,
+    clients,
+    reportingEntity: {
+      name: re.name || process.env.REPORTING_ENTITY_NAME,
+      number: re.number || process.env.REPORTING_ENTITY_NUMBER,
+    },
+  });
+  const ttrSummary = { reports: ttr.reports.length, valid: ttr.valid.length, invalid: ttr.invalid.length };
+  if (ttr.reports.length) {
+    writeRunFile(runDir, TTR_XML, ttrXml(ttr, now));
+    writeRunFile(runDir, TTR_CSV, ttrCsv(ttr));
+  }
+  // reports failing validation never enter the batch; they are listed on their own
+  if (ttr.invalid.length) writeRunFile(runDir, TTR_REJECTED, ttrRejectedCsv(ttr));
+
+  const policyMeta = { id: policy.id, name: policy.name || policy.id, version: policy.version, sha256: policyHash };
+  const sectorMeta = { id: sector.id, name: sector.name, version: sector.version, sha256: sectorHash };
+  await buildEvidencePack(runDir, PACK_FILES, {
+    "policy.json": { policy: policyMeta },
+    "sector.json": { sector: sectorMeta },
+    [SCREENING_FILE]: { screening: { lists: screening.lists.map(({ id, kind, name, version, sha256 }) => ({ id, kind, name, version, sha256 })) } },
+    "cases.json": { narratives },
+    "peers.json": { peers: { groups: peers.groups.length, outliers: peers.clients.filter((c) => c.outliers.length).length } },
+    "network.json": { network: { nodes: graph.nodes.length, edges: graph.edges.length, findings: graph.findings.length } },
+    [TTR_XML]: { ttr: ttrSummary },
+    [TTR_REJECTED]: { ttrRejected: { reports: ttr.invalid.length, lodgeable: false } },
+    "data_quality.json": { dataQuality: dataQuality.summary },
+  });
+
+  // What the results page needs that is not already in the pack files
+  writeRunFile(
+    runDir,
+    "run.json",
+    JSON.stringify(
+      {
+        runId,
+        orgId: opts.orgId || null,
+        createdBy: opts.createdBy || null,
+        createdAt: now.toISOString(),
+        policy: policyMeta,
+        sector: sectorMeta,
+        screening: { lists: screening.lists, candidates: screening.matches.length },
+        network: { nodes: graph.nodes.length, edges: graph.edges.length, findings: graph.findings.length },
+        counts: { clients: clients.length, transactions: tx.length, cases: cases.length },
+        narratives,
+        ttr: ttrSummary,
+        ttrRejected: ttr.invalid,
+        dataQuality: dataQuality.summary,
+        dates: { timeZone, asOf: asOf.toISOString().slice(0, 10) },
+      },
+      null,
+      2
+    )
+  );
+  onPack(1);
+  return { runId, runDir };
+}
+
+module.exports = {
+  STAGES,
+  parseCsvFile,
+  runIngest,
+};
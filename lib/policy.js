@@ -0,0 +1,157 @@
+// lib/policy.js — versioned risk policy documents (thresholds, weights, country lists, rules)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { validateRule } = require("./rules");
+
+const POLICY_DIR = path.join(__dirname, "..", "policies");
+const DEFAULT_POLICY_ID = "default";
+
+const REQUIRED = {
+  countries: ["high", "medium", "corridors"],
+  thresholds: ["lookbackMonths", "kycStaleMonths"],
+  weights: [
+    "pep",
+    "sanctions",
+    "kycStale",
+    "nonResident",
+    "remittance",
+    "property",
+    "deliveryChannel",
+    "highRiskExposure",
+    "mediumRiskExposure",
+    "edd",
+  ],
+  bands: ["high", "medium"],
+};
+
+// Stable JSON (sorted keys) so the same settings always hash the same
+function canonicalJson(value) {
+  const sort = (v) => {
+    if (Array.isArray(v)) return v.map(sort);
+    if (v && typeof v === "object") {
+      const out = {};
+      for (const k of Object.keys(v).sort()) out[k] = sort(v[k]);
+      return out;
+    }
+    return v;
+  };
+  return JSON.stringify(sort(value), null, 2);
+}
+
+function policyHash(policy) {
+  return crypto.createHash("sha256").update(canonicalJson(policy)).digest("hex");
+}
+
+function bandFor(score, policy) {
+  return score >= policy.bands.high ? "High" : score >= policy.bands.medium ? "Medium" : "Low";
+}
+
+function validatePolicy(p) {
+  const errors = [];
+  if (!p || typeof p !== "object") return ["Policy must be a JSON object"];
+  if (!p.version) errors.push("version is required");
+  for (const [section, keys] of Object.entries(REQUIRED)) {
+    const s = p[section];
+    if (!s || typeof s !== "object") {
+      errors.push(`${section} section is missing`);
+      continue;
+    }
+    for (const k of keys) {
+      if (section === "countries") {
+        if (!Array.isArray(s[k])) errors.push(`countries.${k} must be a list of ISO codes`);
+      } else if (typeof s[k] !== "number" || !isFinite(s[k])) {
+        errors.push(`${section}.${k} must be a number`);
+      }
+    }
+  }
+  if (p.bands && p.bands.high < p.bands.medium) errors.push("bands.high must be ≥ bands.medium");
+  if (p.peers !== undefined) {
+    // optional: peer-group anomaly settings (lib/peers.js)
+    const n = p.peers || {};
+    if (n.minPeers !== undefined && !(Number.isInteger(n.minPeers) && n.minPeers >= 2))
+      errors.push("peers.minPeers must be a whole number ≥ 2");
+    if (n.zThreshold !== undefined && !(typeof n.zThreshold === "number" && n.zThreshold > 0))
+      errors.push("peers.zThreshold must be a positive number");
+    const bands = n.turnoverBands;
+    if (bands !== undefined && !(Array.isArray(bands) && bands.length && bands.every((b, i) => b > 0 && (!i || b > bands[i - 1]))))
+      errors.push("peers.turnoverBands must be increasing positive amounts");
+    for (const [k, v] of Object.entries(n.weights || {})) {
+      if (typeof v !== "number" || !isFinite(v)) errors.push(`peers.weights.${k} must be a number`);
+    }
+  }
+  if (p.network !== undefined) {
+    // optional: counterparty network thresholds and weights (lib/network.js)
+    const n = p.network || {};
+    for (const k of ["sharedCounterpartyMinClients", "hubMinCounterparties", "cycleMaxLength"]) {
+      if (n[k] !== undefined && !(Number.isInteger(n[k]) && n[k] >= 2)) errors.push(`network.${k} must be a whole number ≥ 2`);
+    }
+    for (const [k, v] of Object.entries(n.weights || {})) {
+      if (typeof v !== "number" || !isFinite(v)) errors.push(`network.weights.${k} must be a number`);
+    }
+  }
+  if (!Array.isArray(p.rules)) errors.push("rules must be a list of monitoring rules");
+  else {
+    const seen = new Set();
+    for (const r of p.rules) {
+      errors.push(...validateRule(r, p));
+      if (r && seen.has(r.id)) errors.push(`rule ${r.id} is defined twice`);
+      if (r) seen.add(r.id);
+    }
+  }
+  return errors;
+}
+
+// Parse a policy document (JSON text) and attach its content hash
+function parsePolicy(text, fallbackId = "uploaded") {
+  let p;
+  try {
+    p = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Policy is not valid JSON: " + e.message);
+  }
+  const errors = validatePolicy(p);
+  if (errors.length) throw new Error("Invalid risk policy: " + errors.join("; "));
+  p.id = p.id || fallbackId;
+  for (const [k, list] of Object.entries(p.countries)) {
+    if (Array.isArray(list)) p.countries[k] = list.map((c) => String(c).toUpperCase());
+  }
+  return { policy: p, hash: policyHash(p) };
+}
+
+function listPolicies() {
+  if (!fs.existsSync(POLICY_DIR)) return [];
+  return fs
+    .readdirSync(POLICY_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => {
+      const id = path.basename(f, ".json");
+      try {
+        const { policy, hash } = parsePolicy(fs.readFileSync(path.join(POLICY_DIR, f), "utf8"), id);
+        return { id, name: policy.name || id, version: policy.version, hash };
+      } catch (e) {
+        return { id, name: id, version: null, error: e.message };
+      }
+    })
+    .sort((a, b) => (a.id === DEFAULT_POLICY_ID ? -1 : b.id === DEFAULT_POLICY_ID ? 1 : a.id.localeCompare(b.id)));
+}
+
+function loadPolicy(id = DEFAULT_POLICY_ID) {
+  const safe = String(id || DEFAULT_POLICY_ID);
+  if (!/^[\w.-]+$/.test(safe)) throw new Error("Invalid policy id");
+  const file = path.join(POLICY_DIR, safe + ".json");
+  if (!fs.existsSync(file)) throw new Error(`Unknown risk policy: ${safe}`);
+  return parsePolicy(fs.readFileSync(file, "utf8"), safe);
+}
+
+module.exports = {
+  POLICY_DIR,
+  DEFAULT_POLICY_ID,
+  canonicalJson,
+  policyHash,
+  bandFor,
+  validatePolicy,
+  parsePolicy,
+  listPolicies,
+  loadPolicy,
+};
@@ -0,0 +1,84 @@
+// lib/program.js — AML/CTF program document (program.html in the evidence pack)
+//
+// Generic sections plus the sector profile's (lib/sectors.js): its designated services
+// with how many clients use each, its risk factors and monitoring rules, and its own
+// sections. Governance details come from the organisation's settings.
+const dayjs = require("dayjs");
+
+const esc = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * @param {object} org        organisation details (lib/accounts.js orgDetails)
+ * @param {object} sector     sector profile
+ * @param {object} [opts]
+ * @param {object} [opts.policy]   effective scoring policy (for the monitoring rule list)
+ * @param {object} [opts.services] designated service id → number of clients using it
+ * @param {Date}   [opts.date]
+ */
+function programDocHtml(org = {}, sector = {}, { policy, services = {}, date = new Date() } = {}) {
+  const today = dayjs(date).format("YYYY-MM-DD");
+  const assign = (v, placeholder) => (v ? esc(v) : `<em>${placeholder}</em>`);
+  const designated = sector.designatedServices || [];
+  const factors = sector.riskFactors || [];
+  const rules = ((policy && policy.rules) || []).filter((r) => r.enabled !== false);
+  const extra = (sector.program && sector.program.sections) || [];
+  let n = 0;
+  const h2 = (title) => `<h2>${++n}. ${title}</h2>`;
+
+  const entity = [
+    org.abn && `ABN ${esc(org.abn)}`,
+    org.reportingEntityNumber && `AUSTRAC reporting entity no. ${esc(org.reportingEntityNumber)}`,
+  ].filter(Boolean);
+
+  return `<!doctype html><html><head><meta charset="utf-8"><style>
+  body{font-family:Segoe UI,Arial,sans-serif;max-width:860px;margin:24px auto;padding:0 12px;color:#222}
+  h1{margin:0 0 8px} h2{margin-top:24px} code{background:#f2f2f2;padding:2px 4px}
+  .box{border:1px solid #e0e0e0;padding:12px;margin:12px 0;border-radius:6px}
+  table{border-collapse:collapse;width:100%} td,th{border:1px solid #e0e0e0;padding:6px;text-align:left;vertical-align:top}
+  em{color:#b26a00}
+  </style></head><body>
+  <h1>AML/CTF Program — ${esc(org.legalName || org.name || "Your Organisation")}</h1>
+  <div class="box">Version: 1.0 • Sector: ${esc(sector.name || "General")}${
+    sector.version ? ` (profile ${esc(sector.version)})` : ""
+  } • Date: ${today}${entity.length ? `<br>${entity.join(" • ")}` : ""}</div>
+  ${sector.program && sector.program.summary ? `<p>${esc(sector.program.summary)}</p>` : ""}
+  ${h2("Governance")}<p>AML/CTF Compliance Officer: ${assign(org.complianceOfficer, "(assign)")}${
+    org.complianceOfficerEmail ? ` (${esc(org.complianceOfficerEmail)})` : ""
+  }. Reports to ${assign(org.board, "(board/owner)")}, which approves this program and receives an
+  annual compliance report.</p>
+  ${
+    designated.length
+      ? `${h2("Designated services")}<p>The organisation provides the following designated services.
+  Clients are matched on the services recorded against them.</p>
+  <table><tr><th>Service</th><th>Clients</th></tr>${designated
+    .map((d) => `<tr><td>${esc(d.name)} <code>${esc(d.id)}</code></td><td>${services[d.id] || 0}</td></tr>`)
+    .join("")}</table>`
+      : ""
+  }
+  ${h2("ML/TF Risk Assessment")}<p>Risk factors: customer type, geography, products/services, channels, delivery methods.</p>${
+    factors.length
+      ? `<p>Sector risk factors scored for every client:</p><ul>${factors
+          .map((f) => `<li>${esc(f.name || f.id)} — ${esc(f.reason)} (+${f.weight})</li>`)
+          .join("")}</ul>`
+      : ""
+  }
+  ${h2("CDD")}<p>Standard CDD for Low; EDD for High risk/PEPs. Verify identity before service delivery.</p>
+  ${h2("Ongoing Monitoring")}${
+    rules.length
+      ? `<p>Transactions are monitored with these rules:</p><ul>${rules
+          .map((r) => `<li>${esc(r.name || r.id)} <code>${esc(r.id)}</code></li>`)
+          .join("")}</ul>`
+      : `<p>Rules: large cash ≥ $10,000; structuring; high-risk corridors; unusual patterns.</p>`
+  }
+  ${extra.map((s) => `${h2(esc(s.title))}<p>${esc(s.body)}</p>`).join("\n  ")}
+  ${h2("Reporting")}<p>SMRs lodged promptly; internal escalation to the Compliance Officer.</p>
+  ${h2("Record Keeping")}<p>Retain CDD/transaction records ≥ 7 years. Maintain evidence packs with SHA-256 manifests.</p>
+  ${h2("Training & Review")}<p>Annual AML training; independent review at least every two years.</p></body></html>`;
+}
+
+module.exports = { programDocHtml };
@@ -0,0 +1,369 @@
+// lib/rules.js — declarative monitoring rule registry
+//
+// Rules live in the risk policy ("rules" array) so analysts can add them without code:
+//   {
+//     "id": "R_SAME_COUNTERPARTY",                 // case code, also used in score reasons
+//     "filter": { "type": "international" },       // which transactions are considered
+//     "window": { "days": 30 },                    // lookbackMonths defaults to the policy's
+//     "aggregation": "rolling",                    // total | chain | rolling | pass_through |
+//                                                  // velocity | dormant | turnover (AGGREGATIONS)
+//     "params": { ... },                           // numbers for the typology aggregations
+//     "groupBy": "CounterpartyName",               // optional: evaluate per field value
+//     "threshold": { "count": 3 },                 // count / sum / maxAmount, all must hold
+//     "weight": 10,
+//     "reason": "{count} intl transfers to {group} within {days} days",
+//     "case": "Repeated intl transfers to {group} (n={count})"
+//   }
+// Scoring and case generation both consume the hits returned by evaluateRules.
+
+const { toNum } = require("./numbers");
+
+const MS_PER_DAY = 86400000;
+// Transaction amounts are converted to AUD before any rule runs (lib/fx.js)
+const AMOUNT_CURRENCY = "AUD";
+const unconverted = (it) => it.tx.FxStatus === "unconverted";
+
+const isoDay = (d) => d.toISOString().slice(0, 10);
+const fmt = (n) => Math.round(n).toLocaleString();
+const total = (set) => set.reduce((a, it) => a + (isNaN(it.amt) ? 0 : it.amt), 0);
+
+// Money in or out of the client: a Direction column (in/out, CR/DR) when the file has
+// one, otherwise deposits and receipts are incoming and everything else outgoing
+function direction(t) {
+  const d = String(t.Direction || "").trim().toLowerCase();
+  if (/^(in|cr|credit|incoming|inward|received)/.test(d)) return "in";
+  if (/^(out|dr|debit|outgoing|outward|sent)/.test(d)) return "out";
+  return /deposit|receipt|incoming|inward|received|credit/i.test(t.Type || "") ? "in" : "out";
+}
+
+// Each aggregation turns one group of date-sorted items into candidate sets. A set is a
+// list of items, or { items, vars } when the aggregation has figures of its own for the
+// reason / case templates. ctx is { now, client }.
+const AGGREGATIONS = {
+  // every matching transaction in the lookback window
+  total: (items) => [items],
+  // runs where consecutive transactions are at most window.days apart
+  chain: (items, rule) => {
+    if (!items.length) return [];
+    const gap = rule.window.days * MS_PER_DAY;
+    const runs = [];
+    let run = [items[0]];
+    for (let i = 1; i < items.length; i++) {
+      if (items[i].d - items[i - 1].d <= gap) run.push(items[i]);
+      else {
+        runs.push(run);
+        run = [items[i]];
+      }
+    }
+    runs.push(run);
+    return runs;
+  },
+  // every window of window.days starting at a transaction
+  rolling: (items, rule) => {
+    const span = rule.window.days * MS_PER_DAY;
+    return items.map((first, i) => {
+      const set = [];
+      for (let j = i; j < items.length && items[j].d - first.d <= span; j++) set.push(items[j]);
+      return set;
+    });
+  },
+  // money received and mostly sent on again within window.days (params.minRatio, 0.8)
+  pass_through: (items, rule) => {
+    const { minRatio = 0.8 } = rule.params || {};
+    const span = rule.window.days * MS_PER_DAY;
+    const sets = [];
+    items.forEach((first, i) => {
+      if (direction(first.tx) !== "in" || !(first.amt > 0)) return;
+      const outs = [];
+      for (let j = i + 1; j < items.length && items[j].d - first.d <= span; j++) {
+        if (direction(items[j].tx) !== "out") continue;
+        outs.push(items[j]);
+        if (total(outs) >= first.amt * minRatio) break;
+      }
+      const out = total(outs);
+      if (outs.length && out >= first.amt * minRatio)
+        sets.push({ items: [first, ...outs], vars: { in: fmt(first.amt), out: fmt(out), pct: Math.round((out / first.amt) * 100) } });
+    });
+    return sets;
+  },
+  // windows of window.days whose count or value is params.multiple (3) times the client's
+  // average for such a window over the previous params.baselineDays (180); needs at least
+  // params.minBaseline (3) earlier transactions and two windows' worth of history
+  velocity: (items, rule) => {
+    const { baselineDays = 180, multiple = 3, minBaseline = 3 } = rule.params || {};
+    const span = rule.window.days * MS_PER_DAY;
+    const sets = [];
+    let b = 0;
+    items.forEach((first, i) => {
+      while (b < i && first.d - items[b].d > baselineDays * MS_PER_DAY) b++;
+      const history = Math.min(baselineDays * MS_PER_DAY, first.d - items[0].d);
+      if (i - b < minBaseline || history < 2 * span) return;
+      const periods = history / span;
+      const usual = { count: (i - b) / periods, value: total(items.slice(b, i)) / periods };
+      const set = [];
+      for (let j = i; j < items.length && items[j].d - first.d <= span; j++) set.push(items[j]);
+      const byCount = set.length / usual.count;
+      const byValue = usual.value > 0 ? total(set) / usual.value : 0;
+      if (Math.max(byCount, byValue) < multiple) return;
+      const measure = byValue > byCount ? "value" : "count";
+      sets.push({
+        items: set,
+        vars: {
+          multiple: Math.max(byCount, byValue).toFixed(1),
+          measure,
+          usual: measure === "value" ? fmt(usual.value) : usual.count.toFixed(1),
+        },
+      });
+    });
+    return sets;
+  },
+  // activity within window.days after a gap of at least params.dormantDays (180)
+  dormant: (items, rule) => {
+    const { dormantDays = 180 } = rule.params || {};
+    const span = rule.window.days * MS_PER_DAY;
+    const sets = [];
+    for (let i = 1; i < items.length; i++) {
+      const gap = (items[i].d - items[i - 1].d) / MS_PER_DAY;
+      if (gap < dormantDays) continue;
+      const set = [];
+      for (let j = i; j < items.length && items[j].d - items[i].d <= span; j++) set.push(items[j]);
+      sets.push({ items: set, vars: { dormantDays: Math.round(gap), lastActive: isoDay(items[i - 1].d) } });
+    }
+    return sets;
+  },
+  // flows in the last window.days against the client's AnnualTurnoverAUD (pro rata),
+  // when they reach params.multiple (2) times it
+  turnover: (items, rule, { client, now }) => {
+    const { multiple = 2 } = rule.params || {};
+    const declared = toNum(client && client.AnnualTurnoverAUD);
+    if (!(declared > 0)) return [];
+    const set = items.filter((it) => now - it.d < rule.window.days * MS_PER_DAY && it.d <= now);
+    const expected = (declared * rule.window.days) / 365;
+    if (!set.length || total(set) < expected * multiple) return [];
+    return [{ items: set, vars: { declared: fmt(declared), multiple: (total(set) / expected).toFixed(1) } }];
+  },
+};
+// aggregations that need window.days
+const WINDOWED = new Set(["chain", "rolling", "pass_through", "velocity", "dormant", "turnover"]);
+
+function registerAggregation(name, fn) {
+  if (typeof fn !== "function") throw new Error(`Aggregation ${name} must be a function`);
+  AGGREGATIONS[name] = fn;
+}
+
+const FILTER_KEYS = new Set([
+  "type",
+  "channel",
+  "amountMin",
+  "amountBelow",
+  "countryIn",
+  "countryNotIn",
+  "currencyIn",
+  "direction",
+  "roundTo",
+]);
+
+function validateRule(rule, policy) {
+  const errors = [];
+  const where = `rule ${rule && rule.id ? rule.id : "(unnamed)"}`;
+  if (!rule || typeof rule !== "object") return ["each rule must be an object"];
+  if (!/^R_[A-Z0-9_]+$/.test(rule.id || "")) errors.push(`${where}: id must look like R_SOMETHING`);
+  if (rule.aggregation && !Object.prototype.hasOwnProperty.call(AGGREGATIONS, rule.aggregation))
+    errors.push(`${where}: unknown aggregation "${rule.aggregation}"`);
+  if (WINDOWED.has(rule.aggregation) && typeof (rule.window || {}).days !== "number")
+    errors.push(`${where}: ${rule.aggregation} aggregation needs window.days`);
+  if (typeof rule.weight !== "number") errors.push(`${where}: weight must be a number`);
+  if (!rule.reason) errors.push(`${where}: reason template is required`);
+  for (const k of Object.keys(rule.filter || {}))
+    if (!FILTER_KEYS.has(k)) errors.push(`${where}: unknown filter "${k}"`);
+  const f = rule.filter || {};
+  if (f.direction !== undefined && !["in", "out"].includes(f.direction))
+    errors.push(`${where}: filter.direction must be "in" or "out"`);
+  if (f.roundTo !== undefined && !(typeof f.roundTo === "number" && f.roundTo > 0))
+    errors.push(`${where}: filter.roundTo must be a positive number`);
+  for (const [k, v] of Object.entries(rule.params || {}))
+    if (typeof v !== "number" || !isFinite(v)) errors.push(`${where}: params.${k} must be a number`);
+  for (const k of ["countryIn", "countryNotIn"]) {
+    const v = rule.filter && rule.filter[k];
+    if (typeof v === "string" && !(policy && policy.countries && Array.isArray(policy.countries[v])))
+      errors.push(`${where}: filter.${k} refers to unknown country list "${v}"`);
+  }
+  return errors;
+}
+
+const asList = (v) => (v == null ? null : Array.isArray(v) ? v : [v]);
+
+// Resolve list references and defaults once per policy
+function compileRules(policy) {
+  return (policy.rules || [])
+    .filter((r) => r.enabled !== false)
+    .map((r) => {
+      const f = r.filter || {};
+      const countries = (v) =>
+        v == null ? null : (typeof v === "string" ? policy.countries[v] : v).map((c) => String(c).toUpperCase());
+      return {
+        ...r,
+        aggregation: r.aggregation || "total",
+        window: { lookbackMonths: policy.thresholds.lookbackMonths, ...(r.window || {}) },
+        threshold: { count: 1, ...(r.threshold || {}) },
+        match: {
+          type: asList(f.type)?.map((s) => s.toLowerCase()),
+          channel: asList(f.channel)?.map((s) => s.toLowerCase()),
+          amountMin: f.amountMin,
+          amountBelow: f.amountBelow,
+          countryIn: countries(f.countryIn),
+          countryNotIn: countries(f.countryNotIn),
+          currencyIn: asList(f.currencyIn)?.map((s) => s.toUpperCase()),
+          direction: f.direction,
+          roundTo: f.roundTo,
+        },
+      };
+    });
+}
+
+function matches(m, it) {
+  const t = it.tx;
+  const type = (t.Type || "").toLowerCase();
+  const channel = (t.Channel || "").toLowerCase();
+  const country = (t.CounterpartyCountry || "").toString().trim().toUpperCase();
+  const ccy = (t.CurrencyOriginal || t.Currency || "").toString().trim().toUpperCase();
+  if (m.type && !m.type.some((s) => type.includes(s))) return false;
+  if (m.channel && !m.channel.some((s) => channel.includes(s))) return false;
+  if (m.amountMin != null && !(it.amt >= m.amountMin)) return false;
+  if (m.amountBelow != null && !(it.amt < m.amountBelow)) return false;
+  if (m.countryIn && !m.countryIn.includes(country)) return false;
+  if (m.countryNotIn && m.countryNotIn.includes(country)) return false;
+  if (m.currencyIn && !m.currencyIn.includes(ccy)) return false;
+  if (m.direction && direction(t) !== m.direction) return false;
+  if (m.roundTo) {
+    // round in the currency it was sent in, not after conversion
+    const amount = t.AmountOriginal != null ? Number(t.AmountOriginal) : it.amt;
+    if (!(amount > 0 && amount % m.roundTo === 0)) return false;
+  }
+  return true;
+}
+
+function summarize(set) {
+  let sum = 0,
+    max = -Infinity;
+  for (const it of set) {
+    sum += isNaN(it.amt) ? 0 : it.amt;
+    if (it.amt > max) max = it.amt;
+  }
+  return { count: set.length, sum, max };
+}
+
+const EXTRACT_FIELDS = [
+  "TxnID",
+  "Date",
+  "Amount",
+  "Currency",
+  "AmountOriginal",
+  "CurrencyOriginal",
+  "FxRate",
+  "Type",
+  "Channel",
+  "CounterpartyName",
+  "CounterpartyCountry",
+];
+// What an investigator needs to defend the alert without the raw CSV. `amount` is the
+// AUD total; transactions without an AUD amount are listed under `unconverted`.
+function caseEvidence(set) {
+  const uniq = (xs) => [...new Set(xs.filter(Boolean))];
+  return {
+    txnIds: set.map((it) => it.tx.TxnID).filter(Boolean),
+    dateFrom: isoDay(set[0].d),
+    dateTo: isoDay(set[set.length - 1].d),
+    amount: total(set),
+    currency: AMOUNT_CURRENCY,
+    originalCurrencies: uniq(
+      set.map((it) => String(it.tx.CurrencyOriginal || it.tx.Currency || "").trim().toUpperCase())
+    ),
+    unconverted: set.filter(unconverted).map((it) => it.tx.TxnID).filter(Boolean),
+    counterparties: uniq(set.map((it) => String(it.tx.CounterpartyName || "").trim())),
+    transactions: set.map((it) => {
+      const row = {};
+      for (const f of EXTRACT_FIELDS) if (it.tx[f] != null && it.tx[f] !== "") row[f] = it.tx[f];
+      return row;
+    }),
+  };
+}
+
+function fill(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => (vars[k] == null ? m : vars[k]));
+}
+
+// items: [{ tx, d: Date, amt: number, ageMonths: number }] for one client. Transactions
+// that could not be converted to AUD have no amount to compare, so no rule counts them;
+// they are reported in fx.json instead.
+function evaluateRule(rule, items, ctx) {
+  const pool = items
+    .filter((it) => it.d && !unconverted(it) && it.ageMonths <= rule.window.lookbackMonths && matches(rule.match, it))
+    .sort((a, b) => a.d - b.d);
+  const groups = new Map();
+  for (const it of pool) {
+    const key = rule.groupBy ? String(it.tx[rule.groupBy] || "").trim() : "";
+    if (rule.groupBy && !key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(it);
+  }
+
+  const th = rule.threshold;
+  let best = null;
+  for (const [group, list] of groups) {
+    for (const candidate of AGGREGATIONS[rule.aggregation](list, rule, ctx)) {
+      const set = Array.isArray(candidate) ? candidate : candidate.items;
+      if (!set.length) continue;
+      const s = summarize(set);
+      if (s.count < th.count) continue;
+      if (th.sum != null && s.sum < th.sum) continue;
+      if (th.maxAmount != null && s.max < th.maxAmount) continue;
+      if (!best || s.count > best.count || (s.count === best.count && s.sum > best.sum))
+        best = { ...s, group, items: set, vars: candidate.vars };
+    }
+  }
+  if (!best) return null;
+
+  const vars = {
+    count: best.count,
+    sum: Math.round(best.sum).toLocaleString(),
+    max: Math.round(best.max).toLocaleString(),
+    group: best.group,
+    days: rule.window.days,
+    amountMin: rule.match.amountMin != null ? rule.match.amountMin.toLocaleString() : "",
+    countries: (rule.match.countryIn || []).join("/"),
+    ...best.vars,
+  };
+  const reason = fill(rule.reason, vars);
+  return {
+    rule: rule.id,
+    weight: rule.weight,
+    reason,
+    detail: rule.case ? fill(rule.case, vars) : reason,
+    count: best.count,
+    sum: best.sum,
+    group: best.group || null,
+    evidence: caseEvidence(best.items),
+  };
+}
+
+// ctx: { now, client } for aggregations that look at the date or the client record
+function evaluateRules(rules, items, ctx = {}) {
+  const hits = [];
+  const context = { now: new Date(), client: {}, ...ctx };
+  for (const r of rules) {
+    const h = evaluateRule(r, items, context);
+    if (h) hits.push(h);
+  }
+  return hits;
+}
+
+module.exports = {
+  AGGREGATIONS,
+  registerAggregation,
+  validateRule,
+  compileRules,
+  evaluateRules,
+  caseEvidence,
+  direction,
+};
@@ -0,0 +1,615 @@
+// lib/screening.js — sanctions and PEP screening against locally imported lists
+//
+// Compliance officers import list files per organisation (runs/_lists/<orgId>/):
+//   sanctions  e.g. the DFAT Consolidated List, XLSX or CSV as published
+//   pep        any CSV/XLSX with a name column (aliases, date of birth, country optional)
+// Every import is kept as a version; a run screens against the newest list of each kind
+// and records the versions it used in screening.json (part of the evidence pack).
+//
+// Names are compared after transliteration folding (diacritics, Cyrillic, common
+// romanisation variants), token by token with Jaro-Winkler, so word order, missing middle
+// names and spelling variants still match. Date of birth and country move the score up or
+// down. Candidates at or above the policy's thresholds.screeningMinScore go to the review
+// queue (/runs/<runId>/screening), where they are confirmed or dismissed.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parse } = require("csv-parse/sync");
+
+const { RUNS_DIR } = require("./evidence");
+const { appendAudit } = require("./cases");
+const { readRunJson, writeRunFile } = require("./encryption");
+const { bandFor } = require("./policy");
+const { applySector } = require("./sectors");
+const { readXlsxRows } = require("./xlsx");
+
+const LISTS_DIR = path.join(RUNS_DIR, "_lists");
+const SCREENING_FILE = "screening.json";
+const LIST_KINDS = { sanctions: "Sanctions list", pep: "PEP list" };
+const REVIEW_STATUSES = { pending: "Pending review", confirmed: "Confirmed match", dismissed: "Dismissed" };
+const DEFAULT_MIN_SCORE = 85;
+const MAX_CANDIDATES = 3; // per subject and list
+
+class ScreeningError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- Name matching ------------------------------------------------------------
+
+const CYRILLIC = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z", и: "i", й: "i", к: "k",
+  л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t", у: "u", ф: "f", х: "kh", ц: "ts",
+  ч: "ch", ш: "sh", щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya", і: "i", ї: "i", є: "ye", ґ: "g",
+};
+// Titles, legal forms and articles that do not identify anyone
+const STOPWORDS = new Set([
+  "mr", "mrs", "ms", "miss", "dr", "prof", "sir", "the", "and", "of", "al", "el",
+  "pty", "ltd", "limited", "llc", "inc", "co", "corp", "corporation", "company", "plc", "gmbh", "sa",
+]);
+
+// Collapse romanisation variants: Khaled/Haled, Wladimir/Vladimir, Yuri/Iouri, Assad/Asad
+const fold = (t) =>
+  t
+    .replace(/dzh|dj/g, "j")
+    .replace(/ph/g, "f")
+    .replace(/kh/g, "h")
+    .replace(/gh/g, "g")
+    .replace(/dh/g, "d")
+    .replace(/th/g, "t")
+    .replace(/ck|q/g, "k")
+    .replace(/x/g, "ks")
+    .replace(/c(?=[eiy])/g, "s")
+    .replace(/c(?!h)/g, "k")
+    .replace(/w/g, "v")
+    .replace(/y/g, "i")
+    .replace(/ou|oo/g, "u")
+    .replace(/ee/g, "i")
+    .replace(/(.)\1+/g, "$1");
+
+/** Folded name tokens: the form every comparison works on. */
+function nameTokens(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[\u0400-\u04ff]/g, (ch) => CYRILLIC[ch] ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map(fold);
+}
+
+// Consonant skeleton: Mohammed, Muhammad and Mohamad all become "mhmd"
+const skeleton = (t) => t[0] + t.slice(1).replace(/[aeiou]/g, "");
+const blockKey = (t) => skeleton(t).slice(0, 2);
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aHit = new Array(a.length).fill(false);
+  const bHit = new Array(b.length).fill(false);
+  let m = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++) {
+      if (bHit[j] || a[i] !== b[j]) continue;
+      aHit[i] = bHit[j] = true;
+      m++;
+      break;
+    }
+  }
+  if (!m) return 0;
+  let t = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aHit[i]) continue;
+    while (!bHit[j]) j++;
+    if (a[i] !== b[j++]) t++;
+  }
+  const jaro = (m / a.length + m / b.length + (m - t / 2) / m) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const jw = jaroWinkler(a, b);
+  return a.length >= 3 && skeleton(a) === skeleton(b) ? Math.max(jw, 0.95) : jw;
+}
+
+/** 0..1: best token alignment (order-free), or the names run together. */
+function nameSimilarity(q, e) {
+  if (!q.length || !e.length) return 0;
+  const [short, long] = q.length <= e.length ? [q, e] : [e, q];
+  const used = new Set();
+  let sum = 0;
+  for (const a of short) {
+    let best = 0,
+      at = -1;
+    long.forEach((b, i) => {
+      if (used.has(i)) return;
+      const s = tokenSimilarity(a, b);
+      if (s > best) [best, at] = [s, i];
+    });
+    if (at >= 0) used.add(at);
+    sum += best;
+  }
+  // missing middle names cost a little; a single shared word is never a full match
+  let score = (sum / short.length) * (0.9 + (0.1 * short.length) / long.length);
+  if (short.length === 1 && long.length > 1) score = Math.min(score, 0.8);
+  return Math.max(score, tokenSimilarity(q.join(""), e.join("")));
+}
+
+let regionNames = null;
+try {
+  regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+} catch {
+  // no ICU data: only ISO codes compare
+}
+
+function countryMatches(code, listed) {
+  const c = String(code || "").trim();
+  if (!c || !listed) return false;
+  if (c.toUpperCase() === listed.trim().toUpperCase()) return true;
+  let name = c;
+  if (/^[A-Za-z]{2}$/.test(c) && regionNames) {
+    try {
+      name = regionNames.of(c.toUpperCase()) || c;
+    } catch {
+      name = c;
+    }
+  }
+  // "Russia" vs "Russian Federation", "Iran" vs "Iran (Islamic Republic of)"
+  const words = nameTokens(listed);
+  const own = nameTokens(name);
+  return own.length > 0 && own.every((w) => words.some((l) => tokenSimilarity(w, l) >= 0.9));
+}
+
+// Score adjustments from date of birth and country, when both sides have them
+function tieBreakers(subject, entry) {
+  const f = {};
+  if (subject.dob && entry.dob.length) {
+    const year = subject.dob.slice(0, 4);
+    if (entry.dob.includes(subject.dob)) f.dob = 10;
+    else if (entry.dob.some((d) => d.slice(0, 4) === year)) f.dob = 5;
+    else f.dob = -25;
+  }
+  const countries = subject.countries || [];
+  if (countries.length && entry.countries.length)
+    f.country = countries.some((c) => entry.countries.some((l) => countryMatches(c, l))) ? 5 : -5;
+  return f;
+}
+
+// Every name and alias of a list, blocked by the first letters of its token skeletons
+function buildIndex(list) {
+  const names = [];
+  const blocks = new Map();
+  list.entries.forEach((entry, i) => {
+    for (const name of [entry.name, ...entry.aliases]) {
+      const toks = nameTokens(name);
+      if (!toks.length) continue;
+      const k = names.push({ entry: i, name, toks }) - 1;
+      for (const key of new Set(toks.map(blockKey))) {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(k);
+      }
+    }
+  });
+  return { list, names, blocks };
+}
+
+function screenSubject(index, subject, minScore) {
+  const toks = nameTokens(subject.name);
+  const candidates = new Set();
+  for (const t of toks) for (const k of index.blocks.get(blockKey(t)) || []) candidates.add(k);
+  const best = new Map(); // entry index → strongest candidate
+  for (const k of candidates) {
+    const n = index.names[k];
+    const nameScore = Math.round(nameSimilarity(toks, n.toks) * 100);
+    if (nameScore < minScore - 10) continue; // tie-breakers only separate close names
+    const entry = index.list.entries[n.entry];
+    const factors = tieBreakers(subject, entry);
+    const score = Math.max(0, Math.min(100, nameScore + (factors.dob || 0) + (factors.country || 0)));
+    if (score < minScore) continue;
+    const prev = best.get(n.entry);
+    if (!prev || score > prev.score) best.set(n.entry, { entry, matchedName: n.name, nameScore, factors, score });
+  }
+  return [...best.values()].sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES);
+}
+
+// --- List files ----------------------------------------------------------------
+
+// List column headers (lower case) → entry field. DFAT Consolidated List headers included.
+const HEADER = {
+  name: "name",
+  "name of individual or entity": "name",
+  "full name": "name",
+  fullname: "name",
+  "entity name": "name",
+  "name type": "nameType",
+  reference: "ref",
+  ref: "ref",
+  id: "ref",
+  "listing id": "ref",
+  uid: "ref",
+  type: "type",
+  "entity type": "type",
+  "date of birth": "dob",
+  dob: "dob",
+  "birth date": "dob",
+  dateofbirth: "dob",
+  citizenship: "country",
+  nationality: "country",
+  country: "country",
+  countries: "country",
+  aliases: "aliases",
+  alias: "aliases",
+  aka: "aliases",
+  position: "info",
+  role: "info",
+  "additional information": "info",
+  "listing information": "info",
+  committees: "info",
+  program: "info",
+};
+
+const split = (s) =>
+  String(s || "")
+    .split(/;|\|/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+const pad = (n) => String(n).padStart(2, "0");
+
+// List dates are day-first (D/M/YYYY), ISO, a bare year, or an Excel serial number
+function listDates(s) {
+  const out = [];
+  for (const part of split(String(s || "").replace(/,/g, ";"))) {
+    let m;
+    if (/^\d{5}(\.\d+)?$/.test(part)) out.push(new Date((Number(part) - 25569) * 86400000).toISOString().slice(0, 10));
+    else if ((m = part.match(/(\d{4})-(\d{1,2})-(\d{1,2})/))) out.push(`${m[1]}-${pad(m[2])}-${pad(m[3])}`);
+    else if ((m = part.match(/(\d{1,2})[/.](\d{1,2})[/.](\d{4})/))) out.push(`${m[3]}-${pad(m[2])}-${pad(m[1])}`);
+    else if ((m = part.match(/\b(1[89]\d\d|20\d\d)\b/))) out.push(m[1]);
+  }
+  return [...new Set(out)];
+}
+
+/** Entries from a list's rows (arrays of cells, a header row among the first ten). */
+function parseListRows(rows) {
+  const headerAt = rows.slice(0, 10).findIndex((r) => r.some((h) => HEADER[String(h).trim().toLowerCase()] === "name"));
+  if (headerAt < 0) throw new ScreeningError("No name column found (expected e.g. Name, or DFAT's 'Name of Individual or Entity')");
+  const fields = rows[headerAt].map((h) => HEADER[String(h).trim().toLowerCase()] || null);
+  const entries = [];
+  const byRef = new Map();
+  for (const row of rows.slice(headerAt + 1)) {
+    const rec = { info: [] };
+    fields.forEach((f, i) => {
+      const v = String(row[i] ?? "").trim();
+      if (!f || !v) return;
+      if (f === "info") rec.info.push(v);
+      else rec[f] = v;
+    });
+    if (!rec.name) continue;
+    // DFAT lists aliases as extra rows whose reference has a letter suffix (123a, 123b)
+    const ref = rec.ref ? rec.ref.replace(/[a-z]+$/i, "") : null;
+    let entry = ref && byRef.get(ref);
+    if (entry) {
+      if (rec.name !== entry.name && !entry.aliases.includes(rec.name)) entry.aliases.push(rec.name);
+    } else {
+      entry = { ref: ref || String(entries.length + 1), name: rec.name, aliases: [], type: rec.type || null, dob: [], countries: [], info: null };
+      entries.push(entry);
+      if (ref) byRef.set(ref, entry);
+    }
+    for (const a of split(rec.aliases)) if (!entry.aliases.includes(a)) entry.aliases.push(a);
+    entry.dob = [...new Set([...entry.dob, ...listDates(rec.dob)])];
+    entry.countries = [...new Set([...entry.countries, ...split(String(rec.country || "").replace(/,/g, ";"))])];
+    if (rec.info.length && !entry.info) entry.info = rec.info.join("; ").slice(0, 500);
+  }
+  return entries;
+}
+
+function readListFile(buffer, filename) {
+  const isXlsx = /\.xlsx$/i.test(filename || "") || buffer.subarray(0, 2).toString() === "PK";
+  try {
+    const rows = isXlsx
+      ? readXlsxRows(buffer)
+      : parse(buffer.toString("utf8"), { bom: true, relax_column_count: true, skip_empty_lines: true });
+    return parseListRows(rows);
+  } catch (e) {
+    if (e instanceof ScreeningError) throw e;
+    throw new ScreeningError(`Could not read ${filename || "the list file"}: ${e.message}`);
+  }
+}
+
+const orgDir = (orgId) => {
+  if (!/^[\w-]+$/.test(String(orgId || ""))) throw new ScreeningError("Unknown organisation", 404);
+  return path.join(LISTS_DIR, orgId);
+};
+const indexFile = (orgId) => path.join(orgDir(orgId), "index.json");
+const readIndex = (orgId) => (fs.existsSync(indexFile(orgId)) ? JSON.parse(fs.readFileSync(indexFile(orgId), "utf8")) : []);
+
+/** Import a list file as a new version of the organisation's list of that kind. */
+function importList({ orgId, kind, name, version, filename, buffer, importedBy = null }) {
+  if (!LIST_KINDS[kind]) throw new ScreeningError(`Unknown list kind: ${kind}`);
+  const entries = readListFile(buffer, filename);
+  if (!entries.length) throw new ScreeningError("The list file has no names");
+  const importedAt = new Date().toISOString();
+  const meta = {
+    id: `${kind}-${importedAt.replace(/\D/g, "").slice(0, 14)}-${crypto.randomBytes(2).toString("hex")}`,
+    kind,
+    name: String(name || "").trim() || LIST_KINDS[kind],
+    version: String(version || "").trim() || importedAt.slice(0, 10),
+    source: filename || null,
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    entries: entries.length,
+    importedAt,
+    importedBy,
+  };
+  const dir = orgDir(orgId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${meta.id}.json`), JSON.stringify({ ...meta, entries }));
+  const index = readIndex(orgId);
+  index.push(meta);
+  const tmp = `${indexFile(orgId)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, indexFile(orgId));
+  return meta;
+}
+
+/** Every imported list version, newest first; `current` marks the ones runs use. */
+function listLists(orgId) {
+  const seen = new Set();
+  return readIndex(orgId)
+    .slice()
+    .reverse()
+    .map((l) => {
+      const current = !seen.has(l.kind);
+      seen.add(l.kind);
+      return { ...l, current };
+    });
+}
+
+/** The newest list of each kind, with entries (none without an organisation). */
+function currentLists(orgId) {
+  if (!orgId) return [];
+  return listLists(orgId)
+    .filter((l) => l.current)
+    .map((l) => JSON.parse(fs.readFileSync(path.join(orgDir(orgId), `${l.id}.json`), "utf8")));
+}
+
+// --- Screening a run -------------------------------------------------------------
+
+const listMeta = ({ entries, ...meta }) => meta;
+
+/**
+ * Screen a run's clients (every list) and transaction counterparties (sanctions lists).
+ * Returns the content of screening.json.
+ */
+function screenRun({ lists, clients, transactions, minScore = DEFAULT_MIN_SCORE, onProgress = () => {} }) {
+  const counterparties = new Map(); // folded name → subject
+  for (const t of transactions) {
+    const name = String(t.CounterpartyName || "").trim();
+    const key = nameTokens(name).join(" ");
+    if (!key) continue;
+    if (!counterparties.has(key)) counterparties.set(key, { type: "counterparty", name, countries: [], clientIds: [] });
+    const s = counterparties.get(key);
+    const country = String(t.CounterpartyCountry || "").trim().toUpperCase();
+    const clientId = t.ClientID || t.ClientName;
+    if (country && !s.countries.includes(country)) s.countries.push(country);
+    if (clientId && !s.clientIds.includes(clientId)) s.clientIds.push(clientId);
+  }
+  const subjects = [
+    ...clients.map((c) => ({
+      type: "client",
+      clientId: c.ClientID || c.Name,
+      name: c.Name,
+      dob: c.DateOfBirth || null,
+      countries: c.Country ? [String(c.Country).trim().toUpperCase()] : [],
+    })),
+    ...counterparties.values(),
+  ].filter((s) => s.name);
+
+  const matches = [];
+  lists.forEach((list, li) => {
+    const index = buildIndex(list);
+    subjects.forEach((subject, i) => {
+      if (subject.type === "counterparty" && list.kind !== "sanctions") return;
+      for (const c of screenSubject(index, subject, minScore)) {
+        matches.push({
+          id: `SCR-${String(matches.length + 1).padStart(4, "0")}`,
+          kind: list.kind,
+          listId: list.id,
+          subject,
+          entry: { ...c.entry },
+          matchedName: c.matchedName,
+          score: c.score,
+          nameScore: c.nameScore,
+          factors: c.factors,
+          status: "pending",
+          review: null,
+        });
+      }
+      if (i % 500 === 0) onProgress((li + i / subjects.length) / lists.length);
+    });
+  });
+  return {
+    lists: lists.map(listMeta),
+    minScore,
+    screened: { clients: clients.length, counterparties: counterparties.size },
+    matches,
+  };
+}
+
+/** Candidates that concern one client (as the client or as a counterparty of theirs). */
+function matchesFor(screening, ids) {
+  if (!screening) return null;
+  const keys = new Set(ids.filter(Boolean));
+  return screening.matches.filter((m) =>
+    m.subject.type === "client" ? keys.has(m.subject.clientId) : m.subject.clientIds.some((id) => keys.has(id))
+  );
+}
+
+// --- Scoring ------------------------------------------------------------------------
+
+const FACTORS = {
+  pep: {
+    weight: "pep",
+    flag: "PEP flagged",
+    confirmed: "PEP list match confirmed",
+    possible: "Possible PEP list match",
+    applies: (m) => m.kind === "pep" && m.subject.type === "client",
+  },
+  sanctions: {
+    weight: "sanctions",
+    flag: "Sanctions match",
+    confirmed: "Sanctions list match confirmed",
+    possible: "Possible sanctions list match",
+    applies: (m) => m.kind === "sanctions" && m.subject.type === "client",
+  },
+  counterparty: {
+    weight: "counterpartySanctions",
+    confirmed: "Counterparty on sanctions list",
+    possible: "Counterparty possibly on sanctions list",
+    applies: (m) => m.subject.type === "counterparty",
+  },
+};
+
+/**
+ * What the PEP / sanctions factors add to a client's score. The strongest live candidate
+ * (confirmed before pending) counts once per factor; with none, the client file's own
+ * Y/N flag still does. matches = null means no screening ran (flags only).
+ * @returns {{pep, sanctions, counterparty}} each { weight, text } or null
+ */
+function listFactors(flags, matches, weights) {
+  const out = {};
+  for (const [key, f] of Object.entries(FACTORS)) {
+    const weight = weights[f.weight] ?? weights.sanctions;
+    const top = (matches || [])
+      .filter((m) => f.applies(m) && m.status !== "dismissed")
+      .sort((a, b) => (b.status === "confirmed") - (a.status === "confirmed") || b.score - a.score)[0];
+    const who = top && (top.subject.type === "counterparty" ? `${top.subject.name} ~ ${top.entry.name}` : top.entry.name);
+    if (top)
+      out[key] = {
+        weight,
+        text: top.status === "confirmed" ? `${f.confirmed}: ${who}` : `${f.possible}: ${who} (${top.score}%, pending review)`,
+      };
+    else out[key] = flags[key] ? { weight, text: f.flag } : null;
+  }
+  return out;
+}
+
+const reasonText = (f) => (f && f.weight ? `${f.text} (+${f.weight})` : null);
+
+// Re-apply the list factors to clients.json rows after a review decision, with the
+// policy the run was scored with (its policy.json plus its sector profile)
+function rescoreClients(runDir, screening) {
+  const base = readRunJson(runDir, "policy.json");
+  const sectorFile = path.join(runDir, "sector.json");
+  const policy = fs.existsSync(sectorFile) ? applySector(base, readRunJson(runDir, "sector.json")) : base;
+  const rows = readRunJson(runDir, "clients.json");
+  for (const row of rows) {
+    if (!row.Screening) continue;
+    const next = listFactors(row.Screening.flags, matchesFor(screening, [row.ClientID, row.Name]), policy.weights);
+    for (const key of Object.keys(FACTORS)) {
+      const before = reasonText(row.Screening.factors[key]);
+      const after = reasonText(next[key]);
+      if (before === after) continue;
+      row.Score += (next[key] ? next[key].weight : 0) - (before ? row.Screening.factors[key].weight : 0);
+      const at = before ? row.Reasons.indexOf(before) : -1;
+      if (at >= 0 && after) row.Reasons[at] = after;
+      else if (at >= 0) row.Reasons.splice(at, 1);
+      else if (after) row.Reasons.unshift(after);
+    }
+    row.Screening.factors = next;
+    row.Band = bandFor(row.Score, policy);
+  }
+  rows.sort((a, b) => b.Score - a.Score);
+  writeRunFile(runDir, "clients.json", JSON.stringify(rows, null, 2));
+}
+
+function loadScreening(runDir) {
+  const p = path.join(runDir, SCREENING_FILE);
+  return fs.existsSync(p) ? readRunJson(runDir, SCREENING_FILE) : null;
+}
+
+/**
+ * Confirm or dismiss a candidate (or send it back to pending). The decision is audited,
+ * and the affected clients' scores follow it; regenerate the pack to seal it.
+ */
+function reviewMatch(runDir, matchId, { status, note }, user) {
+  if (!user) throw new ScreeningError("Say who is making the decision");
+  if (!REVIEW_STATUSES[status]) throw new ScreeningError(`Unknown review status: ${status}`);
+  const screening = loadScreening(runDir);
+  const m = screening && screening.matches.find((x) => x.id === matchId);
+  if (!m) throw new ScreeningError("Screening match not found", 404);
+  note = String(note || "").trim();
+  if (status !== "pending" && !note) throw new ScreeningError("Give a reason for confirming or dismissing a match");
+  if (status === m.status) return m;
+  const at = new Date().toISOString();
+  appendAudit(runDir, {
+    at,
+    user,
+    action: `screening.${status}`,
+    matchId,
+    changes: { status: { from: m.status, to: status } },
+    note: note || undefined,
+  });
+  m.status = status;
+  m.review = status === "pending" ? null : { by: user, at, note };
+  writeRunFile(runDir, SCREENING_FILE, JSON.stringify(screening, null, 2));
+  rescoreClients(runDir, screening);
+  return m;
+}
+
+module.exports = {
+  LISTS_DIR,
+  SCREENING_FILE,
+  LIST_KINDS,
+  REVIEW_STATUSES,
+  DEFAULT_MIN_SCORE,
+  ScreeningError,
+  nameTokens,
+  nameSimilarity,
+  parseListRows,
+  importList,
+  listLists,
+  currentLists,
+  screenRun,
+  matchesFor,
+  listFactors,
+  loadScreening,
+  reviewMatch,
+};
+
+// List admin and spot checks from a shell:
+//   node lib/screening.js import <orgId> sanctions|pep <file> [version]
+//   node lib/screening.js lists <orgId>
+//   node lib/screening.js check <orgId> "<name>" [dob YYYY-MM-DD] [country]
+if (require.main === module) {
+  const [cmd, orgId, ...args] = process.argv.slice(2);
+  try {
+    if (cmd === "import") {
+      const [kind, file, version] = args;
+      const meta = importList({ orgId, kind, version, filename: path.basename(file), buffer: fs.readFileSync(file) });
+      console.log(JSON.stringify(meta, null, 2));
+    } else if (cmd === "lists") console.log(JSON.stringify(listLists(orgId), null, 2));
+    else if (cmd === "check") {
+      const [name, dob, country] = args;
+      const res = screenRun({
+        lists: currentLists(orgId),
+        clients: [{ ClientID: "check", Name: name, DateOfBirth: dob, Country: country }],
+        transactions: [],
+      });
+      for (const m of res.matches)
+        console.log(`${m.score}%  ${m.kind}  ${m.entry.ref}  ${m.matchedName}  ${JSON.stringify(m.factors)}`);
+      if (!res.matches.length) console.log("No candidates");
+    } else {
+      console.error("Usage: node lib/screening.js import|lists|check <orgId> ...");
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,137 @@
+// lib/sectors.js — sector profiles (sectors/*.json): designated services, sector risk
+// factors, extra monitoring rules and the sector sections of the AML/CTF program
+//
+// A profile is layered over the risk policy for one run:
+//   {
+//     "id": "legal", "name": "Legal / Conveyancing", "version": "1.0.0",
+//     "designatedServices": [{ "id": "DS_CLIENT_MONEY", "name": "...", "keywords": ["trust account"] }],
+//     "riskFactors": [{ "id": "SF_TRUST_ACCOUNT", "match": { "field": "ServicesUsed", "any": ["trust account"] },
+//                       "weight": 6, "reason": "Funds pass through the firm's trust account" }],
+//     "rules": [ ...same format as policy rules (lib/rules.js)... ],
+//     "program": { "summary": "...", "sections": [{ "title": "...", "body": "..." }] }
+//   }
+// Factor and service keywords match case-insensitively anywhere in the client field.
+const fs = require("fs");
+const path = require("path");
+const { validateRule } = require("./rules");
+const { FIELDS } = require("./columns");
+const { policyHash } = require("./policy");
+
+const SECTOR_DIR = path.join(__dirname, "..", "sectors");
+const DEFAULT_SECTOR_ID = "generic";
+
+const keywordList = (v) => Array.isArray(v) && v.length > 0 && v.every((k) => typeof k === "string" && k.trim());
+
+function validateSector(s) {
+  const errors = [];
+  if (!s || typeof s !== "object") return ["Sector profile must be a JSON object"];
+  if (!s.id) errors.push("id is required");
+  if (!s.name) errors.push("name is required");
+  if (!s.version) errors.push("version is required");
+  for (const d of s.designatedServices || []) {
+    const where = `designated service ${(d && d.id) || "(unnamed)"}`;
+    if (!/^DS_[A-Z0-9_]+$/.test((d && d.id) || "")) errors.push(`${where}: id must look like DS_SOMETHING`);
+    if (!d || !d.name) errors.push(`${where}: name is required`);
+    if (!d || !keywordList(d.keywords)) errors.push(`${where}: keywords must be a non-empty list`);
+  }
+  for (const f of s.riskFactors || []) {
+    const where = `risk factor ${(f && f.id) || "(unnamed)"}`;
+    if (!/^SF_[A-Z0-9_]+$/.test((f && f.id) || "")) errors.push(`${where}: id must look like SF_SOMETHING`);
+    if (!f || typeof f.weight !== "number") errors.push(`${where}: weight must be a number`);
+    if (!f || !f.reason) errors.push(`${where}: reason is required`);
+    const m = (f && f.match) || {};
+    if (!FIELDS.clients.includes(m.field)) errors.push(`${where}: match.field must be a client field`);
+    if (!keywordList(m.any)) errors.push(`${where}: match.any must be a non-empty list`);
+  }
+  if (s.rules !== undefined && !Array.isArray(s.rules)) errors.push("rules must be a list of monitoring rules");
+  for (const r of Array.isArray(s.rules) ? s.rules : []) {
+    if (!/^R_[A-Z0-9_]+$/.test((r && r.id) || "")) errors.push(`rule ${(r && r.id) || "(unnamed)"}: id must look like R_SOMETHING`);
+  }
+  for (const sec of (s.program && s.program.sections) || []) {
+    if (!sec || !sec.title || !sec.body) errors.push("program sections need a title and body");
+  }
+  return errors;
+}
+
+function parseSector(text, fallbackId) {
+  let s;
+  try {
+    s = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Sector profile is not valid JSON: " + e.message);
+  }
+  s.id = s.id || fallbackId;
+  const errors = validateSector(s);
+  if (errors.length) throw new Error("Invalid sector profile: " + errors.join("; "));
+  return { sector: s, hash: policyHash(s) };
+}
+
+function listSectors() {
+  if (!fs.existsSync(SECTOR_DIR)) return [];
+  return fs
+    .readdirSync(SECTOR_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => {
+      const id = path.basename(f, ".json");
+      try {
+        const { sector, hash } = parseSector(fs.readFileSync(path.join(SECTOR_DIR, f), "utf8"), id);
+        return { id, name: sector.name, version: sector.version, hash };
+      } catch (e) {
+        return { id, name: id, version: null, error: e.message };
+      }
+    })
+    .sort((a, b) => (a.id === DEFAULT_SECTOR_ID ? -1 : b.id === DEFAULT_SECTOR_ID ? 1 : a.name.localeCompare(b.name)));
+}
+
+function loadSector(id = DEFAULT_SECTOR_ID) {
+  const safe = String(id || DEFAULT_SECTOR_ID);
+  if (!/^[\w.-]+$/.test(safe)) throw new Error("Invalid sector id");
+  const file = path.join(SECTOR_DIR, safe + ".json");
+  if (!fs.existsSync(file)) throw new Error(`Unknown sector: ${safe}`);
+  return parseSector(fs.readFileSync(file, "utf8"), safe);
+}
+
+/**
+ * The policy a run is scored with: the risk policy plus the sector's rules and risk
+ * factors. Sector rules may refer to the policy's country lists; a rule id that the
+ * policy already defines is an error rather than a silent override.
+ */
+function applySector(policy, sector) {
+  const rules = sector.rules || [];
+  const errors = [];
+  const ids = new Set(policy.rules.map((r) => r.id));
+  for (const r of rules) {
+    errors.push(...validateRule(r, policy));
+    if (ids.has(r.id)) errors.push(`rule ${r.id} is already defined by the risk policy`);
+    ids.add(r.id);
+  }
+  if (errors.length) throw new Error(`Sector ${sector.id} does not fit policy ${policy.id}: ${errors.join("; ")}`);
+  return { ...policy, rules: [...policy.rules, ...rules], sectorFactors: sector.riskFactors || [] };
+}
+
+const mentions = (value, keywords) => {
+  const v = String(value || "").toLowerCase();
+  return keywords.some((k) => v.includes(k.toLowerCase()));
+};
+
+/** Whether a sector risk factor applies to a (normalised) client row. */
+function factorMatches(factor, client) {
+  return mentions(client[factor.match.field], factor.match.any);
+}
+
+/** Ids of the sector's designated services a client uses (from ServicesUsed). */
+function designatedServicesFor(client, sector) {
+  return (sector.designatedServices || []).filter((d) => mentions(client.ServicesUsed, d.keywords)).map((d) => d.id);
+}
+
+module.exports = {
+  SECTOR_DIR,
+  DEFAULT_SECTOR_ID,
+  validateSector,
+  parseSector,
+  listSectors,
+  loadSector,
+  applySector,
+  factorMatches,
+  designatedServicesFor,
+};
@@ -0,0 +1,232 @@
+// lib/shares.js — share links for auditors and regulators: scope, expiry, passphrase, revocation
+//
+// Links live in one index, runs/_shares/shares.json, keyed by the SHA-256 of the token,
+// so a lookup is one read and the index never holds a usable link. A token is shown
+// once, when the link is created. Scopes:
+//   manifest  verification page only (manifest hashes, signature, ledger proof)
+//   pack      the same plus downloading evidence_pack.zip
+// Every use of a link (views, downloads, unlocks and refusals) is appended to
+// runs/_shares/access.jsonl with time, IP and user agent.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { RUNS_DIR } = require("./evidence");
+
+const SHARES_DIR = path.join(RUNS_DIR, "_shares");
+const INDEX_FILE = path.join(SHARES_DIR, "shares.json");
+const ACCESS_LOG = path.join(SHARES_DIR, "access.jsonl");
+const LEGACY_FILE = "share.txt";
+const SCOPES = {
+  manifest: "Verification page only",
+  pack: "Verification page + pack download",
+};
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const UNLOCK_HOURS = 12;
+
+class ShareError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const tokenHash = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+function readIndex() {
+  return fs.existsSync(INDEX_FILE) ? JSON.parse(fs.readFileSync(INDEX_FILE, "utf8")) : {};
+}
+
+// Write to a temp file and rename, so a crash never leaves a half-written index
+function writeIndex(index) {
+  fs.mkdirSync(SHARES_DIR, { recursive: true });
+  const tmp = `${INDEX_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, INDEX_FILE);
+}
+
+function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(passphrase, salt, 32);
+  return { algorithm: "scrypt", salt: salt.toString("hex"), hash: hash.toString("hex") };
+}
+
+function shareStatus(share, now = new Date()) {
+  if (share.revokedAt) return "revoked";
+  if (new Date(share.expiresAt) <= now) return "expired";
+  return "active";
+}
+
+// What the UI and API see: never the token hash or the passphrase hash
+function publicShare(share, now = new Date()) {
+  const { tokenHash: _t, passphrase, ...rest } = share;
+  return { ...rest, passphrase: !!passphrase, status: shareStatus(share, now) };
+}
+
+/**
+ * Create a link to one run. Returns the stored link and its token; the token is not
+ * kept, so it cannot be shown again.
+ */
+function createShare({
+  runId,
+  scope = "manifest",
+  expiresInDays = DEFAULT_EXPIRY_DAYS,
+  passphrase,
+  label,
+  createdBy,
+  now = new Date(),
+}) {
+  if (!SCOPES[scope]) throw new ShareError(`Unknown share scope: ${scope}`);
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS)
+    throw new ShareError(`Expiry must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}`);
+  passphrase = String(passphrase || "");
+  if (passphrase && passphrase.length < 8) throw new ShareError("Passphrase must be at least 8 characters");
+
+  const token = crypto.randomBytes(20).toString("hex");
+  const share = {
+    id: crypto.randomBytes(6).toString("hex"),
+    runId,
+    scope,
+    label: String(label || "").trim() || null,
+    createdAt: now.toISOString(),
+    createdBy: createdBy || null,
+    expiresAt: new Date(now.getTime() + days * 86400000).toISOString(),
+    revokedAt: null,
+    revokedBy: null,
+    tokenHash: tokenHash(token),
+    passphrase: passphrase ? hashPassphrase(passphrase) : null,
+  };
+  const index = readIndex();
+  index[share.tokenHash] = share;
+  writeIndex(index);
+  return { share: publicShare(share, now), token };
+}
+
+/** Look a link up by its token (any status); null when the token is unknown. */
+function findShare(token) {
+  if (!/^[0-9a-f]{32,64}$/.test(String(token || ""))) return null;
+  return readIndex()[tokenHash(token)] || null;
+}
+
+/** Links for one run, newest first. */
+function listShares(runId, now = new Date()) {
+  return Object.values(readIndex())
+    .filter((s) => s.runId === runId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((s) => publicShare(s, now));
+}
+
+function revokeShare(runId, id, revokedBy, now = new Date()) {
+  const index = readIndex();
+  const share = Object.values(index).find((s) => s.id === id && s.runId === runId);
+  if (!share) throw new ShareError("Share link not found", 404);
+  if (!share.revokedAt) {
+    share.revokedAt = now.toISOString();
+    share.revokedBy = revokedBy || null;
+    writeIndex(index);
+  }
+  return publicShare(share, now);
+}
+
+function checkPassphrase(share, passphrase) {
+  if (!share.passphrase) return true;
+  const { salt, hash } = share.passphrase;
+  const given = crypto.scryptSync(String(passphrase || ""), Buffer.from(salt, "hex"), 32);
+  return crypto.timingSafeEqual(given, Buffer.from(hash, "hex"));
+}
+
+// Cookie value proving the passphrase was given. Keyed by the stored passphrase hash, so
+// it cannot be forged without the index and stops working when the link is gone.
+function unlockValue(share) {
+  return crypto.createHmac("sha256", share.passphrase.hash).update(share.id).digest("base64url");
+}
+
+// Seconds the unlock cookie should live: UNLOCK_HOURS, never past the link's expiry
+function unlockMaxAge(share, now = new Date()) {
+  const left = Math.floor((new Date(share.expiresAt) - now) / 1000);
+  return Math.max(0, Math.min(UNLOCK_HOURS * 3600, left));
+}
+
+/** Append one access record; `share` is null for unknown tokens. */
+function logAccess({ share, event, reason, ip, userAgent, at = new Date() }) {
+  const entry = {
+    at: at.toISOString(),
+    event,
+    reason: reason || undefined,
+    runId: share ? share.runId : null,
+    shareId: share ? share.id : null,
+    scope: share ? share.scope : undefined,
+    ip: ip || null,
+    userAgent: userAgent || null,
+  };
+  fs.mkdirSync(SHARES_DIR, { recursive: true });
+  fs.appendFileSync(ACCESS_LOG, JSON.stringify(entry) + "\n");
+  return entry;
+}
+
+/** Access records for one run (or all runs), oldest first. */
+function readAccessLog(runId) {
+  if (!fs.existsSync(ACCESS_LOG)) return [];
+  return fs
+    .readFileSync(ACCESS_LOG, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => JSON.parse(l))
+    .filter((e) => !runId || e.runId === runId);
+}
+
+/**
+ * Move share.txt tokens from runs made before the index existed into it, as
+ * verification-only links expiring DEFAULT_EXPIRY_DAYS from now, and delete the files.
+ */
+function importLegacyShares(runsDir = RUNS_DIR, now = new Date()) {
+  if (!fs.existsSync(runsDir)) return 0;
+  const index = readIndex();
+  const files = [];
+  for (const d of fs.readdirSync(runsDir)) {
+    const p = path.join(runsDir, d, LEGACY_FILE);
+    if (d.startsWith("_") || !fs.existsSync(p)) continue;
+    files.push(p);
+    const token = fs.readFileSync(p, "utf8").trim();
+    const hash = tokenHash(token);
+    if (token && !index[hash]) {
+      index[hash] = {
+        id: crypto.randomBytes(6).toString("hex"),
+        runId: d,
+        scope: "manifest",
+        label: "Imported link",
+        createdAt: fs.statSync(p).mtime.toISOString(),
+        createdBy: null,
+        expiresAt: new Date(now.getTime() + DEFAULT_EXPIRY_DAYS * 86400000).toISOString(),
+        revokedAt: null,
+        revokedBy: null,
+        tokenHash: hash,
+        passphrase: null,
+      };
+    }
+  }
+  if (!files.length) return 0;
+  writeIndex(index);
+  for (const p of files) fs.rmSync(p, { force: true });
+  return files.length;
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  ShareError,
+  shareStatus,
+  createShare,
+  findShare,
+  listShares,
+  revokeShare,
+  checkPassphrase,
+  unlockValue,
+  unlockMaxAge,
+  logAccess,
+  readAccessLog,
+  importLegacyShares,
+};
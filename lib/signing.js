@@ -0,0 +1,154 @@
+// lib/signing.js — Ed25519 signatures over evidence pack manifests
+//
+// The server keeps a keyring in runs/_keys (or SIGNING_KEYS_DIR): one private key per
+// generation plus a public index. Rotating adds a key and retires the old one; retired
+// public keys stay published so older packs still verify.
+//
+// Each pack carries manifest.sig.json. The signature covers these UTF-8 lines, which
+// anyone can rebuild from the pack to check it with any Ed25519 tool:
+//   trancheready-manifest-v1
+//   <runId>
+//   <signedAt>
+//   <keyFingerprint>
+//   <sha256 of manifest.json>
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { canonicalJson } = require("./policy");
+
+const KEYS_DIR = process.env.SIGNING_KEYS_DIR || path.join(__dirname, "..", "runs", "_keys");
+const KEYRING = path.join(KEYS_DIR, "keyring.json");
+const SIGNATURE_FILE = "manifest.sig.json";
+const SIGNATURE_FORMAT = "trancheready-manifest-v1";
+const ALGORITHM = "Ed25519";
+
+// sha256 of the DER public key (what auditors compare against the published key)
+function fingerprintOf(publicKey) {
+  return crypto.createHash("sha256").update(publicKey.export({ type: "spki", format: "der" })).digest("hex");
+}
+
+function readKeyring() {
+  return fs.existsSync(KEYRING) ? JSON.parse(fs.readFileSync(KEYRING, "utf8")) : { current: null, keys: [] };
+}
+
+function writeKeyring(ring) {
+  fs.mkdirSync(KEYS_DIR, { recursive: true });
+  fs.writeFileSync(KEYRING, JSON.stringify(ring, null, 2));
+}
+
+const privateKeyPath = (fingerprint) => path.join(KEYS_DIR, `${fingerprint}.key.pem`);
+
+function addKey(ring) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const fingerprint = fingerprintOf(publicKey);
+  fs.mkdirSync(KEYS_DIR, { recursive: true });
+  fs.writeFileSync(privateKeyPath(fingerprint), privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  const now = new Date().toISOString();
+  for (const k of ring.keys) if (!k.retiredAt) k.retiredAt = now;
+  ring.keys.push({
+    fingerprint,
+    algorithm: ALGORITHM,
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    createdAt: now,
+    retiredAt: null,
+  });
+  ring.current = fingerprint;
+  writeKeyring(ring);
+  return ring;
+}
+
+// The signing key, generated on first use
+function currentKey() {
+  let ring = readKeyring();
+  if (!ring.current) ring = addKey(ring);
+  const meta = ring.keys.find((k) => k.fingerprint === ring.current);
+  return { ...meta, privateKey: crypto.createPrivateKey(fs.readFileSync(privateKeyPath(meta.fingerprint))) };
+}
+
+// New signing key; the previous one is retired but stays published for verification
+function rotateKey() {
+  const ring = addKey(readKeyring());
+  return ring.keys.find((k) => k.fingerprint === ring.current);
+}
+
+// Public half of every key ever used, newest first
+function publicKeys() {
+  const ring = readKeyring();
+  return {
+    current: ring.current,
+    keys: ring.keys
+      .map((k) => ({ ...k, current: k.fingerprint === ring.current }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+  };
+}
+
+function signedPayload({ runId, signedAt, keyFingerprint, manifestSha256 }) {
+  return Buffer.from([SIGNATURE_FORMAT, runId, signedAt, keyFingerprint, manifestSha256].join("\n"), "utf8");
+}
+
+// Canonical text written as manifest.json, so its file hash is the signed hash
+const manifestText = (manifest) => canonicalJson(manifest);
+const manifestSha256 = (manifest) => crypto.createHash("sha256").update(manifestText(manifest)).digest("hex");
+
+/** Detached signature document for a run's manifest. */
+function signManifest(manifest, runId, signedAt = new Date()) {
+  const key = currentKey();
+  const doc = {
+    format: SIGNATURE_FORMAT,
+    algorithm: ALGORITHM,
+    runId,
+    signedAt: signedAt.toISOString(),
+    keyFingerprint: key.fingerprint,
+    manifestSha256: manifestSha256(manifest),
+  };
+  doc.signature = crypto.sign(null, signedPayload(doc), key.privateKey).toString("base64");
+  doc.publicKey = key.publicKey;
+  return doc;
+}
+
+/**
+ * Check a manifest against its signature document. The key is looked up by fingerprint
+ * in this server's keyring (current or retired); the copy embedded in the document is
+ * for offline checks and is never trusted here.
+ */
+function verifyManifest(manifest, doc) {
+  if (!doc) return { valid: false, reason: "Pack is not signed" };
+  if (doc.format !== SIGNATURE_FORMAT || doc.algorithm !== ALGORITHM)
+    return { valid: false, reason: `Unsupported signature format ${doc.format}/${doc.algorithm}` };
+  const known = readKeyring().keys.find((k) => k.fingerprint === doc.keyFingerprint);
+  if (!known) return { valid: false, reason: `Unknown signing key ${doc.keyFingerprint}` };
+  if (manifestSha256(manifest) !== doc.manifestSha256)
+    return { valid: false, reason: "manifest.json does not match the signed hash", key: known };
+  let ok = false;
+  try {
+    const publicKey = crypto.createPublicKey(known.publicKey);
+    ok = crypto.verify(null, signedPayload(doc), publicKey, Buffer.from(doc.signature, "base64"));
+  } catch {
+    ok = false;
+  }
+  return ok ? { valid: true, key: known } : { valid: false, reason: "Signature does not verify", key: known };
+}
+
+module.exports = {
+  KEYS_DIR,
+  SIGNATURE_FILE,
+  SIGNATURE_FORMAT,
+  manifestText,
+  currentKey,
+  rotateKey,
+  publicKeys,
+  signManifest,
+  verifyManifest,
+};
+
+// Key rotation from a shell: `node lib/signing.js rotate` (`list` shows the keyring)
+if (require.main === module) {
+  const cmd = process.argv[2];
+  if (cmd === "rotate") console.log(`New signing key ${rotateKey().fingerprint}`);
+  else if (cmd === "list") console.log(JSON.stringify(publicKeys(), null, 2));
+  else {
+    console.error("Usage: node lib/signing.js rotate|list");
+    process.exitCode = 1;
+  }
+}
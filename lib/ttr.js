@@ -0,0 +1,159 @@
+// lib/ttr.js — Threshold Transaction Report (TTR) batch built from R_THRESHOLD_CASH cases
+//
+// Layout is modelled on AUSTRAC's TTR (ttr-fbi) reporting schema: one batch header for
+// the reporting entity, then one report per physical cash transaction of AUD 10,000+.
+// Only reports with every mandatory field go into the batch (XML and CSV); the rest are
+// written to a separate ttr_rejected.csv with what each one is missing, to fix and re-run.
+const Papa = require("papaparse");
+
+const TTR_RULE_ID = "R_THRESHOLD_CASH";
+const TTR_XML = "ttr_batch.xml";
+const TTR_CSV = "ttr_batch.csv";
+const TTR_REJECTED = "ttr_rejected.csv";
+
+const xmlEscape = (v) =>
+  String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const isIndividual = (c) => /individual|person|sole/i.test(c.EntityType || "");
+
+function customerAddress(c) {
+  const parts = [c.Address, c.Suburb, c.State, c.Postcode].map((s) => (s || "").trim());
+  return parts.some(Boolean) ? { line: parts[0], suburb: parts[1], state: parts[2], postcode: parts[3] } : null;
+}
+
+// Which mandatory fields a report is missing (empty list = lodgeable)
+function missingFields(r) {
+  const miss = [];
+  if (!r.reportingEntity.name) miss.push("reportingEntity.name");
+  if (!r.reportingEntity.number) miss.push("reportingEntity.number");
+  if (!r.customer.name) miss.push("customer.name");
+  if (!r.customer.address) miss.push("customer.address");
+  else {
+    if (!r.customer.address.suburb) miss.push("customer.address.suburb");
+    if (!r.customer.address.postcode) miss.push("customer.address.postcode");
+  }
+  if (!r.customer.country) miss.push("customer.country");
+  if (r.customer.individual && !r.customer.dob) miss.push("customer.dateOfBirth");
+  if (!r.customer.individual && !r.customer.abn) miss.push("customer.abn");
+  if (!r.transaction.date) miss.push("transaction.date");
+  if (!(r.transaction.amount > 0)) miss.push("transaction.amount");
+  if (!r.transaction.currency) miss.push("transaction.currency");
+  return miss;
+}
+
+// cases: run cases; transactions: normalised txns; clients: normalised clients
+function buildTtrBatch({ cases, transactions, clients, reportingEntity }) {
+  const txById = new Map(transactions.map((t) => [t.TxnID, t]));
+  const clientById = new Map(clients.map((c) => [c.ClientID, c]));
+  const re = { name: (reportingEntity.name || "").trim(), number: (reportingEntity.number || "").trim() };
+
+  const reports = [];
+  for (const k of cases.filter((c) => c.rule === TTR_RULE_ID)) {
+    const c = clientById.get(k.clientId) || {};
+    for (const id of k.txnIds) {
+      const t = txById.get(id);
+      if (!t) continue;
+      const r = {
+        reference: `TTR-${id}`,
+        reportingEntity: re,
+        customer: {
+          id: c.ClientID || k.clientId,
+          name: c.Name || k.client,
+          individual: isIndividual(c),
+          dob: c.DateOfBirth || "",
+          abn: c.ABN || "",
+          occupation: c.Occupation || c.Industry || "",
+          address: customerAddress(c),
+          country: c.Country || "",
+        },
+        transaction: {
+          id,
+          date: t.Date || "",
+          amount: Number(t.Amount),
+          currency: (t.Currency || "AUD").toUpperCase(),
+          direction: /withdraw/i.test(t.Type || "") ? "withdrawal" : "deposit",
+          type: t.Type || "",
+          location: t.Location || "",
+        },
+      };
+      r.missing = missingFields(r);
+      reports.push(r);
+    }
+  }
+  const valid = reports.filter((r) => !r.missing.length);
+  return { reportingEntity: re, reports, valid, invalid: reports.filter((r) => r.missing.length) };
+}
+
+function ttrXml(batch, generatedAt = new Date()) {
+  const el = (name, v) => (v === "" || v == null ? "" : `<${name}>${xmlEscape(v)}</${name}>`);
+  const body = batch.valid
+    .map((r) => {
+      const a = r.customer.address;
+      return `  <ttr-fbi>
+    <header><txnRefNo>${xmlEscape(r.reference)}</txnRefNo></header>
+    <customer>
+      ${el("custNumber", r.customer.id)}
+      ${el("fullName", r.customer.name)}
+      ${el("dob", r.customer.dob)}${el("abn", r.customer.abn)}
+      ${el("occupation", r.customer.occupation)}
+      <mainAddress>${el("addr", a.line)}${el("suburb", a.suburb)}${el("state", a.state)}${el("postcode", a.postcode)}${el("country", r.customer.country)}</mainAddress>
+    </customer>
+    <transaction>
+      ${el("txnDate", r.transaction.date)}
+      <totalAmount>${el("currency", r.transaction.currency)}${el("amount", r.transaction.amount.toFixed(2))}</totalAmount>
+      ${el("txnType", r.transaction.direction)}
+      ${el("txnDescription", r.transaction.type)}
+      ${el("branch", r.transaction.location)}
+    </transaction>
+  </ttr-fbi>`;
+    })
+    .join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ttr-fbiList versionMajor="1" versionMinor="2">
+  <reNumber>${xmlEscape(batch.reportingEntity.number)}</reNumber>
+  <reName>${xmlEscape(batch.reportingEntity.name)}</reName>
+  <fileName>${TTR_XML}</fileName>
+  <reportCount>${batch.valid.length}</reportCount>
+  <generatedAt>${generatedAt.toISOString()}</generatedAt>
+${body}
+</ttr-fbiList>
+`;
+}
+
+const CSV_FIELDS = ["Reference", "ReportingEntityNumber", "CustomerNumber", "CustomerName", "DateOfBirth", "ABN", "Address", "Country", "TxnID", "TxnDate", "Amount", "Currency", "Direction"];
+
+const csvRow = (r) => ({
+  Reference: r.reference,
+  ReportingEntityNumber: r.reportingEntity.number,
+  CustomerNumber: r.customer.id,
+  CustomerName: r.customer.name,
+  DateOfBirth: r.customer.dob,
+  ABN: r.customer.abn,
+  Address: r.customer.address ? Object.values(r.customer.address).filter(Boolean).join(", ") : "",
+  Country: r.customer.country,
+  TxnID: r.transaction.id,
+  TxnDate: r.transaction.date,
+  Amount: r.transaction.amount,
+  Currency: r.transaction.currency,
+  Direction: r.transaction.direction,
+});
+
+// The batch worksheet: lodgeable reports only, same set as the XML
+function ttrCsv(batch) {
+  return Papa.unparse({ fields: CSV_FIELDS, data: batch.valid.map(csvRow) });
+}
+
+// Reports held back from the batch and the mandatory fields each one is missing
+function ttrRejectedCsv(batch) {
+  return Papa.unparse({
+    fields: [...CSV_FIELDS, "MissingFields"],
+    data: batch.invalid.map((r) => ({ ...csvRow(r), MissingFields: r.missing.join("; ") })),
+  });
+}
+
+module.exports = { TTR_RULE_ID, TTR_XML, TTR_CSV, TTR_REJECTED, buildTtrBatch, ttrXml, ttrCsv, ttrRejectedCsv };
@@ -0,0 +1,533 @@
+// lib/webhooks.js — outbound webhooks: subscriptions, HMAC-signed deliveries, retries
+//
+// An organisation subscribes an endpoint to some of EVENTS. Each event becomes one
+// delivery per matching subscription, POSTed as JSON:
+//   { id, type, createdAt, orgId, data }
+// with headers X-TrancheReady-Event, X-TrancheReady-Delivery (unique per delivery, so
+// receivers can drop repeats) and X-TrancheReady-Signature: t=<unix seconds>,v1=<hex>,
+// where v1 = HMAC-SHA256(secret, "<t>.<raw body>"). The secret is shown once, when the
+// subscription is created.
+//
+// A delivery succeeds on any 2xx. Otherwise it is retried after each of RETRY_SECONDS
+// (WEBHOOK_RETRY_SECONDS env, comma-separated) and then marked failed. Every attempt
+// (status code or error, time taken) is kept on the delivery in
+// runs/_webhooks/deliveries.json; the start of the response body only when the
+// subscription asked for it (keepResponses). Pending deliveries survive a restart.
+// Payloads carry client names, so with ENCRYPTION_KEY set both state files are
+// encrypted like run files (lib/encryption.js), under a data key of runs/_webhooks.
+//
+// Endpoints may not resolve to loopback, private, link-local or other internal
+// addresses (PRIVATE_RANGES) unless WEBHOOK_ALLOW_PRIVATE lists them (comma-separated
+// addresses or CIDR ranges, e.g. "127.0.0.1,10.20.0.0/16"). The address is checked at
+// connect time, so a DNS answer that changes after the webhook was added is caught too.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+const { RUNS_DIR, runDirFor, readSignature } = require("./evidence");
+const { readRunFile, readRunJson, writeRunFile } = require("./encryption");
+
+const WEBHOOKS_DIR = path.join(RUNS_DIR, "_webhooks");
+const SUBSCRIPTIONS_FILE = path.join(WEBHOOKS_DIR, "subscriptions.json");
+const DELIVERIES_FILE = path.join(WEBHOOKS_DIR, "deliveries.json");
+const EVENTS = {
+  "run.completed": "A run finished and its evidence pack was built",
+  "client.band_changed": "A client's risk band differs from the organisation's previous run, or changed after a screening review",
+  "case.created": "A run opened a monitoring case",
+  "pack.shared": "A share link was created for a run's pack",
+};
+const TEST_EVENT = "webhook.test";
+const RETRY_SECONDS = (process.env.WEBHOOK_RETRY_SECONDS || "30,120,600,3600,21600")
+  .split(",")
+  .map(Number)
+  .filter((n) => n >= 0);
+const TIMEOUT_MS = 10000;
+const MAX_IN_FLIGHT = 4;
+const KEEP_DELIVERIES = 2000; // finished deliveries kept in the log
+const KEEP_RESPONSE_BYTES = 500; // of the body, for subscriptions with keepResponses
+const SECRET_PREFIX = "whsec_";
+
+class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const newId = (prefix) => prefix + crypto.randomBytes(8).toString("hex");
+
+// Loopback, RFC 1918, link-local (cloud metadata), CGNAT, benchmarking, multicast and
+// reserved ranges; IPv4-mapped and NAT64 IPv6 so they cannot be used to reach the above
+const PRIVATE_RANGES = [
+  "0.0.0.0/8",
+  "10.0.0.0/8",
+  "100.64.0.0/10",
+  "127.0.0.0/8",
+  "169.254.0.0/16",
+  "172.16.0.0/12",
+  "192.0.0.0/24",
+  "192.168.0.0/16",
+  "198.18.0.0/15",
+  "224.0.0.0/4",
+  "240.0.0.0/4",
+  "::/128",
+  "::1/128",
+  "::ffff:0:0/96",
+  "64:ff9b::/96",
+  "fc00::/7",
+  "fe80::/10",
+  "ff00::/8",
+];
+
+const ipType = (address) => (net.isIPv6(address) ? "ipv6" : "ipv4");
+
+function blockList(ranges, source) {
+  const list = new net.BlockList();
+  for (const range of ranges) {
+    const [address, bits] = range.trim().split("/");
+    if (!net.isIP(address) || (bits !== undefined && !/^\d+$/.test(bits)))
+      throw new Error(`${source}: not an IP address or CIDR range: ${range}`);
+    if (bits === undefined) list.addAddress(address, ipType(address));
+    else list.addSubnet(address, Number(bits), ipType(address));
+  }
+  return list;
+}
+
+const PRIVATE = blockList(PRIVATE_RANGES, "PRIVATE_RANGES");
+const ALLOW_PRIVATE = blockList(
+  (process.env.WEBHOOK_ALLOW_PRIVATE || "").split(",").filter((r) => r.trim()),
+  "WEBHOOK_ALLOW_PRIVATE"
+);
+
+const isRefused = (address) => PRIVATE.check(address, ipType(address)) && !ALLOW_PRIVATE.check(address, ipType(address));
+
+const refusal = (host, address) =>
+  new WebhookError(
+    `${host === address ? address : `${host} resolves to ${address}, which`} is a private address; ` +
+      "add it to WEBHOOK_ALLOW_PRIVATE to allow it"
+  );
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(readRunFile(WEBHOOKS_DIR, path.basename(file)).toString("utf8")) : [];
+}
+
+function writeJson(file, data, mode) {
+  fs.mkdirSync(WEBHOOKS_DIR, { recursive: true });
+  writeRunFile(WEBHOOKS_DIR, path.basename(file), JSON.stringify(data, null, 2), { mode });
+}
+
+const readSubscriptions = () => readJson(SUBSCRIPTIONS_FILE);
+const writeSubscriptions = (subs) => writeJson(SUBSCRIPTIONS_FILE, subs, 0o600);
+const readDeliveries = () => readJson(DELIVERIES_FILE);
+
+// Oldest finished deliveries go first once the log is over KEEP_DELIVERIES
+function writeDeliveries(deliveries) {
+  let extra = deliveries.filter((d) => d.status !== "pending").length - KEEP_DELIVERIES;
+  if (extra > 0) deliveries = deliveries.filter((d) => d.status === "pending" || extra-- <= 0);
+  writeJson(DELIVERIES_FILE, deliveries);
+}
+
+// What is listed for a subscription: never its secret
+const publicSubscription = ({ secret, ...rest }) => rest;
+
+function checkUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url || "").trim());
+  } catch {
+    throw new WebhookError("Enter the endpoint as a full URL, e.g. https://tickets.example.com/hooks/trancheready");
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") throw new WebhookError("Endpoints must be http or https URLs");
+  // host names are resolved (and checked) when delivering; IP literals can be refused now
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  const address = /^localhost$|\.localhost$/i.test(host) ? "127.0.0.1" : host;
+  if (net.isIP(address) && isRefused(address)) throw refusal(host, address);
+  return u.toString();
+}
+
+/** Subscribe an endpoint; returns { secret, subscription } — the secret is shown once. */
+function createSubscription({ orgId, url, events, description, keepResponses, createdBy }) {
+  url = checkUrl(url);
+  events = [...new Set([].concat(events || []))];
+  if (!events.length) throw new WebhookError("Choose at least one event");
+  const unknown = events.find((e) => !EVENTS[e]);
+  if (unknown) throw new WebhookError(`Unknown event: ${unknown}`);
+  const secret = SECRET_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const sub = {
+    id: newId("wh_"),
+    orgId,
+    url,
+    events,
+    description: String(description || "").trim().slice(0, 200) || null,
+    secret,
+    keepResponses: !!keepResponses,
+    active: true,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+  const subs = readSubscriptions();
+  subs.push(sub);
+  writeSubscriptions(subs);
+  return { secret, subscription: publicSubscription(sub) };
+}
+
+function listSubscriptions(orgId) {
+  return readSubscriptions()
+    .filter((s) => s.orgId === orgId)
+    .map(publicSubscription);
+}
+
+function findSubscription(subs, orgId, id) {
+  const sub = subs.find((s) => s.id === id && s.orgId === orgId);
+  if (!sub) throw new WebhookError("Webhook not found", 404);
+  return sub;
+}
+
+/** Pause or resume a subscription; paused ones get no new deliveries. */
+function setSubscriptionActive(orgId, id, active) {
+  const subs = readSubscriptions();
+  const sub = findSubscription(subs, orgId, id);
+  sub.active = !!active;
+  writeSubscriptions(subs);
+  return publicSubscription(sub);
+}
+
+/** Delete a subscription and drop its pending deliveries (the log keeps the rest). */
+function deleteSubscription(orgId, id) {
+  const subs = readSubscriptions();
+  const sub = findSubscription(subs, orgId, id);
+  writeSubscriptions(subs.filter((s) => s !== sub));
+  const deliveries = readDeliveries();
+  for (const d of deliveries)
+    if (d.webhookId === id && d.status === "pending") Object.assign(d, { status: "failed", nextAttemptAt: null, error: "Webhook deleted" });
+  writeDeliveries(deliveries);
+  return publicSubscription(sub);
+}
+
+function listDeliveries(orgId, { webhookId, limit = 100 } = {}) {
+  return readDeliveries()
+    .filter((d) => d.orgId === orgId && (!webhookId || d.webhookId === webhookId))
+    .reverse()
+    .slice(0, limit);
+}
+
+function getDelivery(orgId, id) {
+  const d = readDeliveries().find((x) => x.id === id && x.orgId === orgId);
+  if (!d) throw new WebhookError("Delivery not found", 404);
+  return d;
+}
+
+function queue(deliveries, sub, event) {
+  const now = new Date().toISOString();
+  deliveries.push({
+    id: newId("dlv_"),
+    eventId: event.id,
+    webhookId: sub.id,
+    orgId: sub.orgId,
+    event: event.type,
+    url: sub.url,
+    createdAt: now,
+    status: "pending",
+    nextAttemptAt: now,
+    attempts: [],
+    payload: event,
+  });
+}
+
+/**
+ * Queue `type` for every active subscription of the organisation that wants it; each
+ * item of `items` is a separate event. Returns the number of deliveries queued.
+ */
+function emit(orgId, type, ...items) {
+  if (!orgId || !EVENTS[type] || !items.length) return 0;
+  const subs = readSubscriptions().filter((s) => s.orgId === orgId && s.active && s.events.includes(type));
+  if (!subs.length) return 0;
+  const deliveries = readDeliveries();
+  for (const data of items) {
+    const event = { id: newId("evt_"), type, createdAt: new Date().toISOString(), orgId, data };
+    for (const sub of subs) queue(deliveries, sub, event);
+  }
+  writeDeliveries(deliveries);
+  setImmediate(pump);
+  return subs.length * items.length;
+}
+
+// Does anyone in the organisation want this event? Saves reading runs for nothing
+const wants = (orgId, type) =>
+  !!orgId && readSubscriptions().some((s) => s.orgId === orgId && s.active && s.events.includes(type));
+
+/** Queue a webhook.test event for one subscription (paused or not). */
+function sendTest(orgId, id, by) {
+  const sub = findSubscription(readSubscriptions(), orgId, id);
+  const deliveries = readDeliveries();
+  const event = {
+    id: newId("evt_"),
+    type: TEST_EVENT,
+    createdAt: new Date().toISOString(),
+    orgId,
+    data: { message: "Test event from TrancheReady", sentBy: by || null },
+  };
+  queue(deliveries, sub, event);
+  writeDeliveries(deliveries);
+  setImmediate(pump);
+  return deliveries[deliveries.length - 1];
+}
+
+/** Send a delivery again from scratch (same payload, new delivery id). */
+function redeliver(orgId, id) {
+  const old = getDelivery(orgId, id);
+  const sub = findSubscription(readSubscriptions(), orgId, old.webhookId);
+  const deliveries = readDeliveries();
+  queue(deliveries, sub, old.payload);
+  writeDeliveries(deliveries);
+  setImmediate(pump);
+  return deliveries[deliveries.length - 1];
+}
+
+/** X-TrancheReady-Signature value for a raw body. */
+function signature(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/** Receiver side: true when `header` signs `body` with `secret` within `toleranceSeconds`. */
+function verifySignature(secret, header, body, toleranceSeconds = 300, now = Date.now()) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((p) => p.trim().split("="))
+  );
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !/^[0-9a-f]{64}$/.test(parts.v1 || "")) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSeconds) return false;
+  const expected = signature(secret, body, t).split("v1=")[1];
+  return crypto.timingSafeEqual(Buffer.from(expected, "hex"), Buffer.from(parts.v1, "hex"));
+}
+
+// dns.lookup that refuses private addresses: the address checked is the one connected to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const bad = (Array.isArray(address) ? address.map((a) => a.address) : [address]).find(isRefused);
+    if (bad) return callback(refusal(hostname, bad));
+    callback(null, address, family);
+  });
+}
+
+// POST without following redirects; resolves { statusCode, response? } once the status
+// is in (and, with keepResponse, the first KEEP_RESPONSE_BYTES of the body)
+function post(url, headers, body, keepResponse) {
+  const u = new URL(url);
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isRefused(host)) return Promise.reject(refusal(host, host));
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "https:" ? https : http).request(
+      u,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      },
+      (res) => {
+        if (!keepResponse) {
+          res.destroy();
+          return resolve({ statusCode: res.statusCode });
+        }
+        const chunks = [];
+        let size = 0;
+        res.on("data", (chunk) => {
+          chunks.push(chunk);
+          if ((size += chunk.length) >= KEEP_RESPONSE_BYTES) res.destroy();
+        });
+        res.on("close", () =>
+          resolve({
+            statusCode: res.statusCode,
+            response: Buffer.concat(chunks).subarray(0, KEEP_RESPONSE_BYTES).toString("utf8"),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// One attempt at one delivery; records it and schedules the retry (or gives up)
+async function attempt(id) {
+  let d = readDeliveries().find((x) => x.id === id);
+  const sub = d && readSubscriptions().find((s) => s.id === d.webhookId);
+  if (!d || d.status !== "pending") return;
+  const body = JSON.stringify(d.payload);
+  const started = Date.now();
+  const record = { n: d.attempts.length + 1, at: new Date(started).toISOString() };
+  if (!sub) record.error = "Webhook deleted";
+  else {
+    try {
+      const headers = {
+        "Content-Type": "application/json",
+        "User-Agent": "TrancheReady-Webhooks/1",
+        "X-TrancheReady-Event": d.event,
+        "X-TrancheReady-Delivery": d.id,
+        "X-TrancheReady-Signature": signature(sub.secret, body),
+      };
+      Object.assign(record, await post(d.url, headers, body, sub.keepResponses));
+    } catch (e) {
+      record.error =
+        e.cause?.name === "TimeoutError" ? `No response within ${TIMEOUT_MS / 1000}s` : e.cause?.message || e.message;
+    }
+  }
+  record.durationMs = Date.now() - started;
+
+  // re-read: other deliveries may have been queued or finished meanwhile
+  const deliveries = readDeliveries();
+  d = deliveries.find((x) => x.id === id);
+  if (!d) return;
+  d.attempts.push(record);
+  const ok = record.statusCode >= 200 && record.statusCode < 300;
+  const wait = RETRY_SECONDS[d.attempts.length - 1];
+  if (ok) Object.assign(d, { status: "delivered", nextAttemptAt: null, deliveredAt: new Date().toISOString() });
+  else if (sub && wait !== undefined)
+    d.nextAttemptAt = new Date(Date.now() + wait * 1000).toISOString();
+  else Object.assign(d, { status: "failed", nextAttemptAt: null });
+  writeDeliveries(deliveries);
+}
+
+const inFlight = new Set();
+let timer = null;
+
+// Start every due delivery, up to MAX_IN_FLIGHT at a time
+function pump() {
+  if (inFlight.size >= MAX_IN_FLIGHT || !fs.existsSync(DELIVERIES_FILE)) return;
+  const now = new Date().toISOString();
+  const due = readDeliveries()
+    .filter((d) => d.status === "pending" && d.nextAttemptAt <= now && !inFlight.has(d.id))
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+  for (const d of due.slice(0, MAX_IN_FLIGHT - inFlight.size)) {
+    inFlight.add(d.id);
+    attempt(d.id)
+      .catch((e) => console.error(`Webhook delivery ${d.id}:`, e))
+      .finally(() => {
+        inFlight.delete(d.id);
+        setImmediate(pump);
+      });
+  }
+}
+
+/** Check for due deliveries every second (pending ones from before a restart included). */
+function startDeliveries() {
+  if (!timer) timer = setInterval(pump, 1000).unref();
+  pump();
+}
+
+// --- Events from runs -----------------------------------------------------------
+
+const links = (runId) => {
+  const base = (process.env.PUBLIC_URL || "").replace(/\/$/, "");
+  return { results: `${base}/runs/${runId}`, api: `${base}/api/v1/runs/${runId}` };
+};
+
+// The organisation's latest run before this one (by createdAt)
+function previousRun(orgId, run) {
+  let best = null;
+  for (const d of fs.readdirSync(RUNS_DIR)) {
+    const dir = !d.startsWith("_") && d !== run.runId && runDirFor(d);
+    if (!dir || !fs.existsSync(path.join(dir, "run.json"))) continue;
+    const r = readRunJson(dir, "run.json");
+    if (r.orgId === orgId && r.createdAt < run.createdAt && (!best || r.createdAt > best.run.createdAt)) best = { run: r, dir };
+  }
+  return best;
+}
+
+/** client.band_changed events for clients whose band differs between two clients.json lists. */
+function bandChanges(before, after) {
+  const was = new Map(before.map((c) => [c.ClientID, c]));
+  return after
+    .filter((c) => was.has(c.ClientID) && was.get(c.ClientID).Band !== c.Band)
+    .map((c) => ({
+      clientId: c.ClientID,
+      name: c.Name,
+      from: was.get(c.ClientID).Band,
+      to: c.Band,
+      previousScore: was.get(c.ClientID).Score,
+      score: c.Score,
+      reasons: c.Reasons,
+    }));
+}
+
+/**
+ * A run has finished (lib/jobs.js): run.completed, case.created for each of its cases,
+ * and client.band_changed against the organisation's previous run.
+ */
+function runCompleted(runId) {
+  const runDir = runDirFor(runId);
+  if (!runDir) return;
+  const run = readRunJson(runDir, "run.json");
+  const { orgId } = run;
+  if (!Object.keys(EVENTS).some((e) => wants(orgId, e))) return;
+  const clients = readRunJson(runDir, "clients.json");
+  const bands = { High: 0, Medium: 0, Low: 0 };
+  for (const c of clients) bands[c.Band] = (bands[c.Band] || 0) + 1;
+
+  emit(orgId, "run.completed", {
+    runId,
+    createdAt: run.createdAt,
+    createdBy: run.createdBy,
+    policy: run.policy,
+    sector: run.sector,
+    counts: run.counts,
+    bands,
+    manifestSha256: readSignature(runDir).manifestSha256,
+    links: links(runId),
+  });
+  if (wants(orgId, "case.created"))
+    emit(
+      orgId,
+      "case.created",
+      ...readRunJson(runDir, "cases.json").map(({ transactions, notes, ...k }) => ({
+        runId,
+        case: k,
+        links: { ...links(runId), case: `${links(runId).results}/cases/${k.id}` },
+      }))
+    );
+  const prev = wants(orgId, "client.band_changed") && previousRun(orgId, run);
+  if (prev)
+    emit(
+      orgId,
+      "client.band_changed",
+      ...bandChanges(readRunJson(prev.dir, "clients.json"), clients).map((c) => ({
+        runId,
+        previousRunId: prev.run.runId,
+        trigger: "run",
+        ...c,
+        links: links(runId),
+      }))
+    );
+}
+
+module.exports = {
+  WEBHOOKS_DIR,
+  EVENTS,
+  TEST_EVENT,
+  RETRY_SECONDS,
+  PRIVATE_RANGES,
+  WebhookError,
+  createSubscription,
+  listSubscriptions,
+  setSubscriptionActive,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  emit,
+  sendTest,
+  redeliver,
+  signature,
+  verifySignature,
+  startDeliveries,
+  bandChanges,
+  runCompleted,
+};
@@ -0,0 +1,156 @@
+// lib/xlsx.js — just enough of XLSX to read the first worksheet as rows of strings
+//
+// Sanctions lists (e.g. the DFAT Consolidated List) are published as XLSX. An XLSX file
+// is a ZIP of XML parts: cell text lives in xl/sharedStrings.xml, the sheet order in
+// xl/workbook.xml (resolved to a part through xl/_rels/workbook.xml.rels) and the cells
+// in xl/worksheets/sheetN.xml. Formulas, styles and dates-as-numbers are not interpreted.
+//
+// Only the parts needed are inflated, each capped at MAX_INFLATED_BYTES and checked
+// against its declared size and CRC-32. ZIP64, encrypted and non-deflate entries are
+// refused with an error rather than read wrongly.
+const zlib = require("zlib");
+
+// Uploads are capped at 50MB (routes/screening.js); worksheet XML compresses well, but
+// no genuine list needs more than this once inflated
+const MAX_INFLATED_BYTES = 200 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// ZIP central directory → { name: () => Buffer }; entries are inflated when read
+function unzip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not an XLSX file (no ZIP directory found)");
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || p === 0xffffffff) throw new Error("ZIP64 archives are not supported; save the list as a regular XLSX file");
+  const files = {};
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) throw new Error("Corrupt XLSX file (bad ZIP directory)");
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const size = buf.readUInt32LE(p + 20);
+    const unpacked = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    // sizes come from the central directory, so entries written with data descriptors
+    // (zero sizes in the local header) read the same
+    files[name] = () => {
+      if (size === 0xffffffff || unpacked === 0xffffffff || local === 0xffffffff)
+        throw new Error("ZIP64 archives are not supported; save the list as a regular XLSX file");
+      if (flags & 1) throw new Error("Encrypted XLSX files are not supported");
+      if (method !== 0 && method !== 8) throw new Error(`${name} uses an unsupported ZIP compression method (${method})`);
+      if (unpacked > MAX_INFLATED_BYTES) throw new Error(`${name} is too large once uncompressed`);
+      if (local + 30 > buf.length || buf.readUInt32LE(local) !== 0x04034b50) throw new Error("Corrupt XLSX file (bad ZIP entry)");
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      if (start + size > buf.length) throw new Error("Corrupt XLSX file (truncated)");
+      const data = buf.subarray(start, start + size);
+      let out;
+      try {
+        out = method === 0 ? data : zlib.inflateRawSync(data, { maxOutputLength: Math.max(unpacked, 1) });
+      } catch (e) {
+        if (e.code === "ERR_BUFFER_TOO_LARGE") throw new Error(`${name} is larger once uncompressed than it claims`);
+        throw new Error(`Corrupt XLSX file (${name} does not inflate)`);
+      }
+      if (out.length !== unpacked || crc32(out) !== crc) throw new Error(`Corrupt XLSX file (${name} fails its checksum)`);
+      return out;
+    };
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return files;
+}
+
+const decode = (s) =>
+  s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, d) => String.fromCodePoint(Number(d)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&amp;/g, "&");
+
+// Text of every <t> in a fragment (rich text splits one string into several runs)
+const textOf = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decode(m[1])).join("");
+
+const attr = (attrs, name) => {
+  const m = attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return m ? decode(m[1]) : undefined;
+};
+
+const columnIndex = (ref) => {
+  let n = 0;
+  for (const ch of ref.replace(/\d+$/, "")) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+};
+
+// Part name of the first sheet in workbook order (not the lowest sheetN.xml)
+function firstSheetPart(files) {
+  const sheets = Object.keys(files).filter((n) => /^xl\/worksheets\/[^/]+\.xml$/.test(n));
+  // a bare package (no workbook part) is only unambiguous with a single sheet
+  if (!files["xl/workbook.xml"] && sheets.length === 1) return sheets[0];
+  const xml = (name) => {
+    if (!files[name]) throw new Error(`XLSX file has no ${name}`);
+    return files[name]().toString("utf8");
+  };
+  const sheet = xml("xl/workbook.xml").match(/<sheet\s([^>]*?)\/?>/);
+  if (!sheet) throw new Error("XLSX file has no worksheet");
+  const relId = attr(sheet[1], "r:id");
+  const rel = [...xml("xl/_rels/workbook.xml.rels").matchAll(/<Relationship\s([^>]*?)\/?>/g)].find(
+    (m) => attr(m[1], "Id") === relId
+  );
+  const target = rel && attr(rel[1], "Target");
+  if (!target) throw new Error("XLSX file does not say where its first worksheet is");
+  // targets are relative to xl/ unless absolute within the package
+  const part = target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+  if (!files[part]) throw new Error(`XLSX file has no ${part}`);
+  return part;
+}
+
+/** Rows (arrays of strings) of the first worksheet in an XLSX buffer; empty rows kept. */
+function readXlsxRows(buf) {
+  const files = unzip(buf);
+  const shared = files["xl/sharedStrings.xml"]
+    ? [...files["xl/sharedStrings.xml"]().toString("utf8").matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]))
+    : [];
+  const rows = [];
+  const sheetXml = files[firstSheetPart(files)]().toString("utf8");
+  for (const [, rowAttrs, rowXml] of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const [, attrs, body] of (rowXml || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = (attrs.match(/\br="([A-Z]+\d+)"/) || [])[1];
+      const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+      const v = body && (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = "";
+      if (type === "s") value = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") value = textOf(body || "");
+      else if (v != null) value = decode(v);
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    // r is the 1-based row number; rows with nothing in them may be left out of the XML
+    const r = Number(attr(rowAttrs, "r"));
+    rows[Number.isInteger(r) && r > rows.length ? r - 1 : rows.length] = Array.from(row, (x) => x ?? "");
+  }
+  return Array.from(rows, (x) => x ?? []);
+}
+
+module.exports = { readXlsxRows };
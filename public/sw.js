@@ -1,6 +1,7 @@
-// Tiny offline cache for shell
-const CACHE = 'trancheready-v1';
-const ASSETS = ['/', '/style.css', '/ui.js', '/logo.svg', '/manifest.webmanifest'];
+// Tiny offline cache for shell assets. Pages are per signed-in user and always come
+// from the network.
+const CACHE = 'trancheready-v2';
+const ASSETS = ['/style.css', '/ui.js', '/logo.svg', '/manifest.webmanifest'];
 
 self.addEventListener('install', e=>{
   e.waitUntil(caches.open(CACHE).then(c=>c.addAll(ASSETS)));
@@ -11,13 +12,15 @@ self.addEventListener('activate', e=>{
 self.addEventListener('fetch', e=>{
   const req = e.request;
   if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== location.origin || !ASSETS.includes(url.pathname)) return;
   e.respondWith(
     caches.match(req).then(cached => cached ||
       fetch(req).then(res=>{
         const resClone = res.clone();
         caches.open(CACHE).then(c=>c.put(req, resClone));
         return res;
-      }).catch(()=> caches.match('/'))
+      })
     )
   );
 });
@@ -33,7 +33,6 @@
   const msg = document.getElementById('validationMsg');
   const bar = document.getElementById('bar');
   const progress = document.getElementById('progress');
-  const sectorPreset = document.getElementById('sectorPreset');
 
   const pickFiles = () => {
     const pick = document.createElement('input');
@@ -59,15 +58,47 @@
     if (!clientsHidden.files.length || !txnsHidden.files.length){
       e.preventDefault(); msg.textContent='Please provide both CSV files.'; msg.style.color='#ffb020'; return;
     }
-    // fake progress UI (server processes quickly anyway)
+    // Real upload progress, then hand over to the job page (server-side progress)
+    e.preventDefault();
     progress.style.display='block';
-    let n=0; const id=setInterval(()=>{ n = Math.min(100, n+5); bar.style.width = n+'%'; if(n>=100) clearInterval(id); }, 80);
-    // Attach sector choice by renaming files (server reads CSV only; this is cosmetic)
-    if (sectorPreset && sectorPreset.value){
-      form.action = '/ingest?sector=' + encodeURIComponent(sectorPreset.value);
-    }
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', form.action);
+    xhr.setRequestHeader('Accept', 'application/json');
+    xhr.upload.onprogress = (ev)=>{
+      if (!ev.lengthComputable) return;
+      const pct = Math.round(ev.loaded / ev.total * 100);
+      bar.style.width = pct + '%'; msg.textContent = `Uploading… ${pct}%`;
+    };
+    xhr.onload = ()=>{
+      if (xhr.status === 202){ location.href = JSON.parse(xhr.responseText).status; return; }
+      msg.textContent = xhr.responseText || 'Upload failed.'; msg.style.color='#ffb020';
+      progress.style.display='none';
+    };
+    xhr.onerror = ()=>{ msg.textContent='Upload failed — check your connection.'; msg.style.color='#ffb020'; };
+    const data = new FormData(form); // the visible pickers duplicate the hidden inputs
+    data.set('clients', clientsHidden.files[0]); data.set('transactions', txnsHidden.files[0]);
+    xhr.send(data);
   });
 
+  // Job page: live progress over SSE, then open the results
+  const jobEl = document.getElementById('job');
+  if (jobEl && window.EventSource){
+    const jobBar = document.getElementById('jobBar');
+    const jobStage = document.getElementById('jobStage');
+    const jobMsg = document.getElementById('jobMsg');
+    const es = new EventSource(`/jobs/${jobEl.dataset.jobId}/events`);
+    const show = (ev)=>{
+      const j = JSON.parse(ev.data);
+      jobBar.style.width = j.progress + '%';
+      jobStage.textContent = j.stageLabel || j.status;
+      if (j.status === 'done'){ es.close(); location.href = `/runs/${j.runId}`; }
+      else if (j.status === 'failed'){ es.close(); jobMsg.textContent = 'Failed: ' + j.error; jobMsg.style.color='#ffb020'; }
+      else if (j.status === 'review' || j.status === 'cancelled'){ es.close(); if (jobEl.dataset.status !== j.status) location.reload(); }
+      else jobMsg.textContent = `${j.progress}% — this page updates live and opens the results when done.`;
+    };
+    ['queued','running','review','cancelled','done','failed'].forEach(t => es.addEventListener(t, show));
+  }
+
   // Results page helpers
   const search = document.getElementById('search');
   const bandFilter = document.getElementById('bandFilter');
@@ -0,0 +1,119 @@
+// Share page: verify a downloaded evidence pack in the browser (nothing is uploaded).
+// Reads evidence_pack.zip (or loose files), hashes every file with WebCrypto and
+// compares against the manifest this server recorded for the run.
+(function(){
+  const dataEl = document.getElementById('packData');
+  if (!dataEl) return;
+  const pack = JSON.parse(dataEl.textContent);
+  const input = document.getElementById('packFiles');
+  const status = document.getElementById('verifyStatus');
+  const cert = document.getElementById('certificate');
+
+  const hex = (buf)=> Array.from(new Uint8Array(buf)).map(b=>b.toString(16).padStart(2,'0')).join('');
+  const sha256 = async (buf)=> hex(await crypto.subtle.digest('SHA-256', buf));
+  const esc = (s)=> String(s).replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+
+  // Minimal ZIP reader: central directory → entries; stored or deflated only
+  async function unzip(buf){
+    const v = new DataView(buf);
+    let eocd = -1;
+    for (let i = buf.byteLength - 22; i >= Math.max(0, buf.byteLength - 65557); i--){
+      if (v.getUint32(i, true) === 0x06054b50){ eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('not a ZIP file');
+    const count = v.getUint16(eocd + 10, true);
+    let p = v.getUint32(eocd + 16, true);
+    if (p === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+    const files = {};
+    for (let n = 0; n < count; n++){
+      if (v.getUint32(p, true) !== 0x02014b50) throw new Error('corrupt ZIP directory');
+      const method = v.getUint16(p + 10, true);
+      const size = v.getUint32(p + 20, true);
+      const nameLen = v.getUint16(p + 28, true), extraLen = v.getUint16(p + 30, true), commentLen = v.getUint16(p + 32, true);
+      const local = v.getUint32(p + 42, true);
+      const name = new TextDecoder().decode(new Uint8Array(buf, p + 46, nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if (name.endsWith('/')) continue;
+      const start = local + 30 + v.getUint16(local + 26, true) + v.getUint16(local + 28, true);
+      const raw = buf.slice(start, start + size);
+      if (method === 0) files[name] = raw;
+      else if (method === 8){
+        const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        files[name] = await new Response(stream).arrayBuffer();
+      } else throw new Error(`unsupported compression in ${name}`);
+    }
+    return files;
+  }
+
+  async function readSelection(list){
+    const files = {};
+    for (const f of list){
+      const buf = await f.arrayBuffer();
+      if (/\.zip$/i.test(f.name)) Object.assign(files, await unzip(buf));
+      else files[f.name] = buf;
+    }
+    return files;
+  }
+
+  // Ed25519 check of the uploaded manifest.sig.json with the key this server published
+  async function checkSignature(files){
+    const sigBuf = files['manifest.sig.json'], manBuf = files['manifest.json'];
+    if (!sigBuf || !manBuf) return { ok: false, text: 'manifest.json or manifest.sig.json not provided' };
+    let sig;
+    try { sig = JSON.parse(new TextDecoder().decode(sigBuf)); } catch { return { ok: false, text: 'manifest.sig.json is not valid JSON' }; }
+    const manHash = await sha256(manBuf);
+    if (manHash !== sig.manifestSha256) return { ok: false, text: 'manifest.json does not match the signed hash' };
+    if (!pack.publicKey || !pack.signature || sig.keyFingerprint !== pack.signature.keyFingerprint) return { ok: false, text: 'signed by a key this server did not publish for this run' };
+    const der = Uint8Array.from(atob(pack.publicKey.replace(/-----[^-]+-----|\s/g, '')), c=>c.charCodeAt(0));
+    const payload = new TextEncoder().encode([sig.format, sig.runId, sig.signedAt, sig.keyFingerprint, manHash].join('\n'));
+    try {
+      const key = await crypto.subtle.importKey('spki', der, { name: 'Ed25519' }, false, ['verify']);
+      const ok = await crypto.subtle.verify({ name: 'Ed25519' }, key, Uint8Array.from(atob(sig.signature), c=>c.charCodeAt(0)), payload);
+      return ok ? { ok: true, text: `valid Ed25519 signature by key ${sig.keyFingerprint.slice(0, 16)}…, signed ${sig.signedAt}` } : { ok: false, text: 'signature does not verify' };
+    } catch {
+      // older browsers lack Ed25519 in WebCrypto; the file hashes above still apply
+      return { ok: null, text: 'this browser cannot check Ed25519 signatures; the server-side check above applies' };
+    }
+  }
+
+  function render(rows, sig, names){
+    const counts = { match: 0, mismatch: 0, missing: 0, extra: 0 };
+    rows.forEach(r=> counts[r.status]++);
+    const pass = !counts.mismatch && !counts.missing && !counts.extra && sig.ok !== false;
+    const colour = { match: 'var(--good)', mismatch: 'var(--bad)', missing: 'var(--warn)', extra: 'var(--warn)' };
+    document.getElementById('certVerdict').textContent = pass ? 'PASS' : 'FAIL';
+    document.getElementById('certVerdict').style.color = pass ? 'var(--good)' : 'var(--bad)';
+    document.getElementById('certWhen').textContent = new Date().toISOString();
+    document.getElementById('certSource').textContent = names.join(', ');
+    document.getElementById('certCounts').textContent =
+      `${counts.match} match, ${counts.mismatch} mismatch, ${counts.missing} missing, ${counts.extra} extra`;
+    document.getElementById('certSignature').textContent = sig.text;
+    document.getElementById('certRows').innerHTML = rows.map(r=>
+      `<tr><td class="mono">${esc(r.file)}</td><td style="color:${colour[r.status]}"><b>${r.status}</b></td>` +
+      `<td class="mono small">${r.expected || '—'}</td><td class="mono small">${r.actual || '—'}</td></tr>`).join('');
+    cert.style.display = 'block';
+  }
+
+  input && input.addEventListener('change', async ()=>{
+    if (!input.files.length) return;
+    status.textContent = 'Hashing in your browser…'; status.style.color = '';
+    try {
+      const files = await readSelection(input.files);
+      const rows = [];
+      for (const [file, expected] of Object.entries(pack.expected)){
+        if (!(file in files)){ rows.push({ file, status: 'missing', expected }); continue; }
+        const actual = await sha256(files[file]);
+        rows.push({ file, status: actual === expected ? 'match' : 'mismatch', expected, actual });
+      }
+      for (const file of Object.keys(files).filter(f=> !(f in pack.expected)))
+        rows.push({ file, status: 'extra', actual: await sha256(files[file]) });
+      render(rows, await checkSignature(files), Array.from(input.files, f=>f.name));
+      status.textContent = 'Done — nothing left your computer.';
+    } catch (e){
+      status.textContent = 'Could not read the files: ' + e.message; status.style.color = '#ffb020';
+    }
+  });
+
+  const printBtn = document.getElementById('printCert');
+  printBtn && printBtn.addEventListener('click', ()=> window.print());
+})();
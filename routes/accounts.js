@@ -0,0 +1,147 @@
+// routes/accounts.js — sign in / out, first-run setup, organisation details, user admin and API keys
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+const {
+  ROLES, ORG_DETAILS, AccountError,
+  hasAccounts, authenticate, createSession, endSession,
+  setupFirstOrg, orgDetails, updateOrgDetails, listUsers, createUser, updateUser, userLabel
+} = require('../lib/accounts');
+const { listSectors } = require('../lib/sectors');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../lib/apiKeys');
+const { SESSION_COOKIE, readCookie, requirePermission } = require('./auth');
+
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+
+// Only same-site paths after sign-in (no open redirects)
+const safeNext = (next) => (/^\/(?![/\\])/.test(String(next || '')) ? next : '/');
+
+function startSession(req, res, user) {
+  const { sid, maxAge } = createSession(user.id);
+  res.cookie(SESSION_COOKIE, sid, { path: '/', maxAge: maxAge * 1000, httpOnly: true, sameSite: 'lax', secure: req.secure });
+}
+
+// GET /login
+router.get('/login', (req, res) => {
+  if (!hasAccounts()) return res.redirect(303, '/setup');
+  res.render('login', { error: '', next: safeNext(req.query.next), email: '' });
+});
+
+// POST /login
+router.post('/login', loginLimiter, (req, res) => {
+  const user = authenticate(req.body.email, req.body.password);
+  if (!user) {
+    return res.status(401).render('login', { error: 'Wrong email or password.', next: safeNext(req.body.next), email: req.body.email || '' });
+  }
+  startSession(req, res, user);
+  res.redirect(303, safeNext(req.body.next));
+});
+
+// POST /logout
+router.post('/logout', (req, res) => {
+  const sid = readCookie(req, SESSION_COOKIE);
+  if (sid) endSession(sid);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.redirect(303, '/login');
+});
+
+// GET/POST /setup — only while the deployment has no accounts at all
+router.get('/setup', (req, res) => {
+  if (hasAccounts()) return res.redirect(303, '/login');
+  res.render('setup', { error: '', form: {} });
+});
+
+router.post('/setup', loginLimiter, (req, res) => {
+  if (hasAccounts()) return res.redirect(303, '/login');
+  try {
+    const { user } = setupFirstOrg(req.body);
+    startSession(req, res, user);
+    res.redirect(303, '/');
+  } catch (e) {
+    if (!(e instanceof AccountError)) throw e;
+    res.status(e.status).render('setup', { error: e.message, form: { ...req.body, password: '' } });
+  }
+});
+
+// GET /account/organisation — details used in the program document and TTRs, and the
+// default sector profile for uploads
+router.get('/account/organisation', requirePermission('org.manage'), (req, res) => {
+  res.render('organisation', {
+    org: orgDetails(req.user.orgId), ORG_DETAILS, sectors: listSectors().filter(s => !s.error),
+    error: req.query.error || '', flash: req.query.msg || ''
+  });
+});
+
+// POST /account/organisation
+router.post('/account/organisation', requirePermission('org.manage'), (req, res) => {
+  try {
+    updateOrgDetails(req.user.orgId, req.body);
+    res.redirect(303, `/account/organisation?msg=${encodeURIComponent('Organisation details saved')}`);
+  } catch (e) {
+    if (!(e instanceof AccountError)) throw e;
+    res.redirect(303, `/account/organisation?error=${encodeURIComponent(e.message)}`);
+  }
+});
+
+// GET /account/users — the organisation's users (compliance officers only)
+router.get('/account/users', requirePermission('users.manage'), (req, res) => {
+  res.render('users', { users: listUsers(req.user.orgId), ROLES, error: req.query.error || '', flash: req.query.msg || '' });
+});
+
+// POST /account/users — add a user to the caller's organisation
+router.post('/account/users', requirePermission('users.manage'), (req, res) => {
+  try {
+    const user = createUser({ ...req.body, orgId: req.user.orgId });
+    res.redirect(303, `/account/users?msg=${encodeURIComponent(`Added ${user.email}`)}`);
+  } catch (e) {
+    if (!(e instanceof AccountError)) throw e;
+    res.redirect(303, `/account/users?error=${encodeURIComponent(e.message)}`);
+  }
+});
+
+// POST /account/users/:id — change role, reset password, disable / enable
+router.post('/account/users/:id', requirePermission('users.manage'), (req, res) => {
+  const changes = {};
+  if (req.body.role) changes.role = req.body.role;
+  if (req.body.password) changes.password = req.body.password;
+  if (req.body.disabled !== undefined) changes.disabled = req.body.disabled === '1';
+  try {
+    const user = updateUser(req.user.orgId, req.params.id, changes);
+    res.redirect(303, `/account/users?msg=${encodeURIComponent(`Updated ${user.email}`)}`);
+  } catch (e) {
+    if (!(e instanceof AccountError)) throw e;
+    if (e.status === 404) return res.status(404).send(e.message);
+    res.redirect(303, `/account/users?error=${encodeURIComponent(e.message)}`);
+  }
+});
+
+// GET /account/api-keys — keys for the REST API (/api/v1)
+const renderKeys = (req, res, extra = {}) => res.render('apikeys', {
+  keys: listApiKeys(req.user.orgId), ROLES, newKey: null, error: '', flash: req.query.msg || '', ...extra
+});
+router.get('/account/api-keys', requirePermission('apikeys.manage'), (req, res) => renderKeys(req, res));
+
+// POST /account/api-keys — the key is only ever shown in this response
+router.post('/account/api-keys', requirePermission('apikeys.manage'), (req, res) => {
+  try {
+    const { key, apiKey } = createApiKey({ ...req.body, orgId: req.user.orgId, createdBy: userLabel(req.user) });
+    renderKeys(req, res.status(201), { newKey: { key, name: apiKey.name } });
+  } catch (e) {
+    if (!(e instanceof AccountError)) throw e;
+    renderKeys(req, res.status(e.status), { error: e.message });
+  }
+});
+
+// POST /account/api-keys/:id/revoke
+router.post('/account/api-keys/:id/revoke', requirePermission('apikeys.manage'), (req, res) => {
+  try {
+    const k = revokeApiKey(req.user.orgId, req.params.id, userLabel(req.user));
+    res.redirect(303, `/account/api-keys?msg=${encodeURIComponent(`Revoked ${k.name}`)}`);
+  } catch (e) {
+    if (!(e instanceof AccountError)) throw e;
+    res.status(e.status).send(e.message);
+  }
+});
+
+module.exports = router;
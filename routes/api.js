@@ -0,0 +1,208 @@
+// routes/api.js — versioned JSON API (/api/v1) for integrations, authenticated by API key
+// (lib/apiKeys.js). The same pipeline, permissions and organisation scoping as the web
+// app; the contract is docs/openapi.json, served at /api/v1/openapi.json.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const Papa = require('papaparse');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+
+const { apiKeyUser } = require('../lib/apiKeys');
+const { ROLES, can, listUsers, runOrgId, userLabel } = require('../lib/accounts');
+const { RUNS_DIR, PACK_ZIP, runDirFor, readManifest, readSignature } = require('../lib/evidence');
+const { readRunFile, readRunJson, sendRunFile, protectPack } = require('../lib/encryption');
+const { STATUSES, CaseError, loadCases, readAudit, updateCase } = require('../lib/cases');
+const { IngestError, ingestInput } = require('../lib/ingestInput');
+const { createJob, jobForRun } = require('../lib/jobs');
+const { runDirForUser } = require('./auth');
+
+const OPENAPI = path.join(__dirname, '..', 'docs', 'openapi.json');
+const UPLOAD_DIR = path.join(RUNS_DIR, '_uploads');
+const upload = multer({ dest: UPLOAD_DIR, limits: { fileSize: 50 * 1024 * 1024 } });
+
+router.use(rateLimit({ windowMs: 60 * 1000, max: Number(process.env.API_RATE_LIMIT) || 120 }));
+
+// The contract itself needs no key
+router.get('/openapi.json', (_, res) => res.sendFile(OPENAPI));
+
+// Everything else: Authorization: Bearer <key> or X-API-Key: <key>
+router.use((req, res, next) => {
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  req.user = apiKeyUser(bearer ? bearer[1] : req.get('x-api-key'));
+  if (!req.user) return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'A valid API key is required' });
+  next();
+});
+
+const allow = (action) => (req, res, next) =>
+  can(req.user, action) ? next() : res.status(403).json({ error: `Keys acting as ${ROLES[req.user.role]} cannot do this (${action})` });
+
+function runDirOr404(req, res) {
+  const runDir = runDirForUser(req);
+  if (!runDir) res.status(404).json({ error: 'Run not found' });
+  return runDir;
+}
+
+const links = (runId) => ({
+  self: `/api/v1/runs/${runId}`,
+  clients: `/api/v1/runs/${runId}/clients`,
+  cases: `/api/v1/runs/${runId}/cases`,
+  manifest: `/api/v1/runs/${runId}/manifest`,
+  pack: `/api/v1/runs/${runId}/pack`,
+});
+
+// JSON rows → a CSV in the upload dir, so API runs go through the same parser as files
+function writeCsv(rows, label) {
+  if (!Array.isArray(rows) || !rows.length || !rows.every(r => r && typeof r === 'object' && !Array.isArray(r)))
+    throw new IngestError(`${label} must be a non-empty array of objects`);
+  const columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  const file = path.join(UPLOAD_DIR, `${uuidv4()}.csv`);
+  fs.writeFileSync(file, Papa.unparse(rows, { columns }));
+  return { path: file };
+}
+
+// Reasons are stored as "text (+weight)"
+const structuredReason = (r) => {
+  const m = String(r).match(/^(.*) \(\+(-?\d+(?:\.\d+)?)\)$/);
+  return m ? { text: m[1], weight: Number(m[2]) } : { text: String(r), weight: null };
+};
+
+// POST /api/v1/runs — multipart (clients, transactions, policyFile?, fxRates? files) or
+// JSON { clients: [...], transactions: [...], policy?, sector?, dateFormat?, timezone? }
+router.post('/runs', allow('run.create'),
+  upload.fields([
+    { name: 'clients', maxCount: 1 },
+    { name: 'transactions', maxCount: 1 },
+    { name: 'policyFile', maxCount: 1 },
+    { name: 'fxRates', maxCount: 1 }
+  ]),
+  (req, res) => {
+    const files = Object.fromEntries(Object.entries(req.files || {}).map(([k, v]) => [k, v[0]]));
+    const uploaded = () => Object.values(files).map(f => f.path);
+    let input;
+    try {
+      if (req.is('json')) {
+        files.clients = writeCsv(req.body.clients, 'clients');
+        files.transactions = writeCsv(req.body.transactions, 'transactions');
+      }
+      input = ingestInput({ body: req.body, user: req.user, files });
+    } catch (e) {
+      for (const p of uploaded()) fs.rm(p, { force: true }, () => {});
+      if (!(e instanceof IngestError)) throw e;
+      return res.status(e.status).json({ error: e.message });
+    }
+    const runId = uuidv4();
+    const review = [true, 'true', '1'].includes(req.body.review);
+    const job = createJob({ ...input, runId }, uploaded(), { review, orgId: req.user.orgId, createdBy: input.createdBy });
+    res.status(202).location(`/api/v1/runs/${runId}`).json({ runId, jobId: job.id, status: job.status, links: links(runId) });
+  }
+);
+
+// GET /api/v1/runs — the organisation's finished runs, newest first
+router.get('/runs', allow('run.read'), (req, res) => {
+  const runs = fs.readdirSync(RUNS_DIR)
+    .map(d => !d.startsWith('_') && runDirFor(d))
+    .filter(dir => dir && runOrgId(dir) === req.user.orgId)
+    .map(dir => readRunJson(dir, 'run.json'))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json({ runs: runs.map(r => ({ ...r, status: 'done', links: links(r.runId) })) });
+});
+
+// GET /api/v1/runs/:runId — the run, or its job's progress while it is being built
+router.get('/runs/:runId', allow('run.read'), (req, res) => {
+  const runDir = runDirForUser(req);
+  if (runDir) return res.json({ ...readRunJson(runDir, 'run.json'), status: 'done', links: links(req.params.runId) });
+  const job = jobForRun(req.params.runId);
+  if (!job || job.orgId !== req.user.orgId) return res.status(404).json({ error: 'Run not found' });
+  const { id, status, stage, stageLabel, progress, error, dataQuality, createdAt, updatedAt } = job;
+  res.json({ runId: req.params.runId, jobId: id, status, stage, stageLabel, progress, error, dataQuality, createdAt, updatedAt });
+});
+
+// GET /api/v1/runs/:runId/clients?band=High&limit=100&offset=0
+router.get('/runs/:runId/clients', allow('run.read'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  const band = req.query.band;
+  const all = readRunJson(runDir, 'clients.json').filter(c => !band || c.Band === band);
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  res.json({
+    total: all.length, offset, limit,
+    clients: all.slice(offset, offset + limit).map(c => ({
+      clientId: c.ClientID, name: c.Name, score: c.Score, band: c.Band,
+      reasons: c.Reasons.map(structuredReason),
+      country: c.Country, pep: c.PEP, kycStatus: c.KYCStatus,
+      designatedServices: c.DesignatedServices || []
+    }))
+  });
+});
+
+// GET /api/v1/runs/:runId/cases?status=open — without the transaction extracts
+router.get('/runs/:runId/cases', allow('run.read'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  const cases = loadCases(runDir).filter(k => !req.query.status || k.status === req.query.status);
+  res.json({ total: cases.length, cases: cases.map(({ transactions, ...k }) => k) });
+});
+
+// GET /api/v1/runs/:runId/cases/:caseId — with transactions and audit trail
+router.get('/runs/:runId/cases/:caseId', allow('run.read'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  const k = loadCases(runDir).find(c => c.id === req.params.caseId);
+  if (!k) return res.status(404).json({ error: 'Case not found' });
+  res.json({ ...k, history: readAudit(runDir, k.id) });
+});
+
+// PATCH /api/v1/runs/:runId/cases/:caseId — { status, dispositionReason, assignee, dueDate, note }
+router.patch('/runs/:runId/cases/:caseId', allow('case.update'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  try {
+    const { status, dispositionReason, assignee, dueDate, note } = req.body || {};
+    if (status !== undefined && !STATUSES[status]) throw new CaseError(`Unknown status: ${status}`);
+    const current = loadCases(runDir).find(c => c.id === req.params.caseId);
+    const assignable = listUsers(req.user.orgId).some(u => !u.disabledAt && can(u, 'case.update') && u.email === assignee);
+    if (assignee && assignee !== (current && current.assignee) && !assignable)
+      throw new CaseError(`Cannot assign a case to ${assignee}`);
+    const { case: k } = updateCase(runDir, req.params.caseId, { status, dispositionReason, assignee, dueDate, note },
+      userLabel(req.user));
+    res.json(k);
+  } catch (e) {
+    if (!(e instanceof CaseError)) throw e;
+    res.status(e.status).json({ error: e.message });
+  }
+});
+
+// GET /api/v1/runs/:runId/manifest — manifest.json and its signature
+router.get('/runs/:runId/manifest', allow('run.read'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  res.json({ manifest: readManifest(runDir), signature: readSignature(runDir) });
+});
+
+// GET /api/v1/runs/:runId/pack — the evidence pack ZIP
+router.get('/runs/:runId/pack', allow('run.read'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  const zipPath = path.join(runDir, PACK_ZIP);
+  if (!fs.existsSync(zipPath)) return res.status(404).json({ error: 'Pack not found' });
+  sendRunFile(res, runDir, PACK_ZIP, `TrancheReady_${req.params.runId}.zip`);
+});
+
+// POST /api/v1/runs/:runId/pack/protected — the pack encrypted to a password or an RSA public key
+router.post('/runs/:runId/pack/protected', allow('run.read'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  if (!fs.existsSync(path.join(runDir, PACK_ZIP))) return res.status(404).json({ error: 'Pack not found' });
+  const file = `TrancheReady_${req.params.runId}.zip`;
+  const { password, publicKey } = req.body || {};
+  const packed = protectPack(readRunFile(runDir, PACK_ZIP), { password, publicKey, file });
+  res.attachment(`${file}.trpack`).type('application/octet-stream').send(packed);
+});
+
+router.use((req, res) => res.status(404).json({ error: 'Not found' }));
+// e.g. an upload over the size limit: still JSON
+router.use((err, req, res, next) => {
+  const status = err.status || (err instanceof multer.MulterError ? 400 : 500);
+  if (status === 500) console.error(err);
+  res.status(status).json({ error: status === 500 ? 'Internal error' : err.message });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// routes/auth.js — who is calling: session cookie → req.user, sign-in guard, role checks
+// and organisation-scoped run lookup (accounts themselves live in lib/accounts.js)
+const { ROLES, can, sessionUser, runOrgId } = require('../lib/accounts');
+const { runDirFor } = require('../lib/evidence');
+
+const SESSION_COOKIE = 'tr_session';
+
+// Reachable without signing in: health, static pages, published keys, share links
+// (the token is the credential) and the sign-in pages themselves
+const PUBLIC = [
+  /^\/healthz$/, /^\/legal$/, /^\/manifest\.webmanifest$/, /^\/sw\.js$/,
+  /^\/\.well-known\//, /^\/share\//, /^\/login$/, /^\/setup$/
+];
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(/;\s*/).find(c => c.startsWith(name + '='));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+// Sets req.user (and res.locals.user / can for the views) from the session cookie
+function loadUser(req, res, next) {
+  req.user = sessionUser(readCookie(req, SESSION_COOKIE));
+  res.locals.user = req.user;
+  res.locals.can = (action) => can(req.user, action);
+  res.locals.ROLES = ROLES;
+  next();
+}
+
+function signIn(req, res) {
+  if (req.accepts(['html', 'json']) === 'json') return res.status(401).json({ error: 'Sign in required' });
+  res.redirect(303, `/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+function requireUser(req, res, next) {
+  if (req.user || PUBLIC.some(re => re.test(req.path))) return next();
+  signIn(req, res);
+}
+
+// Signed out is not "not allowed": those callers are sent to sign in instead
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (!req.user) return signIn(req, res);
+    if (can(req.user, action)) return next();
+    res.status(403).send(`${ROLES[req.user.role]}s cannot do this`);
+  };
+}
+
+// runs/<runId> if the run belongs to the caller's organisation. Other organisations'
+// runs look exactly like missing ones.
+function runDirForUser(req, runId = req.params.runId) {
+  const runDir = runDirFor(runId);
+  return runDir && req.user && runOrgId(runDir) === req.user.orgId ? runDir : null;
+}
+
+module.exports = { SESSION_COOKIE, readCookie, loadUser, requireUser, requirePermission, runDirForUser };
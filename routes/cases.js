@@ -0,0 +1,113 @@
+// routes/cases.js — case workflow for a run (list, review, update, regenerate and approve pack)
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+
+const { MANIFEST, buildEvidencePack, sha256OfFile } = require('../lib/evidence');
+const { readRunJson, writeRunFile } = require('../lib/encryption');
+const {
+  STATUSES, TRANSITIONS, CaseError,
+  loadCases, readAudit, appendAudit, updateCase
+} = require('../lib/cases');
+const { can, listUsers, userLabel } = require('../lib/accounts');
+const { requirePermission, runDirForUser } = require('./auth');
+
+function runDirOr404(req, res) {
+  const runDir = runDirForUser(req);
+  if (!runDir) res.status(404).send('Run not found');
+  return runDir;
+}
+
+// Users of the run's organisation who can work cases (the assignee choices)
+const assignees = (orgId) => listUsers(orgId).filter(u => !u.disabledAt && can(u, 'case.update'));
+
+// GET /runs/:runId/cases — case queue
+router.get('/runs/:runId/cases', (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  let cases;
+  try {
+    cases = loadCases(runDir);
+  } catch (e) {
+    if (!(e instanceof CaseError)) throw e;
+    return res.status(e.status).send(e.message);
+  }
+  res.render('cases', {
+    runId: req.params.runId, cases, STATUSES,
+    flash: req.query.msg || ''
+  });
+});
+
+// GET /runs/:runId/cases/:caseId — one case with transactions and audit trail
+router.get('/runs/:runId/cases/:caseId', (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  let k;
+  try {
+    k = loadCases(runDir).find(c => c.id === req.params.caseId);
+  } catch (e) {
+    if (!(e instanceof CaseError)) throw e;
+    return res.status(e.status).send(e.message);
+  }
+  if (!k) return res.status(404).send('Case not found');
+  res.render('case', {
+    runId: req.params.runId, k, STATUSES,
+    next: TRANSITIONS[k.status],
+    history: readAudit(runDir, k.id),
+    assignees: assignees(req.user.orgId),
+    error: req.query.error || ''
+  });
+});
+
+// POST /runs/:runId/cases/:caseId — status / assignee / due date / note
+router.post('/runs/:runId/cases/:caseId', requirePermission('case.update'), (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  const back = `/runs/${req.params.runId}/cases/${encodeURIComponent(req.params.caseId)}`;
+  try {
+    // assignees are the organisation's users (a name typed before accounts existed may stay)
+    const assignee = req.body.assignee;
+    const current = loadCases(runDir).find(c => c.id === req.params.caseId);
+    const known = assignees(req.user.orgId).some(u => u.email === assignee);
+    if (assignee && assignee !== (current && current.assignee) && !known)
+      throw new CaseError(`Cannot assign a case to ${assignee}`);
+    updateCase(runDir, req.params.caseId, req.body, userLabel(req.user));
+    res.redirect(back);
+  } catch (e) {
+    if (!(e instanceof CaseError)) throw e;
+    if (e.status === 404) return res.status(404).send(e.message);
+    res.redirect(`${back}?error=${encodeURIComponent(e.message)}`);
+  }
+});
+
+// POST /runs/:runId/pack — re-hash and re-zip the pack with current dispositions
+router.post('/runs/:runId/pack', requirePermission('pack.regenerate'), async (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  try {
+    appendAudit(runDir, { at: new Date().toISOString(), user: userLabel(req.user), action: 'pack.regenerated' });
+    await buildEvidencePack(runDir);
+    res.redirect(`/runs/${req.params.runId}/cases?msg=${encodeURIComponent('Evidence pack regenerated and re-hashed')}`);
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Pack error: ' + e.message);
+  }
+});
+
+// POST /runs/:runId/approve — compliance officer sign-off. The approval is audited into
+// the pack, which is rebuilt; run.json records which manifest was approved, so a later
+// regeneration shows the approval as superseded.
+router.post('/runs/:runId/approve', requirePermission('pack.approve'), async (req, res) => {
+  const runDir = runDirOr404(req, res); if (!runDir) return;
+  try {
+    const at = new Date().toISOString();
+    const by = userLabel(req.user);
+    appendAudit(runDir, { at, user: by, action: 'pack.approved' });
+    await buildEvidencePack(runDir);
+    const run = readRunJson(runDir, 'run.json');
+    run.approval = { by, at, manifestSha256: sha256OfFile(path.join(runDir, MANIFEST)) };
+    writeRunFile(runDir, 'run.json', JSON.stringify(run, null, 2));
+    res.redirect(303, `/runs/${req.params.runId}`);
+  } catch (e) {
+    console.error(e);
+    res.status(500).send('Pack error: ' + e.message);
+  }
+});
+
+module.exports = router;
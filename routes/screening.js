@@ -0,0 +1,78 @@
+// routes/screening.js — sanctions / PEP list imports and a run's screening review queue
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const { RUNS_DIR } = require('../lib/evidence');
+const {
+  LIST_KINDS, REVIEW_STATUSES, ScreeningError,
+  importList, listLists, loadScreening, reviewMatch
+} = require('../lib/screening');
+const { userLabel } = require('../lib/accounts');
+const { bandChanges, emit } = require('../lib/webhooks');
+const { readRunJson } = require('../lib/encryption');
+const { requirePermission, runDirForUser } = require('./auth');
+
+const upload = multer({ dest: path.join(RUNS_DIR, '_uploads'), limits: { fileSize: 50 * 1024 * 1024 } });
+
+// GET /account/lists — the organisation's list versions (newest of each kind is in use)
+router.get('/account/lists', (req, res) => {
+  res.render('lists', {
+    lists: listLists(req.user.orgId), LIST_KINDS,
+    error: req.query.error || '', flash: req.query.msg || ''
+  });
+});
+
+// POST /account/lists — import a list file (XLSX or CSV) as a new version
+router.post('/account/lists', requirePermission('lists.manage'), upload.single('list'), (req, res) => {
+  const file = req.file;
+  try {
+    if (!file) throw new ScreeningError('Choose a list file (XLSX or CSV)');
+    const meta = importList({
+      orgId: req.user.orgId, kind: req.body.kind, name: req.body.name, version: req.body.version,
+      filename: file.originalname, buffer: fs.readFileSync(file.path), importedBy: userLabel(req.user)
+    });
+    res.redirect(303, `/account/lists?msg=${encodeURIComponent(`Imported ${meta.entries} entries into ${meta.name} ${meta.version}`)}`);
+  } catch (e) {
+    if (!(e instanceof ScreeningError)) throw e;
+    res.redirect(303, `/account/lists?error=${encodeURIComponent(e.message)}`);
+  } finally {
+    if (file) fs.rm(file.path, { force: true }, () => {});
+  }
+});
+
+// GET /runs/:runId/screening — candidates for review
+router.get('/runs/:runId/screening', (req, res) => {
+  const runDir = runDirForUser(req);
+  if (!runDir) return res.status(404).send('Run not found');
+  const screening = loadScreening(runDir);
+  res.render('screening', {
+    runId: req.params.runId, screening, LIST_KINDS, REVIEW_STATUSES,
+    status: REVIEW_STATUSES[req.query.status] ? req.query.status : '',
+    error: req.query.error || '', flash: req.query.msg || ''
+  });
+});
+
+// POST /runs/:runId/screening/:matchId — confirm / dismiss / reopen a candidate
+router.post('/runs/:runId/screening/:matchId', requirePermission('case.update'), (req, res) => {
+  const runDir = runDirForUser(req);
+  if (!runDir) return res.status(404).send('Run not found');
+  const back = `/runs/${req.params.runId}/screening`;
+  try {
+    const clients = () => readRunJson(runDir, 'clients.json');
+    const before = clients();
+    const m = reviewMatch(runDir, req.params.matchId, req.body, userLabel(req.user));
+    emit(req.user.orgId, 'client.band_changed', ...bandChanges(before, clients()).map(c => ({
+      runId: req.params.runId, trigger: 'screening_review', matchId: m.id, reviewedBy: userLabel(req.user), ...c
+    })));
+    res.redirect(303, `${back}?msg=${encodeURIComponent(`${m.id}: ${REVIEW_STATUSES[m.status]}`)}#${m.id}`);
+  } catch (e) {
+    if (!(e instanceof ScreeningError)) throw e;
+    if (e.status === 404) return res.status(404).send(e.message);
+    res.redirect(303, `${back}?error=${encodeURIComponent(e.message)}#${req.params.matchId}`);
+  }
+});
+
+module.exports = router;
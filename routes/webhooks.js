@@ -0,0 +1,75 @@
+// routes/webhooks.js — the organisation's webhook subscriptions and their delivery log
+const express = require('express');
+const router = express.Router();
+
+const {
+  EVENTS, RETRY_SECONDS, WebhookError,
+  createSubscription, listSubscriptions, setSubscriptionActive, deleteSubscription,
+  listDeliveries, getDelivery, sendTest, redeliver
+} = require('../lib/webhooks');
+const { userLabel } = require('../lib/accounts');
+const { requirePermission } = require('./auth');
+
+router.use('/account/webhooks', requirePermission('webhooks.manage'));
+
+const back = (res, msg) => res.redirect(303, `/account/webhooks?msg=${encodeURIComponent(msg)}`);
+
+// GET /account/webhooks?webhook=<id> — subscriptions and the latest deliveries
+const renderWebhooks = (req, res, extra = {}) => {
+  const webhookId = req.query.webhook || '';
+  res.render('webhooks', {
+    webhooks: listSubscriptions(req.user.orgId),
+    deliveries: listDeliveries(req.user.orgId, { webhookId }),
+    webhookId, EVENTS, RETRY_SECONDS, newSecret: null, error: '', flash: req.query.msg || '', ...extra
+  });
+};
+router.get('/account/webhooks', (req, res) => renderWebhooks(req, res));
+
+// POST /account/webhooks — the secret is only ever shown in this response
+router.post('/account/webhooks', (req, res) => {
+  try {
+    const { secret, subscription } = createSubscription({
+      orgId: req.user.orgId, url: req.body.url, events: req.body.events,
+      description: req.body.description, keepResponses: req.body.keepResponses === '1',
+      createdBy: userLabel(req.user)
+    });
+    renderWebhooks(req, res.status(201), { newSecret: { secret, url: subscription.url } });
+  } catch (e) {
+    if (!(e instanceof WebhookError)) throw e;
+    renderWebhooks(req, res.status(e.status), { error: e.message });
+  }
+});
+
+// GET /account/webhooks/deliveries/:id — one delivery with its payload and every attempt
+router.get('/account/webhooks/deliveries/:id', (req, res) => res.json(getDelivery(req.user.orgId, req.params.id)));
+
+// POST /account/webhooks/deliveries/:id/redeliver
+router.post('/account/webhooks/deliveries/:id/redeliver', (req, res) => {
+  const d = redeliver(req.user.orgId, req.params.id);
+  back(res, `Queued ${d.event} again as ${d.id}`);
+});
+
+// POST /account/webhooks/:id/test — a webhook.test event, e.g. to check a receiver
+router.post('/account/webhooks/:id/test', (req, res) => {
+  const d = sendTest(req.user.orgId, req.params.id, userLabel(req.user));
+  back(res, `Queued a test event to ${d.url}`);
+});
+
+// POST /account/webhooks/:id/pause and /resume
+router.post('/account/webhooks/:id/:action(pause|resume)', (req, res) => {
+  const sub = setSubscriptionActive(req.user.orgId, req.params.id, req.params.action === 'resume');
+  back(res, `${sub.active ? 'Resumed' : 'Paused'} ${sub.url}`);
+});
+
+// POST /account/webhooks/:id/delete
+router.post('/account/webhooks/:id/delete', (req, res) => {
+  const sub = deleteSubscription(req.user.orgId, req.params.id);
+  back(res, `Deleted ${sub.url}`);
+});
+
+router.use('/account/webhooks', (err, req, res, next) => {
+  if (!(err instanceof WebhookError)) return next(err);
+  res.status(err.status).send(err.message);
+});
+
+module.exports = router;
@@ -2,13 +2,7 @@
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
-const crypto = require("crypto");
 const multer = require("multer");
-const { parse } = require("csv-parse/sync"); // robust CSV parser
-const dayjs = require("dayjs");
-const archiver = require("archiver");
-const { v4: uuidv4 } = require("uuid");
-const { OpenAI } = require("openai");
 const helmet = require("helmet");
 const compression = require("compression");
 const rateLimit = require("express-rate-limit");
@@ -21,6 +15,9 @@ app.set("views", path.join(__dirname, "views"));
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 app.use(compression());
+// Behind a proxy (Render, a load balancer) set TRUST_PROXY so req.ip is the client's
+// address in share access logs and rate limits, not the proxy's
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 app.use(
   helmet({
@@ -39,13 +36,25 @@ app.use(
 // Basic rate limiting on heavy endpoints
 const ingestLimiter = rateLimit({ windowMs: 60 * 1000, max: 20 });
 app.use("/ingest", ingestLimiter);
+// Passphrase attempts on share links
+const unlockLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
 
 // Static assets
 app.use(express.static("public", { maxAge: "1h", etag: true }));
 
-// Use memory storage (faster, no temp files on Render)
+// Accounts: every route below needs a signed-in user except the public ones listed in
+// routes/auth.js; runs, jobs and mapping profiles are scoped to the user's organisation
+const { loadUser, readCookie, requireUser, requirePermission, runDirForUser } = require("./routes/auth");
+app.use(loadUser);
+// REST API for integrations: API keys instead of sessions (routes/api.js)
+app.use("/api/v1", require("./routes/api"));
+app.use(requireUser);
+// Sign-in, setup and account management (/login and /setup are public in requireUser)
+app.use(require("./routes/accounts"));
+
+// Uploads stream to disk; the ingest job reads them from there and deletes them
 const upload = multer({
-  storage: multer.memoryStorage(),
+  dest: path.join(__dirname, "runs", "_uploads"),
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB each file
 });
 
@@ -57,503 +66,564 @@ function ensureDir(p) {
 }
 ensureDir(path.join(__dirname, "runs"));
 
-// OpenAI (optional)
-function getOpenAI() {
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) return null;
-  try {
-    return new OpenAI({ apiKey: key });
-  } catch {
-    return null;
-  }
-}
-
 // --- Risk engine (robust & explainable) ---------------------------------------
-// Countries / thresholds
-const HIGH_RISK_COUNTRIES = new Set(["RU", "IR"]); // add as needed
-const MED_RISK_COUNTRIES = new Set(["CN", "HK", "AE", "IN"]);
-const HIGH_RISK_CORRIDORS = new Set(["RU", "IR", "CN", "HK", "AE", "IN"]);
-const CASH_STRUCTURING_MIN = 9600; // near-threshold window
-const CASH_STRUCTURING_MAX = 10000;
-const LARGE_DOMESTIC = 100000; // AUD
-const LOOKBACK_MONTHS = 18;
-const MS_PER_DAY = 86400000;
-
-// Case-insensitive header normalizers + synonyms
-const CLIENT_KEYMAP = new Map(
-  Object.entries({
-    clientid: "ClientID",
-    client_id: "ClientID",
-    id: "ClientID",
-    name: "Name",
-    entitytype: "EntityType",
-    type: "EntityType",
-    country: "Country",
-    state: "State",
-    suburb: "Suburb",
-    postcode: "Postcode",
-    residencystatus: "ResidencyStatus",
-    pep: "PEP",
-    kycstatus: "KYCStatus",
-    onboarddate: "OnboardDate",
-    lastkycreview: "LastKYCReview",
-    deliverychannel: "DeliveryChannel",
-    channel: "DeliveryChannel",
-    servicesused: "ServicesUsed",
-    services: "ServicesUsed",
-    industry: "Industry",
-    annualturnoveraud: "AnnualTurnoverAUD",
-    sourceoffunds: "SourceOfFunds",
-    sanctionsmatch: "SanctionsMatch",
-    riskcountryexposure: "RiskCountryExposure",
-  })
-);
+// Scoring lives in lib/riskEngine.js and reads every threshold, weight and country
+// list from the selected risk policy (policies/*.json). Monitoring rules are declared
+// in the policy too (lib/rules.js), so score reasons and R_* cases share one source.
+// The ingest itself (parse → FX → score → cases → pack) is lib/pipeline.js and runs
+// as a background job in a worker thread (lib/jobs.js).
+const { canonicalJson, listPolicies, loadPolicy } = require("./lib/policy");
+// Sector profiles (sectors/*.json) add risk factors, rules and program sections on top
+const { listSectors } = require("./lib/sectors");
+const { loadScreening } = require("./lib/screening");
+const { MANIFEST, runDirFor, sha256OfFile, readManifest, readSignature } = require("./lib/evidence");
+const { SIGNATURE_FILE, currentKey, publicKeys, verifyManifest } = require("./lib/signing");
+const { PROOF_FILE, readLedger, verifyInclusion, verifyLedger } = require("./lib/ledger");
+const {
+  SCOPES,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  ShareError,
+  shareStatus,
+  createShare,
+  findShare,
+  listShares,
+  revokeShare,
+  checkPassphrase,
+  unlockValue,
+  unlockMaxAge,
+  logAccess,
+  readAccessLog,
+  importLegacyShares,
+} = require("./lib/shares");
+const { FIELDS, DATE_FIELDS, KINDS, listProfiles, loadProfile, saveProfile } = require("./lib/columns");
+const { DATE_FORMATS, DATE_FORMAT_LABELS, DEFAULT_TIME_ZONE } = require("./lib/dates");
+const { can, orgDetails, runOrgId, userLabel } = require("./lib/accounts");
+const { IngestError, ingestInput } = require("./lib/ingestInput");
+const { emit, startDeliveries } = require("./lib/webhooks");
+const { PROVIDERS, narrativeProvider } = require("./lib/narratives");
+const { loadBundledFx } = require("./lib/fx");
+const {
+  MIN_PASSWORD,
+  EncryptionError,
+  masterKeys,
+  readRunFile,
+  readRunJson,
+  sendRunFile,
+  runEncryption,
+  protectPack,
+} = require("./lib/encryption");
+const {
+  createJob,
+  getJob,
+  getDataQuality,
+  getColumns,
+  continueJob,
+  remapJob,
+  cancelJob,
+  startSweeping,
+  subscribe,
+} = require("./lib/jobs");
+
+// Create the signing key up front rather than racing for it in the first jobs
+currentKey();
+// A misconfigured narrative provider should stop the server, not fail every job
+const narrator = narrativeProvider();
+// Same for a malformed ENCRYPTION_KEY; without one, run data is written in plain text
+const atRest = masterKeys().current;
+if (atRest) console.log(`Run data encrypted at rest (master key ${atRest.id})`);
+else console.warn("ENCRYPTION_KEY is not set: run data is stored unencrypted");
+// Runs from before the share index kept their token in share.txt
+const importedShares = importLegacyShares();
+if (importedShares) console.log(`Imported ${importedShares} share link(s) into the share index`);
+// Webhook deliveries still pending from before a restart carry on
+startDeliveries();
+// Uploads and review artefacts of jobs a restart cut short are deleted (and stale reviews expire)
+startSweeping();
 
-const TX_KEYMAP = new Map(
-  Object.entries({
-    txnid: "TxnID",
-    id: "TxnID",
-    clientid: "ClientID",
-    client_id: "ClientID",
-    client: "ClientName",
-    client_name: "ClientName",
-    name: "ClientName",
-    date: "Date",
-    txn_date: "Date",
-    timestamp: "Date",
-    amount: "Amount",
-    aud_amount: "Amount",
-    value: "Amount",
-    currency: "Currency",
-    type: "Type",
-    channel: "Channel",
-    method: "Channel",
-    location: "Location",
-    counterpartyname: "CounterpartyName",
-    counterparty_country: "CounterpartyCountry",
-    country: "CounterpartyCountry",
-    notes: "Notes",
-  })
+function bandColor(band) {
+  return band === "High" ? "#b71c1c" : band === "Medium" ? "#f57c00" : "#2e7d32";
+}
+
+// --- Routes -------------------------------------------------------------------
+app.get("/", (req, res) => {
+  // auditors are read-only: their start page is the run list
+  if (!can(req.user, "run.create")) return res.redirect(303, "/runs");
+  res.render("index", {
+    narrator: { ...narrator, label: PROVIDERS[narrator.id] },
+    fxTables: loadBundledFx().sources.map((s) => s.name),
+    policies: listPolicies(),
+    sectors: listSectors(),
+    org: orgDetails(req.user.orgId),
+    dateLabels: DATE_FORMAT_LABELS,
+    timeZone: DEFAULT_TIME_ZONE,
+  });
+});
+app.get("/healthz", (_, res) => res.status(200).json({ ok: true, time: Date.now() }));
+app.get("/legal", (req, res) => res.render("legal"));
+app.get("/manifest.webmanifest", (_, res) =>
+  res.sendFile(path.join(__dirname, "public", "manifest.webmanifest"))
 );
+app.get("/sw.js", (_, res) => res.sendFile(path.join(__dirname, "public", "sw.js")));
 
-const toNum = (x) => {
-  if (x == null) return NaN;
-  if (typeof x === "number") return x;
-  const n = parseFloat(String(x).replace(/[, ]/g, ""));
-  return isNaN(n) ? NaN : n;
-};
-const toUpper = (x) => (x ?? "").toString().trim().toUpperCase();
-const toBoolYN = (x) => ["Y", "YES", "TRUE"].includes(toUpper(x));
-
-function parseDate(x) {
-  const s = (x ?? "").toString().trim().replace(/\//g, "-");
-  const d = new Date(s);
-  return isNaN(d.getTime()) ? null : d;
-}
-function monthsAgo(a, b) {
-  if (!(a instanceof Date)) a = parseDate(a);
-  if (!(b instanceof Date)) b = parseDate(b);
-  if (!a || !b) return Infinity;
-  return (b.getFullYear() - a.getFullYear()) * 12 + (b.getMonth() - a.getMonth());
-}
+// Case workflow (statuses, assignees, notes, audit trail, pack regeneration)
+app.use(require("./routes/cases"));
+// Sanctions / PEP lists and each run's screening review queue
+app.use(require("./routes/screening"));
+// Webhook subscriptions and their delivery log
+app.use(require("./routes/webhooks"));
 
-function normalizeRow(row, keymap) {
-  const out = {};
-  for (const [k, v] of Object.entries(row)) {
-    const canon = keymap.get(k.toLowerCase().trim());
-    if (canon) out[canon] = typeof v === "string" ? v.trim() : v;
-  }
-  return out;
-}
-function groupByClient(transactions) {
-  const by = new Map();
-  for (const t of transactions) {
-    const id = t.ClientID || t.ClientName; // support name-based
-    if (!id) continue;
-    if (!by.has(id)) by.set(id, []);
-    by.get(id).push(t);
+// Risk policies: list + download (edit the JSON and upload it, or drop it into policies/)
+app.get("/policies", (_, res) => res.json(listPolicies()));
+app.get("/policies/:id.json", (req, res) => {
+  try {
+    const { policy } = loadPolicy(req.params.id);
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader("Content-Disposition", `attachment; filename="policy_${policy.id}_${policy.version}.json"`);
+    res.send(canonicalJson(policy));
+  } catch (e) {
+    res.status(404).send(e.message);
   }
-  return by;
-}
+});
 
-function detectStructuring(txList, now) {
-  const cash = txList
-    .filter((t) => (t.Type || "").toLowerCase().includes("cash deposit"))
-    .map((t) => ({ d: parseDate(t.Date), amt: toNum(t.Amount) }))
-    .filter(
-      (t) =>
-        t.d &&
-        monthsAgo(t.d, now) <= LOOKBACK_MONTHS &&
-        t.amt >= CASH_STRUCTURING_MIN &&
-        t.amt < CASH_STRUCTURING_MAX
-    )
-    .sort((a, b) => a.d - b.d);
-  if (cash.length < 4) return { hit: false };
-
-  let run = [cash[0]];
-  const runs = [];
-  for (let i = 1; i < cash.length; i++) {
-    const prev = cash[i - 1],
-      cur = cash[i];
-    if (cur.d - prev.d <= 7 * MS_PER_DAY) run.push(cur);
-    else {
-      runs.push(run);
-      run = [cur];
+// EXPECTS two CSV files: field names must be "clients" and "transactions".
+// Inputs are validated here (lib/ingestInput.js); the heavy work runs as a background
+// job and the caller follows its progress at /jobs/:id (or /jobs/:id/events as SSE). The
+// job pauses after the data quality check until it is continued (skipReview=1 skips that).
+app.post(
+  "/ingest",
+  requirePermission("run.create"),
+  upload.fields([
+    { name: "clients", maxCount: 1 },
+    { name: "transactions", maxCount: 1 },
+    { name: "policyFile", maxCount: 1 },
+    { name: "fxRates", maxCount: 1 },
+  ]),
+  (req, res) => {
+    const uploaded = Object.values(req.files || {})
+      .flat()
+      .map((f) => f.path);
+    const reject = (msg) => {
+      for (const p of uploaded) fs.rm(p, { force: true }, () => {});
+      return res.status(400).send(msg);
+    };
+    let input;
+    try {
+      input = ingestInput({
+        body: req.body,
+        user: req.user,
+        files: Object.fromEntries(Object.entries(req.files || {}).map(([k, v]) => [k, v[0]])),
+      });
+    } catch (e) {
+      if (!(e instanceof IngestError)) throw e;
+      return reject(e.message);
     }
+    const job = createJob(input, uploaded, {
+      review: !["1", "true", "on"].includes(String(req.body.skipReview || "").toLowerCase()),
+      orgId: req.user.orgId,
+      createdBy: input.createdBy,
+    });
+    const links = { jobId: job.id, status: `/jobs/${job.id}`, events: `/jobs/${job.id}/events` };
+    if (req.accepts(["html", "json"]) === "json") return res.status(202).json(links);
+    res.redirect(303, links.status);
   }
-  runs.push(run);
-  const maxRun = Math.max(...runs.map((r) => r.length));
-  return { hit: maxRun >= 4, maxRun, count: cash.length };
-}
-
-function detectCorridors(txList, now) {
-  const intl = txList
-    .filter((t) => (t.Type || "").toLowerCase().includes("international"))
-    .map((t) => ({
-      country: toUpper(t.CounterpartyCountry),
-      amt: toNum(t.Amount),
-      d: parseDate(t.Date),
-      ccy: toUpper(t.Currency),
-    }))
-    .filter((t) => t.d && monthsAgo(t.d, now) <= LOOKBACK_MONTHS);
-  const risky = intl.filter((t) => HIGH_RISK_CORRIDORS.has(t.country));
-  const total = risky.length;
-  const big = risky.filter((t) => t.amt >= 20000).length;
-  return { hit: total >= 2 && big >= 1, total, big };
-}
+);
 
-function detectLargeDomestic(txList, now) {
-  const dom = txList
-    .filter((t) => (t.Type || "").toLowerCase().includes("domestic"))
-    .map((t) => ({ amt: toNum(t.Amount), d: parseDate(t.Date) }))
-    .filter((t) => t.d && monthsAgo(t.d, now) <= LOOKBACK_MONTHS && t.amt >= LARGE_DOMESTIC);
-  return { hit: dom.length > 0, count: dom.length };
+// A job of the caller's organisation, or null
+function jobForUser(req) {
+  const job = getJob(req.params.id);
+  return job && job.orgId === req.user.orgId ? job : null;
 }
 
-function scoreClient(client, txList, now = new Date()) {
-  let score = 0;
-  const reasons = [];
-
-  // Profile risks
-  if (toBoolYN(client.PEP)) {
-    score += 30;
-    reasons.push("PEP flagged (+30)");
-  }
-  if (toBoolYN(client.SanctionsMatch)) {
-    score += 40;
-    reasons.push("Sanctions match (+40)");
-  }
-
-  const last = parseDate(client.LastKYCReview || client.OnboardDate);
-  if (last && monthsAgo(last, now) > 24) {
-    score += 6;
-    reasons.push("KYC review stale (>24mo) (+6)");
-  }
+// Job status: HTML progress page, or JSON for scripts
+app.get("/jobs/:id", (req, res) => {
+  const job = jobForUser(req);
+  if (!job) return res.status(404).send("Job not found");
+  if (req.accepts(["html", "json"]) === "json") return res.json(job);
+  res.render("job", {
+    job,
+    dataQuality: getDataQuality(job.id),
+    columns: getColumns(job.id),
+    fields: FIELDS,
+    dateFormats: DATE_FORMATS,
+    dateLabels: DATE_FORMAT_LABELS,
+  });
+});
 
-  if (toUpper(client.ResidencyStatus) === "NON-RESIDENT") {
-    score += 5;
-    reasons.push("Non-resident (+5)");
-  }
+// Full pre-flight data quality report (available once the validation stage has run)
+app.get("/jobs/:id/data-quality.json", (req, res) => {
+  const report = jobForUser(req) && getDataQuality(req.params.id);
+  if (!report) return res.status(404).json({ error: "No data quality report for this job" });
+  res.json(report);
+});
 
-  const services = (client.ServicesUsed || "").toLowerCase();
-  if (services.includes("remittance")) {
-    score += 10;
-    reasons.push("Uses remittance (+10)");
-  }
-  if (services.includes("property")) {
-    score += 5;
-    reasons.push("Property settlements (+5)");
+// Column mapping step: re-check the upload with a corrected mapping, optionally saving it
+// as a named profile that is applied automatically to files with the same headers.
+// Forms post one field per header position (clients[0], ...); JSON posts header → field.
+// Date format overrides come as dateFormats[clients|transactions][<field>].
+app.post("/jobs/:id/mapping", requirePermission("run.create"), (req, res) => {
+  const job = jobForUser(req);
+  const columns = job && getColumns(job.id);
+  if (!job || job.status !== "review" || !columns)
+    return res.status(409).send("Job is not waiting for data quality review");
+  const mappings = {};
+  const dateFormats = {};
+  try {
+    for (const kind of KINDS) {
+      const headers = columns[kind].columns.map((c) => c.header);
+      const posted = req.body[kind] || {};
+      const map = {};
+      headers.forEach((h, i) => {
+        const field = req.is("json") ? posted[h] : posted[i];
+        if (field === undefined) return;
+        if (field && !FIELDS[kind].includes(field)) throw new Error(`Unknown ${kind} field: ${field}`);
+        map[h] = field || null;
+      });
+      mappings[kind] = { ...Object.fromEntries(columns[kind].columns.map((c) => [c.header, c.field])), ...map };
+      const name = req.body[`${kind}Profile`];
+      if (name && String(name).trim()) saveProfile({ name, kind, headers, columns: mappings[kind], orgId: req.user.orgId });
+      const formats = (req.body.dateFormats || {})[kind] || {};
+      dateFormats[kind] = {};
+      for (const field of DATE_FIELDS[kind]) {
+        const f = formats[field] || "auto";
+        if (!DATE_FORMATS.includes(f)) throw new Error(`Unknown date format for ${field}: ${f}`);
+        dateFormats[kind][field] = f;
+      }
+    }
+  } catch (e) {
+    return res.status(400).send(e.message);
   }
+  const queued = remapJob(job.id, req.body.dateFormats ? { mappings, dateFormats } : { mappings });
+  if (!queued) return res.status(409).send("Job is not waiting for data quality review");
+  if (req.accepts(["html", "json"]) === "json") return res.json(queued);
+  res.redirect(303, `/jobs/${job.id}`);
+});
 
-  const ch = (client.DeliveryChannel || "").toLowerCase();
-  if (ch.includes("mixed") || ch.includes("broker") || ch.includes("in-branch")) {
-    score += 4;
-    reasons.push("Higher-risk delivery channel (+4)");
-  }
+// Published manifest signing keys (current + retired, so older packs still verify)
+app.get("/.well-known/trancheready-keys.json", (_, res) => res.json(publicKeys()));
+app.get("/.well-known/trancheready-signing-key.pem", (_, res) => {
+  res.type("application/x-pem-file").send(currentKey().publicKey);
+});
 
-  // Country exposures
-  const exposure = (client.RiskCountryExposure || "") + "," + (client.Country || "");
-  let highExp = 0,
-    medExp = 0;
-  for (const tag of exposure.split(",").map((s) => s.trim()).filter(Boolean)) {
-    const c2 = tag.replace(/^HighRisk:|^MedRisk:/i, "").toUpperCase();
-    if (HIGH_RISK_COUNTRIES.has(c2)) highExp++;
-    if (MED_RISK_COUNTRIES.has(c2)) medExp++;
-  }
-  if (highExp > 0) {
-    score += 12;
-    reasons.push(`Exposure to high-risk countries (${highExp}) (+12)`);
-  }
-  if (medExp > 0) {
-    score += 6;
-    reasons.push(`Exposure to medium-risk countries (${medExp}) (+6)`);
-  }
+// Run ledger: every pack build chained by hash (lib/ledger.js). The chain is shared by
+// all organisations, so callers see its hashes but only their own runs' problems.
+app.get("/ledger/head", (_, res) => {
+  const entries = readLedger();
+  const head = entries[entries.length - 1];
+  res.json({
+    entries: entries.length,
+    head: head ? { seq: head.seq, at: head.at, entryHash: head.entryHash, merkleRoot: head.merkleRoot } : null,
+  });
+});
+app.get("/ledger/verify", (req, res) => {
+  const report = verifyLedger();
+  const mine = (runId) => {
+    const runDir = runDirFor(runId);
+    return !!runDir && runOrgId(runDir) === req.user.orgId;
+  };
+  // chain problems (no run id) concern everyone; run problems only their owner
+  const problems = report.problems.filter((p) => !p.runId || mine(p.runId));
+  res.status(problems.length ? 409 : 200).json({ ...report, ok: !problems.length, runs: undefined, problems });
+});
 
-  // Transactional (last 18 months)
-  const struct = detectStructuring(txList, now);
-  if (struct.hit) {
-    score += 15;
-    reasons.push(`Structuring pattern: ${struct.maxRun}+ near-threshold cash deposits (+15)`);
-  }
-  const corr = detectCorridors(txList, now);
-  if (corr.hit) {
-    score += 12;
-    reasons.push(`High-risk corridors: ${corr.total} intl to RU/CN/HK/AE/IN/IR (+12)`);
-  }
-  const large = detectLargeDomestic(txList, now);
-  if (large.hit) {
-    score += 8;
-    reasons.push(`Large domestic transfer(s) ≥ ${LARGE_DOMESTIC.toLocaleString()} (+8)`);
-  }
+// A run's inclusion proof against the ledger as it stands now
+function ledgerCheck(runDir) {
+  const p = path.join(runDir, PROOF_FILE);
+  if (!fs.existsSync(p)) return { ok: false, reason: "Pack has no ledger proof" };
+  const proof = JSON.parse(fs.readFileSync(p, "utf8"));
+  const entry = readLedger()[proof.entry.seq - 1];
+  if (!entry || entry.entryHash !== proof.entry.entryHash)
+    return { ok: false, reason: "Ledger no longer holds this entry", proof };
+  if (!verifyInclusion(proof)) return { ok: false, reason: "Inclusion proof does not match its Merkle root", proof };
+  return { ok: true, proof };
+}
 
-  // EDD bump
-  if (toUpper(client.KYCStatus || "").includes("ENHANCED")) {
-    score += 5;
-    reasons.push("EDD in place (+5)");
+// Saved column mapping profiles
+app.get("/mappings", (req, res) => res.json(listProfiles(req.user.orgId)));
+app.get("/mappings/:id.json", (req, res) => {
+  try {
+    res.json(loadProfile(req.params.id, req.user.orgId));
+  } catch (e) {
+    res.status(404).send(e.message);
   }
+});
 
-  const band = score >= 30 ? "High" : score >= 15 ? "Medium" : "Low";
-  return { score, band, reasons };
+// Decide on a job waiting in data quality review
+for (const [action, fn] of [
+  ["continue", continueJob],
+  ["cancel", cancelJob],
+]) {
+  app.post(`/jobs/:id/${action}`, requirePermission("run.create"), (req, res) => {
+    const job = jobForUser(req) && fn(req.params.id);
+    if (!job) return res.status(409).send("Job is not waiting for data quality review");
+    if (req.accepts(["html", "json"]) === "json") return res.json(job);
+    res.redirect(303, `/jobs/${job.id}`);
+  });
 }
 
-function bandColor(band) {
-  return band === "High" ? "#b71c1c" : band === "Medium" ? "#f57c00" : "#2e7d32";
-}
+// Job progress as Server-Sent Events; the stream ends when the job does
+app.get("/jobs/:id/events", (req, res) => {
+  const job = jobForUser(req);
+  if (!job) return res.status(404).end();
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  const send = (j) => {
+    res.write(`event: ${j.status}\ndata: ${JSON.stringify(j)}\n\n`);
+    res.flush?.(); // compression buffers otherwise
+    if (["done", "failed", "review", "cancelled"].includes(j.status)) {
+      unsubscribe();
+      res.end();
+    }
+  };
+  const unsubscribe = subscribe(job.id, send);
+  req.on("close", unsubscribe);
+  send(job);
+});
 
-// --- Evidence helpers ---------------------------------------------------------
-function sha256OfFile(filePath) {
-  const hash = crypto.createHash("sha256");
-  hash.update(fs.readFileSync(filePath));
-  return hash.digest("hex");
+// Results page for a finished run. A share link's token is only ever shown in the
+// response that created it (`newShare`).
+function renderResults(res, runDir, extra = {}) {
+  const read = (f) => readRunJson(runDir, f);
+  const run = read("run.json");
+  res.render("results", {
+    runId: run.runId,
+    clients: read("clients.json").map((x) => ({ ...x, Color: bandColor(x.Band) })),
+    cases: read("cases.json"),
+    policy: run.policy,
+    sector: run.sector || null,
+    screening: loadScreening(runDir),
+    network: fs.existsSync(path.join(runDir, "network.json")) ? read("network.json") : null,
+    ttr: run.ttr,
+    // runs from before the rejected reports had their own section kept them in ttr
+    ttrRejected: run.ttrRejected || run.ttr.invalidReports || [],
+    dataQuality: run.dataQuality || null,
+    fx: read("fx.json"),
+    narratives: run.narratives || null,
+    providers: PROVIDERS,
+    approval: run.approval
+      ? { ...run.approval, current: run.approval.manifestSha256 === sha256OfFile(path.join(runDir, MANIFEST)) }
+      : null,
+    shares: listShares(run.runId),
+    accessLog: readAccessLog(run.runId).slice(-20).reverse(),
+    scopes: SCOPES,
+    defaultExpiryDays: DEFAULT_EXPIRY_DAYS,
+    maxExpiryDays: MAX_EXPIRY_DAYS,
+    newShare: null,
+    shareError: "",
+    encryption: runEncryption(runDir),
+    minPackPassword: MIN_PASSWORD,
+    packError: "",
+    ...extra,
+  });
 }
 
-function programDocHtml(meta, sector) {
-  const today = dayjs().format("YYYY-MM-DD");
-  const sectorTitle = (sector || "generic").replace(/_/g, " ");
-  return `<!doctype html><html><head><meta charset="utf-8"><style>
-  body{font-family:Segoe UI,Arial,sans-serif;max-width:860px;margin:24px auto;padding:0 12px;color:#222}
-  h1{margin:0 0 8px} h2{margin-top:24px} code{background:#f2f2f2;padding:2px 4px}
-  .box{border:1px solid #e0e0e0;padding:12px;margin:12px 0;border-radius:6px}
-  </style></head><body>
-  <h1>AML/CTF Program — ${meta.org || "Your Organisation"}</h1>
-  <div class="box">Version: 1.0 • Sector: ${sectorTitle} • Date: ${today}</div>
-  <h2>1. Governance</h2><p>Compliance Officer: ${meta.compliance || "(assign)"} • Reports to ${
-    meta.board || "(board/owner)"
-  }.</p>
-  <h2>2. ML/TF Risk Assessment</h2><p>Risk factors: customer type, geography, products/services, channels, delivery methods.</p>
-  <h2>3. CDD</h2><p>Standard CDD for Low; EDD for High risk/PEPs. Verify identity before service delivery.</p>
-  <h2>4. Ongoing Monitoring</h2><p>Rules: large cash ≥ $10,000; structuring; high-risk corridors; unusual patterns.</p>
-  <h2>5. Reporting</h2><p>SMRs lodged promptly; internal escalation to the Compliance Officer.</p>
-  <h2>6. Record Keeping</h2><p>Retain CDD/transaction records ≥ 7 years. Maintain evidence packs with SHA-256 manifests.</p>
-  <h2>7. Training & Review</h2><p>Annual AML training; independent review at least every two years.</p></body></html>`;
+function finishedRunDir(req, res) {
+  const runDir = runDirForUser(req);
+  if (!runDir || !fs.existsSync(path.join(runDir, "run.json"))) res.status(404).send("Run not found");
+  else return runDir;
 }
 
-// --- Routes -------------------------------------------------------------------
-app.get("/", (req, res) => res.render("index", { hasKey: !!process.env.OPENAI_API_KEY }));
-app.get("/healthz", (_, res) => res.status(200).json({ ok: true, time: Date.now() }));
-app.get("/legal", (req, res) => res.render("legal"));
-app.get("/manifest.webmanifest", (_, res) =>
-  res.sendFile(path.join(__dirname, "public", "manifest.webmanifest"))
-);
-app.get("/sw.js", (_, res) => res.sendFile(path.join(__dirname, "public", "sw.js")));
-
-// EXPECTS two CSV files: field names must be "clients" and "transactions"
-app.post(
-  "/ingest",
-  upload.fields([
-    { name: "clients", maxCount: 1 },
-    { name: "transactions", maxCount: 1 },
-  ]),
-  async (req, res) => {
-    try {
-      const clientsBuf = req.files?.clients?.[0]?.buffer;
-      const txBuf = req.files?.transactions?.[0]?.buffer;
-      if (!clientsBuf || !txBuf) {
-        return res
-          .status(400)
-          .send("Upload both files. Expect fields named: clients (CSV), transactions (CSV).");
-      }
+// The organisation's runs, newest first
+app.get("/runs", (req, res) => {
+  const runs = fs
+    .readdirSync(path.join(__dirname, "runs"))
+    .map((d) => !d.startsWith("_") && runDirFor(d))
+    .filter((dir) => dir && runOrgId(dir) === req.user.orgId)
+    .map((dir) => readRunJson(dir, "run.json"))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  if (req.accepts(["html", "json"]) === "json") return res.json(runs);
+  res.render("runs", { runs });
+});
 
-      // Parse CSVs (case-insensitive headers)
-      const clientsRaw = parse(clientsBuf.toString("utf8"), {
-        columns: true,
-        skip_empty_lines: true,
-      });
-      const txRaw = parse(txBuf.toString("utf8"), {
-        columns: true,
-        skip_empty_lines: true,
-      });
+app.get("/runs/:runId", (req, res) => {
+  const runDir = finishedRunDir(req, res);
+  if (runDir) renderResults(res, runDir);
+});
 
-      // Normalize headers to canonical keys
-      const clients = clientsRaw.map((r, i) => {
-        const n = normalizeRow(r, CLIENT_KEYMAP);
-        // fallbacks so we always have essential fields
-        n.ClientID = n.ClientID || `C${String(i + 1).padStart(3, "0")}`;
-        n.Name = n.Name || n.ClientID;
-        n.Country = n.Country || "AU";
-        return n;
-      });
-      const tx = txRaw.map((r) => {
-        const n = normalizeRow(r, TX_KEYMAP);
-        n.Amount = toNum(n.Amount);
-        return n;
-      });
+// Share links for a run: create (scope, expiry, optional passphrase), revoke, access log
+app.post("/runs/:runId/shares", requirePermission("share.manage"), (req, res) => {
+  const runDir = finishedRunDir(req, res);
+  if (!runDir) return;
+  const json = req.accepts(["html", "json"]) === "json";
+  let created;
+  try {
+    created = createShare({
+      runId: req.params.runId,
+      scope: req.body.scope,
+      expiresInDays: req.body.expiresInDays ?? DEFAULT_EXPIRY_DAYS,
+      passphrase: req.body.passphrase,
+      label: req.body.label,
+      createdBy: userLabel(req.user),
+    });
+  } catch (e) {
+    if (!(e instanceof ShareError)) throw e;
+    if (json) return res.status(e.status).json({ error: e.message });
+    return renderResults(res.status(e.status), runDir, { shareError: e.message });
+  }
+  const url = `/share/${created.token}`;
+  // never the token: the link stays with whoever created it
+  emit(req.user.orgId, "pack.shared", { share: created.share });
+  if (json) return res.status(201).json({ ...created.share, url });
+  renderResults(res.status(201), runDir, { newShare: { ...created.share, url } });
+});
 
-      // Debug headers once (check Render logs if something looks off)
-      console.log("Sample client keys:", Object.keys(clients[0] || {}));
-      console.log("Sample txn keys:", Object.keys(tx[0] || {}));
-
-      // Build txn index (by ClientID or ClientName)
-      const by = groupByClient(tx);
-
-      // Score
-      const now = new Date();
-      const scored = clients
-        .map((c) => {
-          const t = by.get(c.ClientID) || by.get(c.Name) || [];
-          const r = scoreClient(c, t, now);
-          return {
-            ClientID: c.ClientID,
-            Name: c.Name,
-            Band: r.band,
-            Score: r.score,
-            Reasons: r.reasons,
-            // (Optional) show a couple of recent txn stats in UI later if needed
-            Country: c.Country || "",
-            PEP: c.PEP || "N",
-            KYCStatus: c.KYCStatus || "",
-            DeliveryChannel: c.DeliveryChannel || "",
-            ServicesUsed: c.ServicesUsed || "",
-          };
-        })
-        .sort((a, b) => b.Score - a.Score);
-
-      // Build monitoring cases (simple narrations)
-      const cases = [];
-      const openai = getOpenAI();
-      for (const c of scored) {
-        const t = by.get(c.ClientID) || by.get(c.Name) || [];
-        const s = detectStructuring(t, now);
-        if (s.hit)
-          cases.push({
-            rule: "R_STRUCTURING",
-            client: c.Name,
-            amount: null,
-            detail: `Structuring pattern (${s.maxRun}+ near-threshold cash deposits)`,
-          });
-        const hr = detectCorridors(t, now);
-        if (hr.hit)
-          cases.push({
-            rule: "R_HIGH_RISK_CORRIDORS",
-            client: c.Name,
-            amount: null,
-            detail: `Intl transfers to high-risk corridors (n=${hr.total})`,
-          });
-        const ld = detectLargeDomestic(t, now);
-        if (ld.hit)
-          cases.push({
-            rule: "R_LARGE_DOMESTIC",
-            client: c.Name,
-            amount: null,
-            detail: `Large domestic transfer(s) ≥ ${LARGE_DOMESTIC.toLocaleString()}`,
-          });
-      }
+app.post("/runs/:runId/shares/:shareId/revoke", requirePermission("share.manage"), (req, res) => {
+  const runDir = finishedRunDir(req, res);
+  if (!runDir) return;
+  try {
+    const share = revokeShare(req.params.runId, req.params.shareId, userLabel(req.user));
+    if (req.accepts(["html", "json"]) === "json") return res.json(share);
+    res.redirect(303, `/runs/${req.params.runId}#shares`);
+  } catch (e) {
+    if (!(e instanceof ShareError)) throw e;
+    res.status(e.status).send(e.message);
+  }
+});
 
-      // Optional: short AI narratives (gracefully skip if no key)
-      async function narrateCase(k) {
-        if (!openai) return `${k.rule}: ${k.detail}. Client ${k.client}.`;
-        try {
-          const r = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            temperature: 0.2,
-            messages: [
-              { role: "system", content: "Write concise AML monitoring narratives (≤2 sentences)." },
-              { role: "user", content: `Create a short narrative for: ${JSON.stringify(k).slice(0, 1200)}` },
-            ],
-          });
-          return r.choices[0]?.message?.content?.trim() || `${k.rule}: ${k.detail}.`;
-        } catch {
-          return `${k.rule}: ${k.detail}.`;
-        }
-      }
-      for (const k of cases) k.narrative = await narrateCase(k);
-
-      // Save run (JSON, program.html, manifest, ZIP)
-      const runId = uuidv4();
-      const runDir = path.join(__dirname, "runs", runId);
-      ensureDir(runDir);
-
-      fs.writeFileSync(path.join(runDir, "clients.json"), JSON.stringify(scored, null, 2));
-      fs.writeFileSync(path.join(runDir, "transactions.json"), JSON.stringify(tx, null, 2));
-      fs.writeFileSync(path.join(runDir, "cases.json"), JSON.stringify(cases, null, 2));
-      const programHtml = programDocHtml({ org: "Your Org" }, "generic");
-      fs.writeFileSync(path.join(runDir, "program.html"), programHtml, "utf8");
-
-      const manifest = {};
-      for (const f of ["clients.json", "transactions.json", "cases.json", "program.html"]) {
-        const p = path.join(runDir, f);
-        manifest[f] = { sha256: sha256OfFile(p), bytes: fs.statSync(p).size };
-      }
-      fs.writeFileSync(path.join(runDir, "manifest.json"), JSON.stringify(manifest, null, 2));
-
-      const zipPath = path.join(runDir, "evidence_pack.zip");
-      await new Promise((resolve, reject) => {
-        const output = fs.createWriteStream(zipPath);
-        const zip = archiver("zip", { zlib: { level: 9 } });
-        output.on("close", resolve);
-        zip.on("error", reject);
-        zip.pipe(output);
-        zip.directory(runDir, false);
-        zip.finalize();
-      });
+app.get("/runs/:runId/shares/access.json", (req, res) => {
+  const runDir = finishedRunDir(req, res);
+  if (runDir) res.json(readAccessLog(req.params.runId));
+});
 
-      const token = uuidv4().replace(/-/g, "");
-      fs.writeFileSync(path.join(runDir, "share.txt"), token, "utf8");
+// Pack download for the run's organisation (outside auditors use "pack" scope share links)
+app.get("/download/:runId", (req, res) => {
+  const runDir = runDirForUser(req);
+  const zipPath = runDir && path.join(runDir, "evidence_pack.zip");
+  if (!zipPath || !fs.existsSync(zipPath)) return res.status(404).send("Not found.");
+  sendRunFile(res, runDir, "evidence_pack.zip", `TrancheReady_${req.params.runId}.zip`);
+});
 
-      // Render results
-      res.render("results", {
-        runId,
-        token,
-        clients: scored.map((x) => ({ ...x, Color: bandColor(x.Band) })),
-        cases,
-        hasKey: !!process.env.OPENAI_API_KEY,
-      });
-    } catch (e) {
-      console.error(e);
-      res.status(500).send("Processing error: " + e.message);
-    }
+// The pack encrypted to a password or a recipient's RSA public key, for sending on;
+// opened with `node lib/encryption.js open-pack`
+app.post("/download/:runId/protected", (req, res) => {
+  const runDir = finishedRunDir(req, res);
+  if (!runDir) return;
+  const file = `TrancheReady_${req.params.runId}.zip`;
+  let packed;
+  try {
+    const { password, publicKey } = req.body;
+    packed = protectPack(readRunFile(runDir, "evidence_pack.zip"), { password, publicKey: publicKey || null, file });
+  } catch (e) {
+    if (!(e instanceof EncryptionError) || e.status === 500) throw e;
+    return renderResults(res.status(e.status), runDir, { packError: e.message });
   }
-);
+  res.attachment(`${file}.trpack`).type("application/octet-stream").send(packed);
+});
 
-// Evidence download + verify
-app.get("/download/:runId", (req, res) => {
-  const runDir = path.join(__dirname, "runs", req.params.runId);
-  const zipPath = path.join(runDir, "evidence_pack.zip");
-  if (!fs.existsSync(zipPath)) return res.status(404).send("Not found.");
-  res.download(zipPath, `TrancheReady_${req.params.runId}.zip`);
+// Counterparty network as JSON or GraphML (also inside the pack)
+app.get("/runs/:runId/network.:format(json|graphml)", (req, res) => {
+  const runDir = runDirForUser(req);
+  const file = runDir && path.join(runDir, `network.${req.params.format}`);
+  if (!file || !fs.existsSync(file)) return res.status(404).send("Not found.");
+  sendRunFile(res, runDir, `network.${req.params.format}`, `TrancheReady_${req.params.runId}_network.${req.params.format}`);
 });
 
+// --- Share links ---------------------------------------------------------------
+// Every request through a share link is logged (lib/shares.js), refusals included.
+const unlockCookie = (share) => `tr_share_${share.id}`;
+
+// Resolve the token to a usable link, or answer the request (and log why) and return null
+function openShare(req, res, { unlocked = false } = {}) {
+  const share = findShare(req.params.token);
+  const log = (event, reason) =>
+    logAccess({ share, event, reason, ip: req.ip, userAgent: req.get("user-agent") });
+  if (!share) {
+    log("denied", "unknown token");
+    res.status(404).send("Invalid or expired link.");
+    return null;
+  }
+  const status = shareStatus(share);
+  if (status !== "active") {
+    log("denied", status);
+    res.status(410).send(status === "revoked" ? "This link has been revoked." : "This link has expired.");
+    return null;
+  }
+  const runDir = runDirFor(share.runId);
+  if (!runDir || !readManifest(runDir)) {
+    log("denied", "run missing");
+    res.status(404).send("Run not found");
+    return null;
+  }
+  if (share.passphrase && !unlocked && readCookie(req, unlockCookie(share)) !== unlockValue(share)) {
+    res.status(401).render("unlock", { token: req.params.token, error: "" });
+    return null;
+  }
+  return { share, runDir, log };
+}
+
 app.get("/share/:token", (req, res) => {
-  const runsRoot = path.join(__dirname, "runs");
-  const dirs = fs.existsSync(runsRoot) ? fs.readdirSync(runsRoot) : [];
-  for (const d of dirs) {
-    const p = path.join(runsRoot, d, "share.txt");
-    if (fs.existsSync(p) && fs.readFileSync(p, "utf8") === req.params.token) {
-      const manifest = JSON.parse(fs.readFileSync(path.join(runsRoot, d, "manifest.json"), "utf8"));
-      return res.render("verify", { runId: d, manifest });
-    }
+  const open = openShare(req, res);
+  if (!open) return;
+  const { share, runDir, log } = open;
+  const runId = share.runId;
+  const manifest = readManifest(runDir);
+  const signature = readSignature(runDir);
+  const check = verifyManifest(manifest, signature);
+  // What the in-browser check compares an uploaded pack against
+  const expected = Object.fromEntries(Object.entries(manifest).map(([f, m]) => [f, m.sha256]));
+  for (const f of [MANIFEST, SIGNATURE_FILE, PROOF_FILE])
+    if (fs.existsSync(path.join(runDir, f))) expected[f] = sha256OfFile(path.join(runDir, f));
+  const packData = { runId, expected, signature, publicKey: check.key ? check.key.publicKey : null };
+  log("view");
+  res.render("verify", {
+    runId,
+    manifest,
+    signature,
+    check,
+    packData,
+    ledger: ledgerCheck(runDir),
+    share: {
+      scope: SCOPES[share.scope],
+      expiresAt: share.expiresAt,
+      download: share.scope === "pack" ? `/share/${req.params.token}/download` : null,
+    },
+  });
+});
+
+// Passphrase form posts here; a correct passphrase sets a cookie scoped to this link
+app.post("/share/:token", unlockLimiter, (req, res) => {
+  const open = openShare(req, res, { unlocked: true });
+  if (!open) return;
+  const { share, log } = open;
+  if (!share.passphrase) return res.redirect(303, `/share/${req.params.token}`);
+  if (!checkPassphrase(share, req.body.passphrase)) {
+    log("denied", "wrong passphrase");
+    return res.status(401).render("unlock", { token: req.params.token, error: "Wrong passphrase." });
+  }
+  log("unlock");
+  res.cookie(unlockCookie(share), unlockValue(share), {
+    path: `/share/${req.params.token}`,
+    maxAge: unlockMaxAge(share) * 1000,
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+  });
+  res.redirect(303, `/share/${req.params.token}`);
+});
+
+app.get("/share/:token/download", (req, res) => {
+  const open = openShare(req, res);
+  if (!open) return;
+  const { share, runDir, log } = open;
+  if (share.scope !== "pack") {
+    log("denied", "download not in scope");
+    return res.status(403).send("This link does not include the evidence pack download.");
   }
-  res.status(404).send("Invalid token.");
+  const zipPath = path.join(runDir, "evidence_pack.zip");
+  if (!fs.existsSync(zipPath)) return res.status(404).send("Not found.");
+  log("download");
+  sendRunFile(res, runDir, "evidence_pack.zip", `TrancheReady_${share.runId}.zip`);
 });
 
 // Export clients table as CSV (for offline review)
 app.get("/export/clients.csv", (req, res) => {
   const { runId } = req.query;
   if (!runId) return res.status(400).send("Missing runId");
-  const p = path.join(__dirname, "runs", runId, "clients.json");
-  if (!fs.existsSync(p)) return res.status(404).send("Run not found");
-  const arr = JSON.parse(fs.readFileSync(p, "utf8"));
-  const csv = Papa.unparse(arr.map(({ Reasons, ...rest }) => rest));
+  const runDir = runDirForUser(req, runId);
+  const p = runDir && path.join(runDir, "clients.json");
+  if (!p || !fs.existsSync(p)) return res.status(404).send("Run not found");
+  const arr = readRunJson(runDir, "clients.json");
+  const csv = Papa.unparse(arr.map(({ Reasons, Screening, ...rest }) => rest));
   res.setHeader("Content-Type", "text/csv");
   res.setHeader("Content-Disposition", `attachment; filename="clients_${runId}.csv"`);
   res.send(csv);